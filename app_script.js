@@ -1,13 +1,145 @@
 /**
  * @fileoverview Script for managing data in a Google Sheet via a web app.
- * Allows adding, retrieving, and removing data entries with a date and an amount.
- * Ensures that headers "Date" and "Amount" are present in the specified sheet.
+ * Allows adding, retrieving, and removing data entries with a date, an amount, a unique ID, the
+ * medication they belong to and, for doses logged despite a safety limit, the reason given for
+ * the override.
+ * Ensures that headers "Date", "Amount", "Id", "Override" and "Medication" are present in the
+ * specified sheet. Dosing regimens (a pill count per number of hours, effective from a start
+ * time) are kept in a separate "Regimens" sheet so rate changes never rewrite past periods.
+ * The medications themselves (name, default rate and dose step) are listed in a "Medications"
+ * sheet. Entries and regimens from before medications existed belong to the 'default' one.
+ * Refills of each medication's stock (a pill count and the time it was added) are kept in a
+ * "Refills" sheet; the pills left are the refills less the doses logged since the first one.
+ *
+ * Each patient has a profile with its own entries, regimens and medications. The sheets above
+ * belong to the 'default' profile; every other profile listed in the "Profiles" sheet has its
+ * own set of tabs, created by the 'saveProfile' action. All actions accept a `profile` parameter
+ * and use the default profile without one.
+ *
+ * Removed entries are not lost: they move to the profile's "Deleted" tab together with when,
+ * by which client and why they were removed, and the 'restore' action moves them back. Every
+ * change to entries is also appended to the profile's "Audit Log" tab with the entry before
+ * and after it. Clients identify themselves with an optional `client` parameter.
+ *
+ * Writes hold the script lock, so concurrent requests never interleave. Each change to a
+ * profile's entries increments its revision, which 'get' returns and 'getRevision' returns on
+ * its own, so clients can cheaply check for changes made elsewhere. Entry writes may pass the
+ * revision they were based on as `expectedRevision`; if the entries have changed since, nothing
+ * is written and the result has `conflict: true`. The audit log records the revision of every
+ * change, so 'get' can return just the entries changed since a revision the client already has.
+ * It also takes a date range and pages through long histories, see handleGetData.
+ *
+ * Settings the clients share, such as the time zone, are kept in a Script Property by
+ * 'saveSettings' and read back by 'getSettings'.
+ *
+ * The 'stats' action returns the figures the page shows for a medication, for widgets and
+ * scripts. It needs dosing_engine.js added to the Apps Script project as a second script file.
+ * With alerts configured by 'saveAlerts', a time-driven trigger runs checkOverdueDoses() and
+ * posts to a webhook and/or emails when a dose is overdue, even with no page open.
+ *
+ * Every request must carry a `token` parameter matching one of the tokens kept in Script
+ * Properties: READ_TOKEN grants the read actions, WRITE_TOKEN grants everything. Run
+ * setupAccessTokens() once from the Apps Script editor to create them.
  */
 
 // --- Global Constants ---
 const SHEET_NAME = 'Sheet1';
 const DATE_HEADER = 'Date';
 const AMOUNT_HEADER = 'Amount';
+const ID_HEADER = 'Id';
+// Why a dose outside the client's safety limits was logged anyway; empty for other entries.
+const OVERRIDE_HEADER = 'Override';
+const MEDICATION_HEADER = 'Medication';
+const HEADERS = [DATE_HEADER, AMOUNT_HEADER, ID_HEADER, OVERRIDE_HEADER, MEDICATION_HEADER];
+const ID_COLUMN = HEADERS.indexOf(ID_HEADER) + 1;
+const OVERRIDE_COLUMN = HEADERS.indexOf(OVERRIDE_HEADER) + 1;
+const MEDICATION_COLUMN = HEADERS.indexOf(MEDICATION_HEADER) + 1;
+// Medication of rows and regimens whose Medication cell is empty.
+const DEFAULT_MEDICATION_ID = 'default';
+// Name, rate and dose step of the default medication until it is saved; same as script.js.
+const DEFAULT_MEDICATION_NAME = 'Medication';
+const DEFAULT_PILLS = 1;
+const DEFAULT_HOURS = 8;
+const DEFAULT_DOSE_STEP = 0.5;
+const OVERRIDE_MAX_LENGTH = 500;
+// Client-generated IDs are accepted as long as they cannot be mistaken for anything else.
+const ID_REGEX = /^[A-Za-z0-9_-]{1,64}$/;
+// Regex for YYYY-MM-DDTHH:mm:ss (optional fractional seconds and timezone)
+const ISO_DATE_TIME_REGEX =
+	/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,3})?(Z|([+-]\d{2}(:\d{2})?))?$/;
+// Upper bound for one 'bulkAdd' request, which has to finish within the Apps Script time limit.
+const BULK_ADD_MAX_ROWS = 500;
+const REGIMEN_SHEET_NAME = 'Regimens';
+const REGIMEN_HEADERS = [ID_HEADER, 'Start', 'Pills', 'Hours', MEDICATION_HEADER];
+const MEDICATION_SHEET_NAME = 'Medications';
+const MEDICATION_HEADERS = [ID_HEADER, 'Name', 'Pills', 'Hours', 'Step'];
+const MEDICATION_NAME_MAX_LENGTH = 100;
+const REFILL_SHEET_NAME = 'Refills';
+// Count is the number of pills added; a negative one records pills lost or a recount.
+const REFILL_HEADERS = [ID_HEADER, DATE_HEADER, 'Count', MEDICATION_HEADER];
+const DELETED_SHEET_NAME = 'Deleted';
+// Removed rows keep their columns, followed by when, by which client and why they were removed.
+const DELETED_HEADERS = [...HEADERS, 'Deleted At', 'Deleted By', 'Reason'];
+const REASON_MAX_LENGTH = 500;
+const AUDIT_SHEET_NAME = 'Audit Log';
+// Before and After hold the entry as JSON; a side is empty when the entry did not exist there.
+// Revision is the revision of the entries the change produced.
+const AUDIT_HEADERS = ['Timestamp', 'Action', ID_HEADER, 'Client', 'Before', 'After', 'Revision'];
+const AUDIT_ID_INDEX = AUDIT_HEADERS.indexOf(ID_HEADER);
+const AUDIT_AFTER_INDEX = AUDIT_HEADERS.indexOf('After');
+const AUDIT_REVISION_INDEX = AUDIT_HEADERS.indexOf('Revision');
+// Audit rows read at a time when collecting the changes since a revision, from the bottom up.
+const AUDIT_READ_CHUNK = 200;
+const CLIENT_MAX_LENGTH = 100;
+const PROFILE_SHEET_NAME = 'Profiles';
+// Sheet is the name of the profile's entry tab; its other tabs add a suffix.
+const PROFILE_HEADERS = [ID_HEADER, 'Name', 'Sheet'];
+const PROFILE_NAME_MAX_LENGTH = 50;
+// Name of the default profile until it is named; same as script.js.
+const DEFAULT_PROFILE_NAME = 'Default';
+// Profile whose data lives in the sheets from before profiles existed.
+const DEFAULT_PROFILE_ID = 'default';
+// Script Property holding a profile's revision, followed by the name of its entry tab.
+const REVISION_PROPERTY_PREFIX = 'REVISION:';
+// Actions that change entries: they advance the revision and accept `expectedRevision`.
+const ENTRY_WRITE_ACTIONS = ['add', 'bulkAdd', 'remove', 'update', 'restore'];
+// How long a write waits for the one holding the script lock.
+const LOCK_TIMEOUT_MS = 30000;
+// Upper bound for the `limit` of one 'get' page.
+const GET_MAX_LIMIT = 1000;
+// A 'get' cursor is the time in epoch milliseconds and the ID of the oldest entry returned.
+const CURSOR_REGEX = /^(\d+)_([A-Za-z0-9_-]{1,64})$/;
+// Script Property holding the settings clients share, as JSON {settings, updatedAt}.
+const SETTINGS_PROPERTY = 'SETTINGS';
+// Upper bound for the shared settings as JSON; Script Property values are limited to 9 KB.
+const SETTINGS_MAX_LENGTH = 5000;
+// Script Properties of the overdue-dose alerts: the configuration, as JSON {enabled,
+// marginMinutes, webhookUrl, email}, and the last dose each medication was alerted about.
+const ALERTS_PROPERTY = 'ALERTS';
+const ALERT_STATE_PROPERTY = 'ALERT_STATE';
+const ALERT_CHECK_FUNCTION = 'checkOverdueDoses';
+// How often the trigger checks; time-driven triggers allow 1, 5, 10, 15 or 30 minutes.
+const ALERT_CHECK_INTERVAL_MINUTES = 15;
+const ALERT_DEFAULT_MARGIN_MINUTES = 30;
+const ALERT_MAX_MARGIN_MINUTES = 7 * 24 * 60;
+const WEBHOOK_URL_MAX_LENGTH = 2000;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const READ_TOKEN_PROPERTY = 'READ_TOKEN';
+const WRITE_TOKEN_PROPERTY = 'WRITE_TOKEN';
+// Actions a read-only token may call. They are accepted by both doGet and doPost, so clients
+// can send the token in a POST body instead of the URL.
+const READ_ACTIONS = [
+	'get',
+	'ensureHeaders',
+	'getRegimens',
+	'getMedications',
+	'getRefills',
+	'getProfiles',
+	'getDeleted',
+	'getRevision',
+	'getSettings',
+	'stats',
+];
 
 // --- Utility Functions ---
 
@@ -26,6 +158,121 @@ function _getSheet(sheetName) {
 	return sheet;
 }
 
+/**
+ * Retrieves the specified sheet, creating it with the given header row if it does not exist yet.
+ * Sheets created before their last columns existed get the missing header cells.
+ * @param {string} sheetName The name of the sheet.
+ * @param {string[]} headers The header row.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The sheet object.
+ */
+function _getOrCreateSheet(sheetName, headers) {
+	const ss = SpreadsheetApp.getActiveSpreadsheet();
+	let sheet = ss.getSheetByName(sheetName);
+	if (!sheet) {
+		sheet = ss.insertSheet(sheetName);
+		sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+		Logger.log(`Sheet "${sheetName}" created.`);
+	} else if (sheet.getLastColumn() < headers.length) {
+		const maxCols = sheet.getMaxColumns();
+		if (maxCols < headers.length) {
+			sheet.insertColumnsAfter(maxCols, headers.length - maxCols);
+		}
+		sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+		Logger.log(`Missing headers added to sheet "${sheetName}".`);
+	}
+	return sheet;
+}
+
+/**
+ * Reads the rows below the header row of a sheet without changing it, for the read actions.
+ * A sheet that does not exist yet has no rows; the write handlers create it under the script
+ * lock. Columns added after the sheet was created read as empty cells.
+ * @param {string} sheetName The name of the sheet.
+ * @param {number} columnCount The number of columns to read.
+ * @returns {Array<Array>} The rows, each with `columnCount` values.
+ */
+function _readSheetRows(sheetName, columnCount) {
+	const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+	if (!sheet || sheet.getLastRow() <= 1) return [];
+
+	const columns = Math.min(sheet.getMaxColumns(), columnCount);
+	return sheet
+		.getRange(2, 1, sheet.getLastRow() - 1, columns)
+		.getValues()
+		.map((row) => Array.from({ length: columnCount }, (_, i) => (i < row.length ? row[i] : '')));
+}
+
+/**
+ * Validates an optional `medication` parameter.
+ * @param {string|undefined} medicationParam
+ * @returns {{medication: string} | {error: string}} The medication ID, DEFAULT_MEDICATION_ID
+ * if the parameter is empty.
+ */
+function _parseMedicationParam(medicationParam) {
+	const medication = medicationParam ? String(medicationParam).trim() : '';
+	if (!medication) return { medication: DEFAULT_MEDICATION_ID };
+	if (!ID_REGEX.test(medication)) {
+		return { error: `Invalid 'medication': '${medicationParam}'.` };
+	}
+	return { medication };
+}
+
+/**
+ * Reads the medication of a row; empty cells belong to the default medication.
+ * @param {*} cellValue
+ * @returns {string}
+ */
+function _medicationOf(cellValue) {
+	return String(cellValue).trim() || DEFAULT_MEDICATION_ID;
+}
+
+/**
+ * Names the tabs of a profile whose entry tab is `dataSheetName`.
+ * @param {string} dataSheetName
+ * @returns {{data: string, regimens: string, medications: string, refills: string, deleted: string, audit: string}}
+ */
+function _profileSheetNames(dataSheetName) {
+	return {
+		data: dataSheetName,
+		regimens: `${dataSheetName} ${REGIMEN_SHEET_NAME}`,
+		medications: `${dataSheetName} ${MEDICATION_SHEET_NAME}`,
+		refills: `${dataSheetName} ${REFILL_SHEET_NAME}`,
+		deleted: `${dataSheetName} ${DELETED_SHEET_NAME}`,
+		audit: `${dataSheetName} ${AUDIT_SHEET_NAME}`,
+	};
+}
+
+/**
+ * Finds the tabs holding a profile's entries, regimens, medications, refills, deleted entries
+ * and audit log.
+ * @param {string|undefined} profileParam The `profile` parameter; empty means the default profile.
+ * @returns {{data: string, regimens: string, medications: string, refills: string, deleted: string, audit: string}} The sheet names.
+ * @throws {Error} If the parameter is invalid or no such profile exists.
+ */
+function _profileSheets(profileParam) {
+	const profile = profileParam ? String(profileParam).trim() : '';
+	if (!profile || profile === DEFAULT_PROFILE_ID) {
+		return {
+			data: SHEET_NAME,
+			regimens: REGIMEN_SHEET_NAME,
+			medications: MEDICATION_SHEET_NAME,
+			refills: REFILL_SHEET_NAME,
+			deleted: DELETED_SHEET_NAME,
+			audit: AUDIT_SHEET_NAME,
+		};
+	}
+	if (!ID_REGEX.test(profile)) {
+		throw new Error(`Invalid 'profile': '${profileParam}'.`);
+	}
+	const row = _readSheetRows(PROFILE_SHEET_NAME, PROFILE_HEADERS.length).find(
+		(values) => String(values[0]).trim() === profile
+	);
+	if (!row) {
+		throw new Error(`Unknown profile '${profile}'.`);
+	}
+	return _profileSheetNames(String(row[2]));
+}
+
 /**
  * Creates a standard JSON response for the web app.
  * @param {object} data The data object to stringify and return.
@@ -38,20 +285,70 @@ function _createJsonResponse(data) {
 }
 
 /**
- * Ensures that the standard headers ("Date", "Amount") are present in the first row of the sheet.
- * If not, it inserts a new row at the top and adds the headers.
+ * Compares two strings in time independent of where they differ.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} True if both are equal.
+ */
+function _tokensEqual(a, b) {
+	if (a.length !== b.length) return false;
+	let difference = 0;
+	for (let i = 0; i < a.length; i++) {
+		difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+	}
+	return difference === 0;
+}
+
+/**
+ * Checks a request token against the tokens in Script Properties.
+ * @param {string|undefined} token The `token` parameter of the request.
+ * @param {'read'|'write'} required The access the action needs.
+ * @returns {{access: string} | {error: string}} The granted access ('read' or 'write'), or
+ * the reason the request is rejected.
+ */
+function _authorize(token, required) {
+	const properties = PropertiesService.getScriptProperties();
+	const writeToken = properties.getProperty(WRITE_TOKEN_PROPERTY);
+	const readToken = properties.getProperty(READ_TOKEN_PROPERTY);
+	if (!writeToken) {
+		return {
+			error: 'Access tokens are not configured. Run setupAccessTokens() in the Apps Script editor.',
+		};
+	}
+
+	let access = null;
+	if (typeof token === 'string' && token) {
+		if (_tokensEqual(token, writeToken)) access = 'write';
+		else if (readToken && _tokensEqual(token, readToken)) access = 'read';
+	}
+	if (!access) return { error: 'Missing or invalid access token.' };
+	if (required === 'write' && access !== 'write') {
+		return { error: 'This access token is read-only.' };
+	}
+	return { access };
+}
+
+/**
+ * Ensures that the standard headers ("Date", "Amount", "Id", "Override", "Medication") are present in the first row of the sheet.
+ * If "Date" and "Amount" are missing, it inserts a new row at the top and adds the headers.
+ * Headers for columns added later (such as "Id") are filled in without moving existing data.
+ * Their cells stay empty in existing rows; for "Medication" that means the default medication.
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet object to check/modify.
  * @returns {{changed: boolean, message: string}} An object indicating if headers were changed and a descriptive message.
  */
 function _internalEnsureHeaders(sheet) {
 	if (sheet.getLastRow() === 0) {
 		// Sheet is completely empty
-		sheet.getRange(1, 1, 1, 2).setValues([[DATE_HEADER, AMOUNT_HEADER]]);
+		sheet.getRange(1, 1, 1, HEADERS.length).setValues([HEADERS]);
 		Logger.log('Headers added to empty sheet.');
 		return { changed: true, message: 'Headers added to empty sheet.' };
 	}
 
 	const maxCols = sheet.getMaxColumns();
+	if (maxCols < HEADERS.length) {
+		// Make room for columns added after the sheet was created.
+		sheet.insertColumnsAfter(maxCols, HEADERS.length - maxCols);
+	}
 	let currentHeader1 = '';
 	let currentHeader2 = '';
 
@@ -64,110 +361,552 @@ function _internalEnsureHeaders(sheet) {
 
 	if (currentHeader1 !== DATE_HEADER || currentHeader2 !== AMOUNT_HEADER) {
 		sheet.insertRowBefore(1);
-		sheet.getRange(1, 1, 1, 2).setValues([[DATE_HEADER, AMOUNT_HEADER]]);
+		sheet.getRange(1, 1, 1, HEADERS.length).setValues([HEADERS]);
 		Logger.log('Headers (re-)inserted at the first row.');
 		return { changed: true, message: 'Headers (re-)inserted at the first row.' };
 	}
+
+	// Sheets created before a column existed only lack its header cell.
+	const extraHeaders = HEADERS.slice(2);
+	const extraHeaderRange = sheet.getRange(1, 3, 1, extraHeaders.length);
+	const currentExtraHeaders = extraHeaderRange.getValues()[0];
+	if (extraHeaders.some((header, i) => currentExtraHeaders[i] !== header)) {
+		extraHeaderRange.setValues([extraHeaders]);
+		Logger.log('Missing headers added to the first row.');
+		return { changed: true, message: 'Missing headers added to the first row.' };
+	}
 	Logger.log('Headers already exist and are correct.');
 	return { changed: false, message: 'Headers already exist and are correct.' };
 }
 
+/**
+ * Gives every data row without an ID a newly generated one. Callers advance the revision when
+ * it does, without an audit entry: clients that ask for the changes since an older revision
+ * then find the log incomplete and load every entry again, so none keeps a copy without its ID.
+ * Only call this while holding the script lock.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet object to modify.
+ * @returns {number} The number of rows that received an ID.
+ */
+function _backfillIds(sheet) {
+	if (sheet.getLastRow() <= 1) return 0;
+
+	const idRange = sheet.getRange(2, ID_COLUMN, sheet.getLastRow() - 1, 1);
+	const ids = idRange.getValues();
+	let filled = 0;
+	ids.forEach((row) => {
+		if (String(row[0]).trim() === '') {
+			row[0] = Utilities.getUuid();
+			filled++;
+		}
+	});
+	if (filled > 0) {
+		idRange.setValues(ids);
+		Logger.log(`Backfilled IDs for ${filled} row(s).`);
+	}
+	return filled;
+}
+
+/**
+ * Reads the data rows of an entry sheet without changing it, for the read actions. A sheet
+ * whose headers were never inserted has data in its first row too, and columns added after the
+ * sheet was created read as empty cells; _internalEnsureHeaders repairs both on the next write.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet to read.
+ * @returns {Array<Array>} The rows, each with HEADERS.length values in HEADERS order.
+ */
+function _readDataRows(sheet) {
+	const lastRow = sheet.getLastRow();
+	if (lastRow === 0) return [];
+
+	const columns = Math.min(sheet.getMaxColumns(), HEADERS.length);
+	const values = sheet.getRange(1, 1, lastRow, columns).getValues();
+	const hasHeaders = values[0][0] === DATE_HEADER && values[0][1] === AMOUNT_HEADER;
+	return values
+		.slice(hasHeaders ? 1 : 0)
+		.map((row) => HEADERS.map((header, i) => (i < row.length ? row[i] : '')));
+}
+
+/**
+ * Finds the sheet row holding the entry with the given ID.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet to search.
+ * @param {string} id The entry ID.
+ * @param {number} [idColumn] The 1-indexed column holding IDs; defaults to the data sheet's.
+ * @returns {number} The 1-indexed row number, or -1 if no row has that ID.
+ */
+function _findRowById(sheet, id, idColumn = ID_COLUMN) {
+	if (sheet.getLastRow() <= 1) return -1;
+
+	const ids = sheet.getRange(2, idColumn, sheet.getLastRow() - 1, 1).getValues();
+	for (let i = ids.length - 1; i >= 0; i--) {
+		if (String(ids[i][0]).trim() === id) {
+			return i + 2; // ids[0] is sheet row 2
+		}
+	}
+	return -1;
+}
+
+/**
+ * Converts a data sheet row into the entry object the 'get' action returns.
+ * @param {Array} row The row values, in HEADERS order.
+ * @returns {{date: string, value: number|null, id: string, override?: string, medication: string}}
+ */
+function _rowToEntry(row) {
+	// Date is expected to be an luxon ISO string as stored by handleAddData
+	const entry = {
+		date: row[0], // This will be the ISO string
+		value: row[1] !== null && String(row[1]).trim() !== '' ? parseFloat(String(row[1])) : null,
+		id: String(row[ID_COLUMN - 1]),
+		medication: _medicationOf(row[MEDICATION_COLUMN - 1]),
+	};
+	const override = String(row[OVERRIDE_COLUMN - 1]).trim();
+	if (override) entry.override = override;
+	return entry;
+}
+
+/**
+ * Reads the optional `client` parameter that identifies the device or user making a change.
+ * It is only recorded, so overlong values are cut instead of rejecting the change.
+ * @param {object} params The parameters from the request.
+ * @returns {string}
+ */
+function _clientOf(params) {
+	return params.client ? String(params.client).trim().slice(0, CLIENT_MAX_LENGTH) : '';
+}
+
+/**
+ * Appends changes to a profile's audit log, with the revision they are about to produce:
+ * entry writes hold the script lock and _handleEntryWrite advances the revision after them.
+ * @param {{data: string, audit: string}} sheets The profile's sheet names.
+ * @param {string} action The action that made the changes.
+ * @param {object} params The parameters from the request, for the `client`.
+ * @param {Array<{id: string, before: object|null, after: object|null}>} changes The entries
+ * before and after each change; null where the entry did not exist.
+ */
+function _appendAudit(sheets, action, params, changes) {
+	if (changes.length === 0) return;
+	const sheet = _getOrCreateSheet(sheets.audit, AUDIT_HEADERS);
+	const timestamp = new Date().toISOString();
+	const client = _clientOf(params);
+	const revision = _getRevision(sheets.data) + 1;
+	const toCell = (entry) => (entry ? JSON.stringify(entry) : '');
+	sheet
+		.getRange(sheet.getLastRow() + 1, 1, changes.length, AUDIT_HEADERS.length)
+		.setValues(
+			changes.map(({ id, before, after }) => [
+				timestamp,
+				action,
+				id,
+				client,
+				toCell(before),
+				toCell(after),
+				revision,
+			])
+		);
+}
+
+/**
+ * Moves a data row to the profile's Deleted tab and records the removal in the audit log.
+ * @param {{data: string, deleted: string, audit: string}} sheets The profile's sheet names.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The profile's data sheet.
+ * @param {number} rowNumber The 1-indexed row to remove.
+ * @param {object} params The parameters from the request, for the `client` and `reason`.
+ */
+function _moveToDeleted(sheets, sheet, rowNumber, params) {
+	const row = sheet.getRange(rowNumber, 1, 1, HEADERS.length).getValues()[0];
+	const reason = params.reason ? String(params.reason).trim() : '';
+	_getOrCreateSheet(sheets.deleted, DELETED_HEADERS).appendRow([
+		...row,
+		new Date().toISOString(),
+		_clientOf(params),
+		reason,
+	]);
+	sheet.deleteRow(rowNumber);
+	const before = _rowToEntry(row);
+	_appendAudit(sheets, 'remove', params, [{ id: before.id, before, after: null }]);
+}
+
+// --- Entry Queries ---
+
+/**
+ * Validates the optional parameters that narrow down a 'get'.
+ * @param {object} params The parameters from the request.
+ * @returns {{since: number|null, from: number|null, to: number|null, limit: number|null, cursor: {time: number, id: string}|null} | {error: string}}
+ * Times are epoch milliseconds.
+ */
+function _parseEntryQuery(params) {
+	const isSet = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+	const query = { since: null, from: null, to: null, limit: null, cursor: null };
+
+	if (isSet(params.since)) {
+		if (!/^\d+$/.test(String(params.since).trim())) {
+			return { error: `Invalid 'since' revision: '${params.since}'.` };
+		}
+		query.since = parseInt(params.since, 10);
+	}
+	for (const key of ['from', 'to']) {
+		if (!isSet(params[key])) continue;
+		const value = String(params[key]).trim();
+		if (!ISO_DATE_TIME_REGEX.test(value) || isNaN(new Date(value).getTime())) {
+			return { error: `Invalid '${key}' date: '${params[key]}'. Expected ISO 8601 format.` };
+		}
+		query[key] = new Date(value).getTime();
+	}
+	if (isSet(params.limit)) {
+		const limit = parseInt(params.limit, 10);
+		if (!/^\d+$/.test(String(params.limit).trim()) || limit < 1 || limit > GET_MAX_LIMIT) {
+			return { error: `Invalid 'limit': '${params.limit}'. Expected 1 to ${GET_MAX_LIMIT}.` };
+		}
+		query.limit = limit;
+	}
+	if (isSet(params.cursor)) {
+		const match = CURSOR_REGEX.exec(String(params.cursor).trim());
+		if (!match) return { error: `Invalid 'cursor': '${params.cursor}'.` };
+		query.cursor = { time: parseInt(match[1], 10), id: match[2] };
+	}
+	return query;
+}
+
+/**
+ * @param {{date: string|Date}} entry
+ * @returns {number} The entry's time in epoch milliseconds, 0 if its date is invalid.
+ */
+function _entryTime(entry) {
+	const time = new Date(entry.date).getTime();
+	return isNaN(time) ? 0 : time;
+}
+
+/**
+ * Orders entries by time, then ID.
+ * @param {{time: number, id: string}} a
+ * @param {{time: number, id: string}} b
+ * @returns {number}
+ */
+function _compareEntryKeys(a, b) {
+	if (a.time !== b.time) return a.time - b.time;
+	return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+/**
+ * Tells whether an entry lies in the query's date range, which includes `from` but not `to`.
+ * @param {object} entry
+ * @param {{from: number|null, to: number|null}} query
+ * @returns {boolean}
+ */
+function _inDateRange(entry, query) {
+	const time = _entryTime(entry);
+	return (query.from === null || time >= query.from) && (query.to === null || time < query.to);
+}
+
+/**
+ * Cuts one page out of the matching entries. Without `limit` or `cursor` they are returned as
+ * they are. Otherwise pages run from the newest entries to the oldest: each holds up to `limit`
+ * entries older than the cursor, in date order, and `nextCursor` is set while older ones remain.
+ * @param {Array<object>} entries
+ * @param {{limit: number|null, cursor: {time: number, id: string}|null}} query
+ * @returns {{data: Array<object>, nextCursor?: string}}
+ */
+function _pageEntries(entries, query) {
+	if (query.limit === null && !query.cursor) return { data: entries };
+
+	const keyOf = (entry) => ({ time: _entryTime(entry), id: entry.id });
+	let older = entries.slice().sort((a, b) => _compareEntryKeys(keyOf(a), keyOf(b)));
+	if (query.cursor)
+		older = older.filter((entry) => _compareEntryKeys(keyOf(entry), query.cursor) < 0);
+	if (query.limit === null || older.length <= query.limit) return { data: older };
+
+	const page = older.slice(older.length - query.limit);
+	return { data: page, nextCursor: `${_entryTime(page[0])}_${page[0].id}` };
+}
+
+/**
+ * Collects the entries changed after a revision from a profile's audit log, reading it from the
+ * bottom until it reaches that revision.
+ * @param {string} auditSheetName The profile's audit log tab.
+ * @param {number} since A revision older than the current one.
+ * @returns {Map<string, object|null>|null} The ID of every changed entry with the entry as it is
+ * now, null if it was removed; null if the log does not go back that far, e.g. because it was
+ * started before it recorded revisions.
+ */
+function _getChangesSince(auditSheetName, since) {
+	const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(auditSheetName);
+	if (!sheet || sheet.getLastColumn() < AUDIT_HEADERS.length) return null;
+
+	const changes = new Map();
+	let oldestRevision = null;
+	for (let end = sheet.getLastRow(); end > 1; end -= AUDIT_READ_CHUNK) {
+		const start = Math.max(2, end - AUDIT_READ_CHUNK + 1);
+		const rows = sheet.getRange(start, 1, end - start + 1, AUDIT_HEADERS.length).getValues();
+		for (let i = rows.length - 1; i >= 0; i--) {
+			const revision = parseInt(rows[i][AUDIT_REVISION_INDEX], 10);
+			if (!(revision > since)) return oldestRevision === since + 1 ? changes : null;
+			oldestRevision = revision;
+
+			// Rows are read newest first, so the first one for an entry holds its current state.
+			const id = String(rows[i][AUDIT_ID_INDEX]);
+			if (changes.has(id)) continue;
+			const after = String(rows[i][AUDIT_AFTER_INDEX]).trim();
+			changes.set(id, after ? JSON.parse(after) : null);
+		}
+	}
+	return oldestRevision === since + 1 ? changes : null;
+}
+
 // --- API Handler Functions ---
 
 /**
- * Handles the 'ensureHeaders' action.
+ * Handles the 'ensureHeaders' action. Clients also call it to test the connection, so a
+ * read-only token may call it too, but only the write token repairs the headers and gives
+ * rows without an ID one, under the script lock like every other write.
+ * @param {object} params The parameters from the request, optionally {profile: string}.
+ * @param {string} access 'read' or 'write', from _authorize.
  * @returns {object} A result object {success, message/error}.
  */
-function handleEnsureHeaders() {
+function handleEnsureHeaders(params, access) {
 	try {
-		const sheet = _getSheet(SHEET_NAME);
-		const result = _internalEnsureHeaders(sheet);
-		return { success: true, message: result.message, headersChanged: result.changed };
+		const dataSheetName = _profileSheets(params.profile).data;
+		const sheet = _getSheet(dataSheetName);
+		if (access !== 'write') {
+			return {
+				success: true,
+				message: 'Connected with read-only access; the sheet was not checked.',
+				headersChanged: false,
+				idsBackfilled: 0,
+			};
+		}
+		return _withScriptLock(() => {
+			const result = _internalEnsureHeaders(sheet);
+			const idsBackfilled = _backfillIds(sheet);
+			if (idsBackfilled > 0) _bumpRevision(dataSheetName);
+			return {
+				success: true,
+				message: result.message,
+				headersChanged: result.changed,
+				idsBackfilled,
+			};
+		});
 	} catch (error) {
 		console.error(`Error in handleEnsureHeaders: ${error.toString()}`, error.stack);
 		return { success: false, error: error.message };
 	}
 }
 
+/**
+ * Validates the parameters of one entry to add.
+ * @param {object} params Expecting {date: string, floatValue: string|number, id?: string, override?: string, medication?: string}.
+ * @returns {{error: string} | {date: string, value: number, id: string, override: string, medication: string}} The error, or the entry to store.
+ */
+function _parseEntryParams(params) {
+	const { date: dateStr, floatValue: floatValueStr, id: idParam, override: overrideParam } = params;
+
+	if (!dateStr || typeof dateStr !== 'string' || dateStr.trim() === '') {
+		return { error: "Missing or invalid 'date' parameter. Expected a Luxon ISO string." };
+	}
+	if (
+		floatValueStr === undefined ||
+		floatValueStr === null ||
+		String(floatValueStr).trim() === ''
+	) {
+		return { error: "Missing or empty 'floatValue' parameter." };
+	}
+
+	// Validate if dateStr is a valid ISO 8601 string (luxon datetime)
+	if (!ISO_DATE_TIME_REGEX.test(dateStr)) {
+		return {
+			error: `Invalid 'date' format: '${dateStr}'. Expected a valid ISO 8601 string (e.g., YYYY-MM-DDTHH:mm:ssZ).`,
+		};
+	}
+
+	const floatValue = parseFloat(String(floatValueStr));
+	if (isNaN(floatValue)) {
+		return { error: `Invalid floatValue: '${floatValueStr}'. Must be a number.` };
+	}
+	if (floatValue <= 0) {
+		return { error: `Invalid floatValue: '${floatValueStr}'. Must be greater than zero.` };
+	}
+
+	const id = idParam ? String(idParam).trim() : Utilities.getUuid();
+	if (!ID_REGEX.test(id)) {
+		return { error: `Invalid 'id': '${idParam}'.` };
+	}
+
+	const override = overrideParam ? String(overrideParam).trim() : '';
+	if (override.length > OVERRIDE_MAX_LENGTH) {
+		return { error: `'override' is longer than ${OVERRIDE_MAX_LENGTH} characters.` };
+	}
+
+	const { medication, error: medicationError } = _parseMedicationParam(params.medication);
+	if (medicationError) return { error: medicationError };
+	return { date: dateStr.trim(), value: floatValue, id, override, medication };
+}
+
+/**
+ * Converts a parsed entry into a data sheet row.
+ * @param {object} entry As returned by _parseEntryParams.
+ * @returns {Array} The row values, in HEADERS order.
+ */
+function _entryToRow(entry) {
+	return [entry.date, entry.value, entry.id, entry.override, entry.medication];
+}
+
 /**
  * Handles adding new data to the sheet. Accepts date as a Luxon ISO string.
- * @param {object} params The parameters from the request, expecting {date: string, floatValue: string|number}.
- * @returns {object} A result object {success, message/error}.
+ * The client may supply the entry ID; adding an ID that already exists is a no-op, so retried
+ * requests never create duplicate rows.
+ * @param {object} params The parameters from the request, expecting {date: string, floatValue: string|number, id?: string, override?: string, medication?: string}.
+ * @returns {object} A result object {success, id, message/error}.
  */
 function handleAddData(params) {
 	try {
-		const { date: dateStr, floatValue: floatValueStr } = params;
+		const entry = _parseEntryParams(params);
+		if (entry.error) {
+			return { success: false, error: entry.error };
+		}
+		const { id } = entry;
+
+		const sheets = _profileSheets(params.profile);
+		const sheet = _getSheet(sheets.data);
+		_internalEnsureHeaders(sheet); // Ensure headers are present
+
+		if (_findRowById(sheet, id) !== -1) {
+			return { success: true, id, duplicate: true, message: `Entry '${id}' already exists.` };
+		}
+
+		const row = _entryToRow(entry);
+		sheet.appendRow(row);
+		_appendAudit(sheets, 'add', params, [{ id, before: null, after: _rowToEntry(row) }]);
+		return { success: true, id, message: 'Entry added successfully with ISO date string.' };
+	} catch (error) {
+		console.error(`Error in handleAddData: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
+	}
+}
 
-		if (!dateStr || typeof dateStr !== 'string' || dateStr.trim() === '') {
+/**
+ * Handles adding many entries in one request, e.g. an imported history. Every row is
+ * validated before anything is written, so a batch is stored completely or not at all.
+ * Rows whose ID already exists are skipped, like in handleAddData.
+ * @param {object} params The parameters from the request, expecting {rows: string}: a JSON array of {date, floatValue, id?, override?, medication?}.
+ * @returns {object} A result object {success, ids, added, duplicates, message/error}.
+ */
+function handleBulkAdd(params) {
+	try {
+		let rows;
+		try {
+			rows = JSON.parse(params.rows);
+		} catch (parseError) {
+			return { success: false, error: "Invalid 'rows' parameter. Expected a JSON array." };
+		}
+		if (!Array.isArray(rows) || rows.length === 0) {
 			return {
 				success: false,
-				error: "Missing or invalid 'date' parameter. Expected a Luxon ISO string.",
+				error: "Invalid 'rows' parameter. Expected a non-empty JSON array.",
 			};
 		}
-		if (
-			floatValueStr === undefined ||
-			floatValueStr === null ||
-			String(floatValueStr).trim() === ''
-		) {
-			return { success: false, error: "Missing or empty 'floatValue' parameter." };
-		}
-
-		// Validate if dateStr is a valid ISO 8601 string (luxon datetime)
-		// Regex for YYYY-MM-DDTHH:mm:ss (optional fractional seconds and timezone)
-		const isoDateTimeRegex =
-			/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,3})?(Z|([+-]\d{2}(:\d{2})?))?$/;
-
-		if (!isoDateTimeRegex.test(dateStr)) {
+		if (rows.length > BULK_ADD_MAX_ROWS) {
 			return {
 				success: false,
-				error: `Invalid 'date' format: '${dateStr}'. Expected a valid ISO 8601 string (e.g., YYYY-MM-DDTHH:mm:ssZ).`,
+				error: `Too many rows: ${rows.length}. At most ${BULK_ADD_MAX_ROWS} rows per request.`,
 			};
 		}
 
-		const floatValue = parseFloat(String(floatValueStr));
-		if (isNaN(floatValue)) {
-			return { success: false, error: `Invalid floatValue: '${floatValueStr}'. Must be a number.` };
+		const entries = [];
+		for (let i = 0; i < rows.length; i++) {
+			const entry = _parseEntryParams(rows[i] || {});
+			if (entry.error) {
+				return { success: false, error: `Row ${i + 1}: ${entry.error}` };
+			}
+			entries.push(entry);
 		}
 
-		const sheet = _getSheet(SHEET_NAME);
-		_internalEnsureHeaders(sheet); // Ensure headers are present
+		const sheets = _profileSheets(params.profile);
+		const sheet = _getSheet(sheets.data);
+		_internalEnsureHeaders(sheet);
+
+		const existingIds = new Set();
+		if (sheet.getLastRow() > 1) {
+			sheet
+				.getRange(2, ID_COLUMN, sheet.getLastRow() - 1, 1)
+				.getValues()
+				.forEach((row) => existingIds.add(String(row[0]).trim()));
+		}
+		const newEntries = entries.filter((entry) => {
+			if (existingIds.has(entry.id)) return false;
+			existingIds.add(entry.id);
+			return true;
+		});
 
-		sheet.appendRow([dateStr.trim(), floatValue]);
-		return { success: true, message: 'Entry added successfully with ISO date string.' };
+		if (newEntries.length > 0) {
+			const newRows = newEntries.map(_entryToRow);
+			sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, HEADERS.length).setValues(newRows);
+			_appendAudit(
+				sheets,
+				'bulkAdd',
+				params,
+				newRows.map((row) => ({ id: row[ID_COLUMN - 1], before: null, after: _rowToEntry(row) }))
+			);
+		}
+		return {
+			success: true,
+			ids: entries.map((entry) => entry.id),
+			added: newEntries.length,
+			duplicates: entries.length - newEntries.length,
+			message: `${newEntries.length} entries added.`,
+		};
 	} catch (error) {
-		console.error(`Error in handleAddData: ${error.toString()}`, error.stack);
+		console.error(`Error in handleBulkAdd: ${error.toString()}`, error.stack);
 		return { success: false, error: error.message };
 	}
 }
 
 /**
  * Handles retrieving data from the sheet.
- * @returns {object} A result object {success, data[]/error}.
+ * @param {object} params The parameters from the request, optionally:
+ * - medication: return only that medication's entries.
+ * - from, to: ISO dates; return only entries from `from` up to, not including, `to`.
+ * - limit, cursor: return one page of entries, see _pageEntries.
+ * - since: a revision the client has the entries of. Then only the entries changed after it
+ *   are returned, in `data`, with the IDs of those removed or no longer matching in
+ *   `removedIds` and `delta: true`; such replies are not paged. If the audit log does not go
+ *   back that far, all entries are returned as without `since`. Changes made by editing the
+ *   sheet by hand are not seen.
+ * @returns {object} A result object {success, data[], revision, nextCursor?, removedIds?, delta?}
+ * or {success: false, error}.
  */
-function handleGetData() {
+function handleGetData(params) {
 	try {
-		const sheet = _getSheet(SHEET_NAME);
-
-		if (sheet.getLastRow() <= 1) {
-			// Only header row or empty
-			if (sheet.getLastRow() === 1) _internalEnsureHeaders(sheet);
-			return { success: true, data: [] };
+		const filter = params.medication ? _parseMedicationParam(params.medication) : null;
+		if (filter && filter.error) {
+			return { success: false, error: filter.error };
 		}
+		const query = _parseEntryQuery(params);
+		if (query.error) {
+			return { success: false, error: query.error };
+		}
+		const sheets = _profileSheets(params.profile);
+		const dataSheetName = sheets.data;
+		const revision = _getRevision(dataSheetName);
+		const matches = (entry) =>
+			(!filter || entry.medication === filter.medication) && _inDateRange(entry, query);
 
-		_internalEnsureHeaders(sheet);
-
-		const dataRange = sheet.getRange(2, 1, sheet.getLastRow() - 1, 2);
-		const rawValues = dataRange.getValues();
+		if (query.since !== null && query.since <= revision) {
+			const changes =
+				query.since === revision ? new Map() : _getChangesSince(sheets.audit, query.since);
+			if (changes) {
+				const data = [];
+				const removedIds = [];
+				changes.forEach((entry, id) => {
+					if (entry && matches(entry)) data.push(entry);
+					else removedIds.push(id);
+				});
+				return { success: true, data, removedIds, delta: true, revision };
+			}
+		}
 
-		const values = rawValues.map((row) => {
-			// Date is expected to be an luxon ISO string as stored by handleAddData
-			return {
-				date: row[0], // This will be the ISO string
-				value: row[1] !== null && String(row[1]).trim() !== '' ? parseFloat(String(row[1])) : null,
-			};
-		});
+		// Read-only: header repair and ID backfill happen in the locked write path, see
+		// _handleEntryWrite and handleEnsureHeaders.
+		const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(dataSheetName);
+		const values = (sheet ? _readDataRows(sheet) : []).map(_rowToEntry).filter(matches);
 
-		return { success: true, data: values };
+		return { success: true, ..._pageEntries(values, query), revision };
 	} catch (error) {
 		console.error(`Error in handleGetData: ${error.toString()}`, error.stack);
 		return { success: false, error: error.message };
@@ -175,14 +914,46 @@ function handleGetData() {
 }
 
 /**
- * Handles removing data from the sheet based on an exact ISO date string.
- * Removes the first occurrence from the bottom that matches the ISO string.
- * @param {object} params The parameters from the request, expecting {date: string}.
+ * Handles reading the revision of a profile's entries, so clients can tell whether they
+ * changed without fetching them.
+ * @param {object} params The parameters from the request.
+ * @returns {object} A result object {success, revision/error}.
+ */
+function handleGetRevision(params) {
+	try {
+		return { success: true, revision: _getRevision(_profileSheets(params.profile).data) };
+	} catch (error) {
+		console.error(`Error in handleGetRevision: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
+	}
+}
+
+/**
+ * Handles removing data from the sheet. Targets the entry by its ID; clients from before IDs
+ * existed may still send an exact ISO date string instead, in which case the first occurrence
+ * from the bottom that matches the ISO string is removed. With a `medication` parameter, only
+ * an entry of that medication is removed. The row moves to the Deleted tab with the optional
+ * `reason`, so 'restore' can bring it back.
+ * @param {object} params The parameters from the request, expecting {id: string} or {date: string}, and optionally {medication: string, reason: string, client: string}.
  * @returns {object} A result object {success, removed, message/error}.
  */
 function handleRemoveData(params) {
 	try {
-		const { date: dateToRemoveParam } = params;
+		const { id: idParam, date: dateToRemoveParam } = params;
+		const filter = params.medication ? _parseMedicationParam(params.medication) : null;
+		if (filter && filter.error) {
+			return { success: false, error: filter.error };
+		}
+		const matchesMedication = (cellValue) =>
+			!filter || _medicationOf(cellValue) === filter.medication;
+		if (params.reason && String(params.reason).trim().length > REASON_MAX_LENGTH) {
+			return { success: false, error: `'reason' is longer than ${REASON_MAX_LENGTH} characters.` };
+		}
+
+		if (idParam !== undefined && idParam !== null && String(idParam).trim() !== '') {
+			return _removeById(params, String(idParam).trim(), matchesMedication);
+		}
+
 		if (
 			!dateToRemoveParam ||
 			typeof dateToRemoveParam !== 'string' ||
@@ -190,38 +961,40 @@ function handleRemoveData(params) {
 		) {
 			return {
 				success: false,
-				error: "Missing or invalid 'date' parameter for remove action. Expected an ISO string.",
+				error: "Missing 'id' parameter for remove action.",
 			};
 		}
 
 		const targetIsoString = dateToRemoveParam.trim();
 
-		const isoDateTimeRegex =
-			/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,3})?(Z|([+-]\d{2}(:\d{2})?))?$/;
-
-		if (!isoDateTimeRegex.test(targetIsoString)) {
+		if (!ISO_DATE_TIME_REGEX.test(targetIsoString)) {
 			return {
 				success: false,
 				error: `Invalid 'date' format for removal: '${targetIsoString}'. Expected a valid ISO 8601 string.`,
 			};
 		}
 
-		const sheet = _getSheet(SHEET_NAME);
+		const sheets = _profileSheets(params.profile);
+		const sheet = _getSheet(sheets.data);
 		if (sheet.getLastRow() <= 1) {
 			return { success: true, removed: false, message: 'No entry to remove.' };
 		}
 
+		_internalEnsureHeaders(sheet);
 		const dateColumnValues = sheet.getRange(1, 1, sheet.getLastRow(), 1).getValues();
+		const medicationColumnValues = sheet
+			.getRange(1, MEDICATION_COLUMN, sheet.getLastRow(), 1)
+			.getValues();
 		let removed = false;
 
 		for (let i = dateColumnValues.length - 1; i >= 1; i--) {
 			// i = 0 is header row
 			const cellValue = dateColumnValues[i][0];
 
-			if (typeof cellValue === 'string') {
+			if (typeof cellValue === 'string' && matchesMedication(medicationColumnValues[i][0])) {
 				const sheetIsoString = cellValue.trim();
 				if (sheetIsoString === targetIsoString) {
-					sheet.deleteRow(i + 1); // i is 0-indexed, sheet rows are 1-indexed
+					_moveToDeleted(sheets, sheet, i + 1, params); // i is 0-indexed, sheet rows are 1-indexed
 					removed = true;
 					break;
 				}
@@ -247,58 +1020,1260 @@ function handleRemoveData(params) {
 	}
 }
 
-// --- Web App Entry Points ---
+/**
+ * Removes the entry with the given ID.
+ * @param {object} params The parameters from the request, for the profile, client and reason.
+ * @param {string} id The entry ID.
+ * @param {function(*): boolean} matchesMedication Checks the entry's Medication cell.
+ * @returns {object} A result object {success, removed, message}.
+ */
+function _removeById(params, id, matchesMedication) {
+	const sheets = _profileSheets(params.profile);
+	const sheet = _getSheet(sheets.data);
+	_internalEnsureHeaders(sheet);
+	const rowNumber = _findRowById(sheet, id);
+	if (rowNumber === -1) {
+		return { success: true, removed: false, message: `No entry found with ID '${id}'.` };
+	}
+	if (!matchesMedication(sheet.getRange(rowNumber, MEDICATION_COLUMN).getValue())) {
+		return {
+			success: true,
+			removed: false,
+			message: `Entry '${id}' belongs to a different medication.`,
+		};
+	}
+	_moveToDeleted(sheets, sheet, rowNumber, params);
+	return { success: true, removed: true, message: `Entry '${id}' removed.` };
+}
 
 /**
- * Handles GET requests to the web app.
- * Supported actions: 'get', 'ensureHeaders'.
- * @param {GoogleAppsScript.Events.DoGet} e The event parameter.
- * @returns {GoogleAppsScript.Content.TextOutput} JSON response.
+ * Handles changing the date and/or amount of an existing entry.
+ * @param {object} params The parameters from the request, expecting {id: string, date?: string, floatValue?: string|number, client?: string}.
+ * @returns {object} A result object {success, updated, id, message/error}.
  */
-function doGet(e) {
-	let result;
+function handleUpdateData(params) {
 	try {
-		const action = e.parameter.action;
-		switch (action) {
-			case 'get':
-				result = handleGetData();
-				break;
-			case 'ensureHeaders':
-				result = handleEnsureHeaders();
-				break;
-			default:
-				result = { success: false, error: `Invalid action '${action}' for GET request.` };
-				break;
+		const { id: idParam, date: dateStr, floatValue: floatValueStr } = params;
+		if (idParam === undefined || idParam === null || String(idParam).trim() === '') {
+			return { success: false, error: "Missing 'id' parameter for update action." };
+		}
+		const id = String(idParam).trim();
+
+		const hasDate = dateStr !== undefined && dateStr !== null && String(dateStr).trim() !== '';
+		const hasValue =
+			floatValueStr !== undefined && floatValueStr !== null && String(floatValueStr).trim() !== '';
+		if (!hasDate && !hasValue) {
+			return { success: false, error: "Nothing to update. Provide 'date' and/or 'floatValue'." };
+		}
+
+		if (hasDate && !ISO_DATE_TIME_REGEX.test(String(dateStr).trim())) {
+			return {
+				success: false,
+				error: `Invalid 'date' format: '${dateStr}'. Expected a valid ISO 8601 string (e.g., YYYY-MM-DDTHH:mm:ssZ).`,
+			};
+		}
+		const floatValue = hasValue ? parseFloat(String(floatValueStr)) : null;
+		if (hasValue && isNaN(floatValue)) {
+			return { success: false, error: `Invalid floatValue: '${floatValueStr}'. Must be a number.` };
+		}
+		if (hasValue && floatValue <= 0) {
+			return {
+				success: false,
+				error: `Invalid floatValue: '${floatValueStr}'. Must be greater than zero.`,
+			};
+		}
+
+		const sheets = _profileSheets(params.profile);
+		const sheet = _getSheet(sheets.data);
+		const rowNumber = _findRowById(sheet, id);
+		if (rowNumber === -1) {
+			return { success: true, updated: false, id, message: `No entry found with ID '${id}'.` };
 		}
+
+		const rowRange = sheet.getRange(rowNumber, 1, 1, HEADERS.length);
+		const before = _rowToEntry(rowRange.getValues()[0]);
+		if (hasDate) sheet.getRange(rowNumber, 1).setValue(String(dateStr).trim());
+		if (hasValue) sheet.getRange(rowNumber, 2).setValue(floatValue);
+		const after = _rowToEntry(rowRange.getValues()[0]);
+		_appendAudit(sheets, 'update', params, [{ id, before, after }]);
+		return { success: true, updated: true, id, message: `Entry '${id}' updated.` };
 	} catch (error) {
-		console.error(`Critical error in doGet: ${error.toString()}`, error.stack);
-		result = { success: false, error: 'A server error occurred in doGet: ' + error.message };
+		console.error(`Error in handleUpdateData: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
 	}
-	return _createJsonResponse(result);
 }
 
 /**
- * Handles POST requests to the web app.
- * Supported actions: 'add', 'remove'.
- * @param {GoogleAppsScript.Events.DoPost} e The event parameter.
- * @returns {GoogleAppsScript.Content.TextOutput} JSON response.
+ * Handles the 'getDeleted' action.
+ * @param {object} params The parameters from the request, optionally {profile: string}.
+ * @returns {object} A result object {success, data[]} with the removed entries in the order
+ * they were removed, each with {deletedAt, deletedBy, reason} added.
  */
-function doPost(e) {
-	let result;
+function handleGetDeleted(params) {
 	try {
-		const action = e.parameter.action;
-		const params = e.parameter;
+		const deleted = _readSheetRows(_profileSheets(params.profile).deleted, DELETED_HEADERS.length)
+			.filter((row) => String(row[ID_COLUMN - 1]).trim() !== '')
+			.map((row) => ({
+				..._rowToEntry(row),
+				deletedAt: String(row[HEADERS.length]),
+				deletedBy: String(row[HEADERS.length + 1]),
+				reason: String(row[HEADERS.length + 2]),
+			}));
+		return { success: true, data: deleted };
+	} catch (error) {
+		console.error(`Error in handleGetDeleted: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
+	}
+}
 
-		switch (action) {
-			case 'add':
-				result = handleAddData(params);
-				break;
-			case 'remove':
-				result = handleRemoveData(params);
-				break;
-			default:
-				result = { success: false, error: `Invalid action '${action}' for POST request.` };
-				break;
+/**
+ * Handles moving a removed entry back from the Deleted tab. If the entry was removed more than
+ * once, its latest removal is undone. An entry whose ID is in use again stays deleted.
+ * @param {object} params The parameters from the request, expecting {id: string}.
+ * @returns {object} A result object {success, restored, id, message/error}.
+ */
+function handleRestoreData(params) {
+	try {
+		const id = params.id ? String(params.id).trim() : '';
+		if (!id) {
+			return { success: false, error: "Missing 'id' parameter for restore action." };
+		}
+
+		const sheets = _profileSheets(params.profile);
+		const deletedSheet = _getOrCreateSheet(sheets.deleted, DELETED_HEADERS);
+		const deletedRowNumber = _findRowById(deletedSheet, id);
+		if (deletedRowNumber === -1) {
+			return { success: true, restored: false, id, message: `No deleted entry with ID '${id}'.` };
+		}
+		const sheet = _getSheet(sheets.data);
+		_internalEnsureHeaders(sheet);
+		if (_findRowById(sheet, id) !== -1) {
+			return { success: true, restored: false, id, message: `Entry '${id}' already exists.` };
+		}
+
+		const row = deletedSheet.getRange(deletedRowNumber, 1, 1, HEADERS.length).getValues()[0];
+		sheet.appendRow(row);
+		deletedSheet.deleteRow(deletedRowNumber);
+		_appendAudit(sheets, 'restore', params, [{ id, before: null, after: _rowToEntry(row) }]);
+		return { success: true, restored: true, id, message: `Entry '${id}' restored.` };
+	} catch (error) {
+		console.error(`Error in handleRestoreData: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
+	}
+}
+
+/**
+ * Handles the 'getRegimens' action.
+ * @param {object} params The parameters from the request, optionally {medication: string} to
+ * return only that medication's regimens.
+ * @returns {object} A result object {success, data[]} with {id, start, pills, hours, medication} entries sorted by start.
+ */
+function handleGetRegimens(params) {
+	try {
+		const filter = params.medication ? _parseMedicationParam(params.medication) : null;
+		if (filter && filter.error) {
+			return { success: false, error: filter.error };
+		}
+		const regimens = _readSheetRows(_profileSheets(params.profile).regimens, REGIMEN_HEADERS.length)
+			.filter((row) => String(row[0]).trim() !== '' && String(row[1]).trim() !== '')
+			.map((row) => ({
+				id: String(row[0]).trim(),
+				start: row[1] instanceof Date ? row[1].toISOString() : String(row[1]).trim(),
+				pills: parseFloat(row[2]),
+				hours: parseFloat(row[3]),
+				medication: _medicationOf(row[4]),
+			}))
+			.filter((regimen) => !filter || regimen.medication === filter.medication)
+			.sort((a, b) => new Date(a.start) - new Date(b.start));
+		return { success: true, data: regimens };
+	} catch (error) {
+		console.error(`Error in handleGetRegimens: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
+	}
+}
+
+/**
+ * Handles recording a regimen that takes effect at `start`. It applies until the next regimen
+ * starts; the earliest regimen also applies to everything before it. Adding an ID that already
+ * exists is a no-op, like handleAddData. Each medication has its own regimens.
+ * @param {object} params The parameters from the request, expecting {id: string, start: string, pills: string|number, hours: string|number, medication?: string}.
+ * @returns {object} A result object {success, id, message/error}.
+ */
+function handleAddRegimen(params) {
+	try {
+		const { id: idParam, start: startStr } = params;
+		const pills = parseFloat(params.pills);
+		const hours = parseFloat(params.hours);
+
+		if (!startStr || !ISO_DATE_TIME_REGEX.test(String(startStr).trim())) {
+			return {
+				success: false,
+				error: `Invalid 'start' format: '${startStr}'. Expected a valid ISO 8601 string.`,
+			};
+		}
+		if (isNaN(pills) || pills <= 0 || isNaN(hours) || hours <= 0) {
+			return { success: false, error: "'pills' and 'hours' must be positive numbers." };
+		}
+		const id = idParam ? String(idParam).trim() : Utilities.getUuid();
+		if (!ID_REGEX.test(id)) {
+			return { success: false, error: `Invalid 'id': '${idParam}'.` };
+		}
+		const { medication, error: medicationError } = _parseMedicationParam(params.medication);
+		if (medicationError) {
+			return { success: false, error: medicationError };
+		}
+
+		const sheet = _getOrCreateSheet(_profileSheets(params.profile).regimens, REGIMEN_HEADERS);
+		if (_findRowById(sheet, id, 1) !== -1) {
+			return { success: true, id, duplicate: true, message: `Regimen '${id}' already exists.` };
+		}
+		sheet.appendRow([id, String(startStr).trim(), pills, hours, medication]);
+		return { success: true, id, message: 'Regimen added successfully.' };
+	} catch (error) {
+		console.error(`Error in handleAddRegimen: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
+	}
+}
+
+/**
+ * Handles removing a regimen by its ID.
+ * @param {object} params The parameters from the request, expecting {id: string}.
+ * @returns {object} A result object {success, removed, message/error}.
+ */
+function handleRemoveRegimen(params) {
+	try {
+		const id = params.id ? String(params.id).trim() : '';
+		if (!id) {
+			return { success: false, error: "Missing 'id' parameter for removeRegimen action." };
+		}
+		const sheet = _getOrCreateSheet(_profileSheets(params.profile).regimens, REGIMEN_HEADERS);
+		const rowNumber = _findRowById(sheet, id, 1);
+		if (rowNumber === -1) {
+			return { success: true, removed: false, message: `No regimen found with ID '${id}'.` };
+		}
+		sheet.deleteRow(rowNumber);
+		return { success: true, removed: true, message: `Regimen '${id}' removed.` };
+	} catch (error) {
+		console.error(`Error in handleRemoveRegimen: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
+	}
+}
+
+/**
+ * Handles the 'getMedications' action.
+ * @param {object} params The parameters from the request, optionally {profile: string}.
+ * @returns {object} A result object {success, data[]} with {id, name, pills, hours, step} entries in sheet order.
+ */
+function handleGetMedications(params) {
+	try {
+		const medications = _readSheetRows(
+			_profileSheets(params.profile).medications,
+			MEDICATION_HEADERS.length
+		)
+			.filter((row) => String(row[0]).trim() !== '')
+			.map((row) => ({
+				id: String(row[0]).trim(),
+				name: String(row[1]).trim(),
+				pills: parseFloat(row[2]),
+				hours: parseFloat(row[3]),
+				step: parseFloat(row[4]),
+			}));
+		return { success: true, data: medications };
+	} catch (error) {
+		console.error(`Error in handleGetMedications: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
+	}
+}
+
+/**
+ * Handles adding a medication, or replacing the one with the same ID. Its pills and hours are
+ * the rate used while it has no regimen; the step is the amount its quick buttons log.
+ * @param {object} params The parameters from the request, expecting {id: string, name: string, pills: string|number, hours: string|number, step: string|number}.
+ * @returns {object} A result object {success, id, message/error}.
+ */
+function handleSaveMedication(params) {
+	try {
+		const id = params.id ? String(params.id).trim() : '';
+		const name = params.name ? String(params.name).trim() : '';
+		const pills = parseFloat(params.pills);
+		const hours = parseFloat(params.hours);
+		const step = parseFloat(params.step);
+
+		if (!ID_REGEX.test(id)) {
+			return { success: false, error: `Invalid 'id': '${params.id}'.` };
+		}
+		if (!name || name.length > MEDICATION_NAME_MAX_LENGTH) {
+			return {
+				success: false,
+				error: `'name' must be 1 to ${MEDICATION_NAME_MAX_LENGTH} characters long.`,
+			};
+		}
+		if ([pills, hours, step].some((value) => isNaN(value) || value <= 0)) {
+			return { success: false, error: "'pills', 'hours' and 'step' must be positive numbers." };
+		}
+
+		const sheet = _getOrCreateSheet(_profileSheets(params.profile).medications, MEDICATION_HEADERS);
+		const row = [id, name, pills, hours, step];
+		const rowNumber = _findRowById(sheet, id, 1);
+		if (rowNumber === -1) {
+			sheet.appendRow(row);
+		} else {
+			sheet.getRange(rowNumber, 1, 1, row.length).setValues([row]);
+		}
+		return { success: true, id, message: `Medication '${name}' saved.` };
+	} catch (error) {
+		console.error(`Error in handleSaveMedication: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
+	}
+}
+
+/**
+ * Handles removing a medication. Medications that still have entries, regimens or refills are
+ * kept, so no history is ever left without its medication.
+ * @param {object} params The parameters from the request, expecting {id: string}.
+ * @returns {object} A result object {success, removed, message/error}.
+ */
+function handleRemoveMedication(params) {
+	try {
+		const id = params.id ? String(params.id).trim() : '';
+		if (!id) {
+			return { success: false, error: "Missing 'id' parameter for removeMedication action." };
+		}
+
+		const sheets = _profileSheets(params.profile);
+		const dataSheet = _getSheet(sheets.data);
+		_internalEnsureHeaders(dataSheet);
+		const regimenSheet = _getOrCreateSheet(sheets.regimens, REGIMEN_HEADERS);
+		const refillSheet = _getOrCreateSheet(sheets.refills, REFILL_HEADERS);
+		const isUsedIn = (sheet, column) =>
+			sheet.getLastRow() > 1 &&
+			sheet
+				.getRange(2, column, sheet.getLastRow() - 1, 1)
+				.getValues()
+				.some((row) => _medicationOf(row[0]) === id);
+		if (
+			isUsedIn(dataSheet, MEDICATION_COLUMN) ||
+			isUsedIn(regimenSheet, REGIMEN_HEADERS.indexOf(MEDICATION_HEADER) + 1) ||
+			isUsedIn(refillSheet, REFILL_HEADERS.indexOf(MEDICATION_HEADER) + 1)
+		) {
+			return {
+				success: false,
+				error: `Medication '${id}' still has entries, regimens or refills. Remove those first.`,
+			};
+		}
+
+		const sheet = _getOrCreateSheet(sheets.medications, MEDICATION_HEADERS);
+		const rowNumber = _findRowById(sheet, id, 1);
+		if (rowNumber === -1) {
+			return { success: true, removed: false, message: `No medication found with ID '${id}'.` };
+		}
+		sheet.deleteRow(rowNumber);
+		return { success: true, removed: true, message: `Medication '${id}' removed.` };
+	} catch (error) {
+		console.error(`Error in handleRemoveMedication: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
+	}
+}
+
+/**
+ * Handles the 'getRefills' action.
+ * @param {object} params The parameters from the request, optionally {medication: string} to
+ * return only that medication's refills.
+ * @returns {object} A result object {success, data[]} with {id, date, count, medication} entries sorted by date.
+ */
+function handleGetRefills(params) {
+	try {
+		const filter = params.medication ? _parseMedicationParam(params.medication) : null;
+		if (filter && filter.error) {
+			return { success: false, error: filter.error };
+		}
+		const refills = _readSheetRows(_profileSheets(params.profile).refills, REFILL_HEADERS.length)
+			.filter((row) => String(row[0]).trim() !== '' && String(row[1]).trim() !== '')
+			.map((row) => ({
+				id: String(row[0]).trim(),
+				date: row[1] instanceof Date ? row[1].toISOString() : String(row[1]).trim(),
+				count: parseFloat(row[2]),
+				medication: _medicationOf(row[3]),
+			}))
+			.filter((refill) => !filter || refill.medication === filter.medication)
+			.sort((a, b) => new Date(a.date) - new Date(b.date));
+		return { success: true, data: refills };
+	} catch (error) {
+		console.error(`Error in handleGetRefills: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
+	}
+}
+
+/**
+ * Handles recording pills added to a medication's stock at `date`. Adding an ID that already
+ * exists is a no-op, like handleAddRegimen.
+ * @param {object} params The parameters from the request, expecting {id: string, date: string, count: string|number, medication?: string}.
+ * @returns {object} A result object {success, id, message/error}.
+ */
+function handleAddRefill(params) {
+	try {
+		const { id: idParam, date: dateStr } = params;
+		const count = parseFloat(params.count);
+
+		if (!dateStr || !ISO_DATE_TIME_REGEX.test(String(dateStr).trim())) {
+			return {
+				success: false,
+				error: `Invalid 'date' format: '${dateStr}'. Expected a valid ISO 8601 string.`,
+			};
+		}
+		if (!isFinite(count) || count === 0) {
+			return { success: false, error: "'count' must be a non-zero number." };
+		}
+		const id = idParam ? String(idParam).trim() : Utilities.getUuid();
+		if (!ID_REGEX.test(id)) {
+			return { success: false, error: `Invalid 'id': '${idParam}'.` };
+		}
+		const { medication, error: medicationError } = _parseMedicationParam(params.medication);
+		if (medicationError) {
+			return { success: false, error: medicationError };
+		}
+
+		const sheet = _getOrCreateSheet(_profileSheets(params.profile).refills, REFILL_HEADERS);
+		if (_findRowById(sheet, id, 1) !== -1) {
+			return { success: true, id, duplicate: true, message: `Refill '${id}' already exists.` };
+		}
+		sheet.appendRow([id, String(dateStr).trim(), count, medication]);
+		return { success: true, id, message: 'Refill added successfully.' };
+	} catch (error) {
+		console.error(`Error in handleAddRefill: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
+	}
+}
+
+/**
+ * Handles removing a refill by its ID.
+ * @param {object} params The parameters from the request, expecting {id: string}.
+ * @returns {object} A result object {success, removed, message/error}.
+ */
+function handleRemoveRefill(params) {
+	try {
+		const id = params.id ? String(params.id).trim() : '';
+		if (!id) {
+			return { success: false, error: "Missing 'id' parameter for removeRefill action." };
+		}
+		const sheet = _getOrCreateSheet(_profileSheets(params.profile).refills, REFILL_HEADERS);
+		const rowNumber = _findRowById(sheet, id, 1);
+		if (rowNumber === -1) {
+			return { success: true, removed: false, message: `No refill found with ID '${id}'.` };
+		}
+		sheet.deleteRow(rowNumber);
+		return { success: true, removed: true, message: `Refill '${id}' removed.` };
+	} catch (error) {
+		console.error(`Error in handleRemoveRefill: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
+	}
+}
+
+/**
+ * Handles the 'getProfiles' action. The default profile is only listed once it has been named.
+ * @returns {object} A result object {success, data[]} with {id, name} entries in sheet order.
+ */
+function handleGetProfiles() {
+	try {
+		const profiles = _readSheetRows(PROFILE_SHEET_NAME, 2)
+			.filter((row) => String(row[0]).trim() !== '')
+			.map((row) => ({ id: String(row[0]).trim(), name: String(row[1]).trim() }));
+		return { success: true, data: profiles };
+	} catch (error) {
+		console.error(`Error in handleGetProfiles: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
+	}
+}
+
+/**
+ * Picks the entry tab name for a new profile: its name, numbered if that or one of the
+ * derived tab names is taken.
+ * @param {string} name The profile name.
+ * @returns {string}
+ */
+function _newProfileSheetName(name) {
+	const ss = SpreadsheetApp.getActiveSpreadsheet();
+	// The default profile's sheets are created on first use, so they may not exist yet.
+	const reserved = [PROFILE_SHEET_NAME, ...Object.values(_profileSheets(DEFAULT_PROFILE_ID))];
+	const isTaken = (dataSheetName) =>
+		Object.values(_profileSheetNames(dataSheetName)).some(
+			(sheetName) => reserved.includes(sheetName) || ss.getSheetByName(sheetName) !== null
+		);
+	let sheetName = name;
+	for (let n = 2; isTaken(sheetName); n++) {
+		sheetName = `${name} (${n})`;
+	}
+	return sheetName;
+}
+
+/**
+ * Handles adding a profile, or renaming the one with the same ID. A new profile gets its own
+ * entry, regimen, medication, refill, deleted entry and audit log tabs; renaming keeps the tab names. The default profile keeps
+ * using the original sheets and can only be named.
+ * @param {object} params The parameters from the request, expecting {id: string, name: string}.
+ * @returns {object} A result object {success, id, created, message/error}.
+ */
+function handleSaveProfile(params) {
+	try {
+		const id = params.id ? String(params.id).trim() : '';
+		const name = params.name ? String(params.name).trim() : '';
+
+		if (!ID_REGEX.test(id)) {
+			return { success: false, error: `Invalid 'id': '${params.id}'.` };
+		}
+		if (!name || name.length > PROFILE_NAME_MAX_LENGTH) {
+			return {
+				success: false,
+				error: `'name' must be 1 to ${PROFILE_NAME_MAX_LENGTH} characters long.`,
+			};
+		}
+
+		const sheet = _getOrCreateSheet(PROFILE_SHEET_NAME, PROFILE_HEADERS);
+		const rowNumber = _findRowById(sheet, id, 1);
+		if (rowNumber !== -1) {
+			sheet.getRange(rowNumber, 2).setValue(name);
+			return { success: true, id, created: false, message: `Profile '${name}' renamed.` };
+		}
+
+		const dataSheetName = id === DEFAULT_PROFILE_ID ? SHEET_NAME : _newProfileSheetName(name);
+		if (id !== DEFAULT_PROFILE_ID) {
+			const sheets = _profileSheetNames(dataSheetName);
+			_getOrCreateSheet(sheets.data, HEADERS);
+			_getOrCreateSheet(sheets.regimens, REGIMEN_HEADERS);
+			_getOrCreateSheet(sheets.medications, MEDICATION_HEADERS);
+			_getOrCreateSheet(sheets.refills, REFILL_HEADERS);
+			_getOrCreateSheet(sheets.deleted, DELETED_HEADERS);
+			_getOrCreateSheet(sheets.audit, AUDIT_HEADERS);
+		}
+		sheet.appendRow([id, name, dataSheetName]);
+		return { success: true, id, created: true, message: `Profile '${name}' added.` };
+	} catch (error) {
+		console.error(`Error in handleSaveProfile: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
+	}
+}
+
+// --- Settings ---
+
+/**
+ * Handles the 'getSettings' action: the settings clients share through the backend, such as
+ * the time zone, so a new device can pick them up.
+ * @returns {object} A result object {success, data, updatedAt}; data is {} and updatedAt null
+ * until settings are first saved.
+ */
+function handleGetSettings() {
+	try {
+		const stored = PropertiesService.getScriptProperties().getProperty(SETTINGS_PROPERTY);
+		const { settings, updatedAt } = stored ? JSON.parse(stored) : { settings: {}, updatedAt: null };
+		return { success: true, data: settings, updatedAt };
+	} catch (error) {
+		console.error(`Error in handleGetSettings: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
+	}
+}
+
+/**
+ * Handles the 'saveSettings' action. Settings are replaced as a whole, unless the saved ones
+ * are newer, so a change queued on an offline device cannot overwrite a later one.
+ * @param {object} params The parameters from the request, expecting
+ * {settings: string (a JSON object of string values), updatedAt: string (ISO 8601)}.
+ * @returns {object} A result object {success, saved, message/error}.
+ */
+function handleSaveSettings(params) {
+	try {
+		const updatedAt = params.updatedAt ? String(params.updatedAt).trim() : '';
+		const json = params.settings ? String(params.settings) : '';
+
+		if (!ISO_DATE_TIME_REGEX.test(updatedAt) || isNaN(new Date(updatedAt).getTime())) {
+			return {
+				success: false,
+				error: `Invalid 'updatedAt': '${params.updatedAt}'. Expected ISO 8601 format.`,
+			};
+		}
+		if (json.length > SETTINGS_MAX_LENGTH) {
+			return {
+				success: false,
+				error: `'settings' must be at most ${SETTINGS_MAX_LENGTH} characters long.`,
+			};
+		}
+		let settings = null;
+		try {
+			settings = JSON.parse(json);
+		} catch (error) {
+			// Reported below.
+		}
+		if (
+			!settings ||
+			typeof settings !== 'object' ||
+			Array.isArray(settings) ||
+			Object.values(settings).some((value) => typeof value !== 'string')
+		) {
+			return { success: false, error: "'settings' must be a JSON object of strings." };
+		}
+
+		const properties = PropertiesService.getScriptProperties();
+		const stored = properties.getProperty(SETTINGS_PROPERTY);
+		if (stored && new Date(JSON.parse(stored).updatedAt) > new Date(updatedAt)) {
+			return { success: true, saved: false, message: 'Newer settings are already saved.' };
+		}
+		properties.setProperty(SETTINGS_PROPERTY, JSON.stringify({ settings, updatedAt }));
+		return { success: true, saved: true, message: 'Settings saved.' };
+	} catch (error) {
+		console.error(`Error in handleSaveSettings: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
+	}
+}
+
+// --- Statistics ---
+
+/**
+ * The default medication while it is not saved, with the default rate from the shared
+ * settings, like getUnsavedDefaultMedication in script.js.
+ * @returns {{id: string, pills: number, hours: number, step: number}}
+ */
+function _unsavedDefaultMedication() {
+	const settings = handleGetSettings().data || {};
+	const pills = Number(settings.defaultPills);
+	const hours = Number(settings.defaultHours);
+	return {
+		id: DEFAULT_MEDICATION_ID,
+		pills: pills > 0 ? pills : DEFAULT_PILLS,
+		hours: hours > 0 ? hours : DEFAULT_HOURS,
+		step: DEFAULT_DOSE_STEP,
+	};
+}
+
+/**
+ * Runs DosingEngine for one medication the way renderCalculations in script.js does.
+ * @param {Array<{id: string, date: string, value: number}>} entries The medication's entries.
+ * @param {Array<{start: string, pills: number, hours: number}>} regimens The medication's regimens.
+ * @param {{id: string, pills: number, hours: number, step: number}} medication
+ * @param {number} now Epoch milliseconds.
+ * @returns {object|null} The 'stats' data, see handleGetStats.
+ */
+function _calculateStats(entries, regimens, medication, now) {
+	const statistics = DosingEngine.calculateStatistics({
+		doses: DosingEngine.toDoses(
+			entries.map((entry) => ({ dosageAmount: entry.value, dosageTime: entry.date }))
+		),
+		periods: DosingEngine.createRatePeriods(regimens, medication.pills / medication.hours),
+		now,
+		dueAmounts: [medication.step, medication.step * 2],
+	});
+	if (!statistics) return null;
+
+	const toIso = (millis) => new Date(millis).toISOString();
+	const lastDose = entries
+		.filter((entry) => entry.value > 0 && new Date(entry.date).getTime() <= now)
+		.reduce(
+			(latest, entry) => (!latest || new Date(entry.date) > new Date(latest.date) ? entry : latest),
+			null
+		);
+	return {
+		medication: medication.id,
+		at: toIso(now),
+		lastDose: { id: lastDose.id, date: lastDose.date, value: lastDose.value },
+		totalGiven: statistics.totalGiven,
+		totalNeeded: statistics.totalNeeded,
+		currentNeeded: statistics.currentNeeded,
+		rateNow: statistics.rateNow,
+		projectedStart: toIso(statistics.projectedStart),
+		due: statistics.due.map(({ amount, offsetHours }) => ({
+			amount,
+			hours: offsetHours,
+			at: offsetHours === null ? null : toIso(now + offsetHours * DosingEngine.MS_PER_HOUR),
+		})),
+	};
+}
+
+/**
+ * Handles the 'stats' action: the statistics the page shows for a medication, computed by
+ * DosingEngine from the same entries, regimens and rate, so widgets and scripts agree with the
+ * page without downloading every entry. Due amounts are the medication's dose step and twice
+ * that, like the page's. Due times follow the deficit: the concentration model's settings are
+ * kept in each browser, so a page that triggers doses by level may show other due times.
+ * @param {object} params The parameters from the request, optionally {medication: string}; the
+ * default medication without one.
+ * @param {number} [now] Epoch milliseconds to calculate for.
+ * @returns {object} A result object {success, data, revision}. data is {medication, at,
+ * lastDose: {id, date, value}, totalGiven, totalNeeded, currentNeeded, rateNow, projectedStart,
+ * due: [{amount, hours, at}]} with ISO times, `hours` and `at` being null for an amount that
+ * never becomes due; it is null before the first dose.
+ */
+function handleGetStats(params, now = Date.now()) {
+	try {
+		if (typeof DosingEngine === 'undefined') {
+			return {
+				success: false,
+				error: "Add dosing_engine.js to the Apps Script project to use the 'stats' action.",
+			};
+		}
+		const filter = _parseMedicationParam(params.medication);
+		if (filter.error) {
+			return { success: false, error: filter.error };
+		}
+		const query = { profile: params.profile, medication: filter.medication };
+
+		const entries = handleGetData(query);
+		if (!entries.success) return entries;
+		const regimens = handleGetRegimens(query);
+		if (!regimens.success) return regimens;
+		const medications = handleGetMedications(query);
+		if (!medications.success) return medications;
+
+		let medication = medications.data.find((m) => m.id === filter.medication);
+		if (!medication && filter.medication === DEFAULT_MEDICATION_ID) {
+			medication = _unsavedDefaultMedication();
+		}
+		if (!medication) {
+			return { success: false, error: `Unknown medication '${filter.medication}'.` };
+		}
+		return {
+			success: true,
+			data: _calculateStats(entries.data, regimens.data, medication, now),
+			revision: entries.revision,
+		};
+	} catch (error) {
+		console.error(`Error in handleGetStats: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
+	}
+}
+
+// --- Overdue Alerts ---
+
+/**
+ * Reads the alert configuration; alerts are disabled until it is first saved.
+ * @returns {{enabled: boolean, marginMinutes: number, webhookUrl: string, email: string}}
+ */
+function _loadAlertConfig() {
+	const stored = PropertiesService.getScriptProperties().getProperty(ALERTS_PROPERTY);
+	return stored
+		? JSON.parse(stored)
+		: { enabled: false, marginMinutes: ALERT_DEFAULT_MARGIN_MINUTES, webhookUrl: '', email: '' };
+}
+
+/**
+ * Handles the 'getAlerts' action. It needs the write token, as the webhook URL may carry a
+ * secret.
+ * @returns {object} A result object {success, data: {enabled, marginMinutes, webhookUrl, email}}.
+ */
+function handleGetAlerts() {
+	try {
+		return { success: true, data: _loadAlertConfig() };
+	} catch (error) {
+		console.error(`Error in handleGetAlerts: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
+	}
+}
+
+/**
+ * Installs the time-driven trigger that runs checkOverdueDoses() while alerts are enabled, and
+ * removes it otherwise.
+ * @param {boolean} enabled
+ */
+function _syncAlertTrigger(enabled) {
+	const triggers = ScriptApp.getProjectTriggers().filter(
+		(trigger) => trigger.getHandlerFunction() === ALERT_CHECK_FUNCTION
+	);
+	if (enabled && triggers.length === 0) {
+		ScriptApp.newTrigger(ALERT_CHECK_FUNCTION)
+			.timeBased()
+			.everyMinutes(ALERT_CHECK_INTERVAL_MINUTES)
+			.create();
+	} else if (!enabled) {
+		triggers.forEach((trigger) => ScriptApp.deleteTrigger(trigger));
+	}
+}
+
+/**
+ * Handles the 'saveAlerts' action: replaces the alert configuration and installs or removes
+ * the trigger that checks for overdue doses.
+ * @param {object} params The parameters from the request: {enabled: 'true'|'false',
+ * marginMinutes?: string, webhookUrl?: string, email?: string}. A dose counts as overdue once
+ * it has been due for `marginMinutes`.
+ * @returns {object} A result object {success, message/error}.
+ */
+function handleSaveAlerts(params) {
+	try {
+		const enabled = String(params.enabled) === 'true';
+		const marginParam = params.marginMinutes;
+		const marginMinutes =
+			marginParam === undefined || String(marginParam).trim() === ''
+				? ALERT_DEFAULT_MARGIN_MINUTES
+				: Number(marginParam);
+		const webhookUrl = params.webhookUrl ? String(params.webhookUrl).trim() : '';
+		const email = params.email ? String(params.email).trim() : '';
+
+		if (
+			!Number.isInteger(marginMinutes) ||
+			marginMinutes < 0 ||
+			marginMinutes > ALERT_MAX_MARGIN_MINUTES
+		) {
+			return {
+				success: false,
+				error: `'marginMinutes' must be a whole number from 0 to ${ALERT_MAX_MARGIN_MINUTES}.`,
+			};
+		}
+		if (
+			webhookUrl &&
+			(!/^https?:\/\/\S+$/.test(webhookUrl) || webhookUrl.length > WEBHOOK_URL_MAX_LENGTH)
+		) {
+			return {
+				success: false,
+				error: `'webhookUrl' must be an http(s) URL of at most ${WEBHOOK_URL_MAX_LENGTH} characters.`,
+			};
+		}
+		if (email && !EMAIL_REGEX.test(email)) {
+			return { success: false, error: `Invalid 'email': '${params.email}'.` };
+		}
+		if (enabled && !webhookUrl && !email) {
+			return { success: false, error: 'Alerts need a webhook URL or an email address.' };
+		}
+
+		PropertiesService.getScriptProperties().setProperty(
+			ALERTS_PROPERTY,
+			JSON.stringify({ enabled, marginMinutes, webhookUrl, email })
+		);
+		_syncAlertTrigger(enabled);
+		return { success: true, message: enabled ? 'Alerts enabled.' : 'Alerts disabled.' };
+	} catch (error) {
+		console.error(`Error in handleSaveAlerts: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
+	}
+}
+
+/**
+ * Sends an alert to the configured webhook, as a JSON POST, and email address.
+ * @param {{webhookUrl: string, email: string}} config
+ * @param {{payload: object, subject: string, text: string}} alert
+ * @returns {{sent: string[], errors: string[]}} The channels that took the alert and why others
+ * did not.
+ */
+function _deliverAlert(config, alert) {
+	const sent = [];
+	const errors = [];
+	if (config.webhookUrl) {
+		try {
+			const response = UrlFetchApp.fetch(config.webhookUrl, {
+				method: 'post',
+				contentType: 'application/json',
+				payload: JSON.stringify(alert.payload),
+				muteHttpExceptions: true,
+			});
+			const code = response.getResponseCode();
+			if (code >= 200 && code < 300) sent.push('webhook');
+			else errors.push(`The webhook answered with HTTP ${code}.`);
+		} catch (error) {
+			errors.push(`The webhook could not be reached: ${error.message}`);
+		}
+	}
+	if (config.email) {
+		try {
+			MailApp.sendEmail(config.email, alert.subject, alert.text);
+			sent.push('email');
+		} catch (error) {
+			errors.push(`The email could not be sent: ${error.message}`);
+		}
+	}
+	return { sent, errors };
+}
+
+/**
+ * Handles the 'testAlert' action: sends a test alert through the saved channels.
+ * @returns {object} A result object {success, sent[], message/error}.
+ */
+function handleTestAlert() {
+	try {
+		const config = _loadAlertConfig();
+		if (!config.webhookUrl && !config.email) {
+			return { success: false, error: 'No webhook URL or email address is configured.' };
+		}
+		const { sent, errors } = _deliverAlert(config, {
+			payload: { type: 'test', at: new Date().toISOString() },
+			subject: 'Dosage Helper: test alert',
+			text: 'Overdue-dose alerts from Dosage Helper will arrive like this.',
+		});
+		if (errors.length > 0) {
+			return { success: false, sent, error: errors.join(' ') };
+		}
+		return { success: true, sent, message: 'Test alert sent.' };
+	} catch (error) {
+		console.error(`Error in handleTestAlert: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
+	}
+}
+
+/**
+ * Lists every medication of every profile, including the default medication of profiles that
+ * have not saved it; those without entries simply have no statistics.
+ * @returns {Array<{profile: {id: string, name: string}, medication: {id: string, name: string}}>}
+ */
+function _alertTargets() {
+	const profiles = handleGetProfiles().data || [];
+	if (!profiles.some((profile) => profile.id === DEFAULT_PROFILE_ID)) {
+		profiles.unshift({ id: DEFAULT_PROFILE_ID, name: DEFAULT_PROFILE_NAME });
+	}
+	return profiles.flatMap((profile) => {
+		const medications = handleGetMedications({ profile: profile.id }).data || [];
+		const listed = medications.some((medication) => medication.id === DEFAULT_MEDICATION_ID)
+			? medications
+			: [{ id: DEFAULT_MEDICATION_ID, name: DEFAULT_MEDICATION_NAME }, ...medications];
+		return listed.map(({ id, name }) => ({ profile, medication: { id, name } }));
+	});
+}
+
+/**
+ * Formats a time for alert emails, in the time zone of the shared settings.
+ * @param {string} iso
+ * @returns {string}
+ */
+function _formatAlertTime(iso) {
+	const timeZone = handleGetSettings().data.timeZone || Session.getScriptTimeZone();
+	return Utilities.formatDate(new Date(iso), timeZone, 'yyyy-MM-dd HH:mm');
+}
+
+/**
+ * Alerts about every medication whose smallest due dose has been due for the configured
+ * margin. Each medication is alerted about once per last logged dose, so the next alert
+ * waits for a new dose. Takes the clock as a parameter, so it can be tested.
+ * @param {number} now Epoch milliseconds.
+ * @returns {object} A result object {success, alerted[], errors[]} naming the alerted
+ * medications as 'profile/medication'.
+ */
+function _checkOverdueDoses(now) {
+	try {
+		const config = _loadAlertConfig();
+		if (!config.enabled) return { success: true, alerted: [], errors: [] };
+		const properties = PropertiesService.getScriptProperties();
+		const state = JSON.parse(properties.getProperty(ALERT_STATE_PROPERTY) || '{}');
+		const alerted = [];
+		const errors = [];
+
+		_alertTargets().forEach(({ profile, medication }) => {
+			const stats = handleGetStats({ profile: profile.id, medication: medication.id }, now);
+			if (!stats.success) {
+				errors.push(`${profile.name}/${medication.name}: ${stats.error}`);
+				return;
+			}
+			const due = stats.data && stats.data.due[0];
+			if (!due || due.hours === null || -due.hours * 60 < config.marginMinutes) return;
+			const key = `${profile.id}/${medication.id}`;
+			const { lastDose, currentNeeded } = stats.data;
+			if (state[key] === lastDose.id) return;
+
+			const delivery = _deliverAlert(config, {
+				payload: {
+					type: 'overdue',
+					profile,
+					medication,
+					amount: due.amount,
+					dueAt: due.at,
+					overdueHours: -due.hours,
+					currentNeeded,
+					lastDose,
+					at: stats.data.at,
+				},
+				subject: `Dose overdue: ${medication.name} for ${profile.name}`,
+				text:
+					`A dose of ${due.amount} ${medication.name} for ${profile.name} was due at ` +
+					`${_formatAlertTime(due.at)}. The last dose, ${lastDose.value}, was logged at ` +
+					`${_formatAlertTime(lastDose.date)}.`,
+			});
+			errors.push(...delivery.errors);
+			if (delivery.sent.length > 0) {
+				state[key] = lastDose.id;
+				alerted.push(key);
+			}
+		});
+
+		properties.setProperty(ALERT_STATE_PROPERTY, JSON.stringify(state));
+		return { success: true, alerted, errors };
+	} catch (error) {
+		console.error(`Error in _checkOverdueDoses: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
+	}
+}
+
+/**
+ * Entry point of the time-driven trigger installed by 'saveAlerts'.
+ */
+function checkOverdueDoses() {
+	const result = _withScriptLock(() => _checkOverdueDoses(Date.now()));
+	if (!result.success) console.error(`Overdue check failed: ${result.error}`);
+	else if (result.errors.length > 0) console.warn(`Overdue check: ${result.errors.join(' ')}`);
+}
+
+// --- Revisions ---
+
+/**
+ * Reads the revision of a profile's entries; 0 until they first change.
+ * @param {string} dataSheetName The profile's entry tab.
+ * @returns {number}
+ */
+function _getRevision(dataSheetName) {
+	const value = PropertiesService.getScriptProperties().getProperty(
+		REVISION_PROPERTY_PREFIX + dataSheetName
+	);
+	return value ? parseInt(value, 10) : 0;
+}
+
+/**
+ * Advances the revision of a profile's entries. Only call this while holding the script lock.
+ * @param {string} dataSheetName The profile's entry tab.
+ * @returns {number} The new revision.
+ */
+function _bumpRevision(dataSheetName) {
+	const revision = _getRevision(dataSheetName) + 1;
+	PropertiesService.getScriptProperties().setProperty(
+		REVISION_PROPERTY_PREFIX + dataSheetName,
+		String(revision)
+	);
+	return revision;
+}
+
+/**
+ * Tells whether one of the ENTRY_WRITE_ACTIONS changed any entry; duplicates and targets that
+ * were not found change nothing.
+ * @param {string} action
+ * @param {object} result The handler's result.
+ * @returns {boolean}
+ */
+function _changedEntries(action, result) {
+	if (!result.success) return false;
+	switch (action) {
+		case 'add':
+			return !result.duplicate;
+		case 'bulkAdd':
+			return result.added > 0;
+		case 'remove':
+			return Boolean(result.removed);
+		case 'update':
+			return Boolean(result.updated);
+		case 'restore':
+			return Boolean(result.restored);
+	}
+	return false;
+}
+
+/**
+ * Runs a write while holding the script lock, so a request never sees the sheets halfway
+ * through another one's changes, e.g. a row number that a concurrent removal has shifted.
+ * @param {function(): object} write
+ * @returns {object} The write's result, or an error if the lock could not be acquired in time.
+ */
+function _withScriptLock(write) {
+	const lock = LockService.getScriptLock();
+	if (!lock.tryLock(LOCK_TIMEOUT_MS)) {
+		return { success: false, error: 'Another change is still being saved. Please try again.' };
+	}
+	try {
+		return write();
+	} finally {
+		// Pending sheet changes must be written before the next request can read them.
+		SpreadsheetApp.flush();
+		lock.releaseLock();
+	}
+}
+
+// --- Access Tokens ---
+
+/**
+ * Creates the read and write access tokens if they do not exist yet and logs both.
+ * Run this from the Apps Script editor; to revoke a token, delete its Script Property and run
+ * it again.
+ */
+function setupAccessTokens() {
+	const properties = PropertiesService.getScriptProperties();
+	[WRITE_TOKEN_PROPERTY, READ_TOKEN_PROPERTY].forEach((property) => {
+		if (!properties.getProperty(property)) {
+			properties.setProperty(property, Utilities.getUuid().replace(/-/g, ''));
+		}
+		Logger.log(`${property}: ${properties.getProperty(property)}`);
+	});
+}
+
+// --- Web App Entry Points ---
+
+/**
+ * Runs one of the READ_ACTIONS.
+ * @param {string} action
+ * @param {object} params The request parameters.
+ * @param {string} access 'read' or 'write', from _authorize.
+ * @returns {object} The handler's result.
+ */
+function _handleReadAction(action, params, access) {
+	switch (action) {
+		case 'get':
+			return handleGetData(params);
+		case 'ensureHeaders':
+			return handleEnsureHeaders(params, access);
+		case 'getRegimens':
+			return handleGetRegimens(params);
+		case 'getMedications':
+			return handleGetMedications(params);
+		case 'getRefills':
+			return handleGetRefills(params);
+		case 'getProfiles':
+			return handleGetProfiles();
+		case 'getDeleted':
+			return handleGetDeleted(params);
+		case 'getRevision':
+			return handleGetRevision(params);
+		case 'getSettings':
+			return handleGetSettings();
+		case 'stats':
+			return handleGetStats(params);
+	}
+	throw new Error(`Unknown read action '${action}'.`);
+}
+
+/**
+ * Runs a write action other than one of the READ_ACTIONS.
+ * @param {string} action
+ * @param {object} params The request parameters.
+ * @returns {object} The handler's result.
+ */
+function _handleWriteAction(action, params) {
+	switch (action) {
+		case 'add':
+			return handleAddData(params);
+		case 'bulkAdd':
+			return handleBulkAdd(params);
+		case 'remove':
+			return handleRemoveData(params);
+		case 'update':
+			return handleUpdateData(params);
+		case 'restore':
+			return handleRestoreData(params);
+		case 'addRegimen':
+			return handleAddRegimen(params);
+		case 'removeRegimen':
+			return handleRemoveRegimen(params);
+		case 'addRefill':
+			return handleAddRefill(params);
+		case 'removeRefill':
+			return handleRemoveRefill(params);
+		case 'saveMedication':
+			return handleSaveMedication(params);
+		case 'removeMedication':
+			return handleRemoveMedication(params);
+		case 'saveProfile':
+			return handleSaveProfile(params);
+		case 'saveSettings':
+			return handleSaveSettings(params);
+		case 'getAlerts':
+			return handleGetAlerts();
+		case 'saveAlerts':
+			return handleSaveAlerts(params);
+		case 'testAlert':
+			return handleTestAlert();
+	}
+	return { success: false, error: `Invalid action '${action}' for POST request.` };
+}
+
+/**
+ * Runs one of the ENTRY_WRITE_ACTIONS against the revision of the profile's entries.
+ * @param {string} action
+ * @param {object} params The request parameters, optionally {expectedRevision: string}.
+ * @returns {object} The handler's result with the current `revision`, or a conflict result
+ * {success: false, conflict: true, revision, error} if `expectedRevision` is outdated.
+ */
+function _handleEntryWrite(action, params) {
+	let dataSheetName;
+	try {
+		dataSheetName = _profileSheets(params.profile).data;
+	} catch (error) {
+		return { success: false, error: error.message };
+	}
+	let revision = _getRevision(dataSheetName);
+
+	const expected = params.expectedRevision;
+	if (expected !== undefined && expected !== null && String(expected).trim() !== '') {
+		if (!/^\d+$/.test(String(expected).trim())) {
+			return { success: false, error: `Invalid 'expectedRevision': '${expected}'.` };
+		}
+		if (parseInt(expected, 10) !== revision) {
+			return {
+				success: false,
+				conflict: true,
+				revision,
+				error: `The entries have changed since revision ${expected}; they are now at revision ${revision}.`,
+			};
+		}
+	}
+
+	// Sheets from before the current headers or IDs are repaired here, under the lock, since
+	// 'get' only reads.
+	try {
+		const sheet = _getSheet(dataSheetName);
+		_internalEnsureHeaders(sheet);
+		if (_backfillIds(sheet) > 0) revision = _bumpRevision(dataSheetName);
+	} catch (error) {
+		console.error(`Error in _handleEntryWrite: ${error.toString()}`, error.stack);
+		return { success: false, error: error.message };
+	}
+
+	const result = _handleWriteAction(action, params);
+	return {
+		...result,
+		revision: _changedEntries(action, result) ? _bumpRevision(dataSheetName) : revision,
+	};
+}
+
+/**
+ * Handles GET requests to the web app.
+ * Supported actions: the READ_ACTIONS. The token is read from the query string here, so
+ * clients should prefer sending read actions through doPost.
+ * @param {GoogleAppsScript.Events.DoGet} e The event parameter.
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON response.
+ */
+function doGet(e) {
+	let result;
+	try {
+		const action = e.parameter.action;
+		const auth = _authorize(e.parameter.token, 'read');
+		if (auth.error) {
+			result = { success: false, error: auth.error, unauthorized: true };
+		} else if (READ_ACTIONS.includes(action)) {
+			result = { ..._handleReadAction(action, e.parameter, auth.access), access: auth.access };
+		} else {
+			result = { success: false, error: `Invalid action '${action}' for GET request.` };
+		}
+	} catch (error) {
+		console.error(`Critical error in doGet: ${error.toString()}`, error.stack);
+		result = { success: false, error: 'A server error occurred in doGet: ' + error.message };
+	}
+	return _createJsonResponse(result);
+}
+
+/**
+ * Handles POST requests to the web app.
+ * Supported actions: 'add', 'bulkAdd', 'remove', 'update', 'restore', 'addRegimen',
+ * 'removeRegimen', 'addRefill', 'removeRefill', 'saveMedication', 'removeMedication',
+ * 'saveProfile', 'saveSettings',
+ * 'getAlerts', 'saveAlerts', 'testAlert', which need the write token and run one at a time
+ * under the script lock, and the READ_ACTIONS.
+ * @param {GoogleAppsScript.Events.DoPost} e The event parameter.
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON response.
+ */
+function doPost(e) {
+	let result;
+	try {
+		const action = e.parameter.action;
+		const params = e.parameter;
+		const isReadAction = READ_ACTIONS.includes(action);
+
+		const auth = _authorize(params.token, isReadAction ? 'read' : 'write');
+		if (auth.error) {
+			result = { success: false, error: auth.error, unauthorized: true };
+		} else if (isReadAction) {
+			result = { ..._handleReadAction(action, params, auth.access), access: auth.access };
+		} else {
+			result = _withScriptLock(() =>
+				ENTRY_WRITE_ACTIONS.includes(action)
+					? _handleEntryWrite(action, params)
+					: _handleWriteAction(action, params)
+			);
 		}
 	} catch (error) {
 		console.error(`Critical error in doPost: ${error.toString()}`, error.stack);
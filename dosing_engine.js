@@ -0,0 +1,701 @@
+/**
+ * @fileoverview The dosing calculations, free of DOM, storage and clock access: rate periods,
+ * the deficit statistics and due times, the optional one-compartment concentration model, the
+ * chart series, the adherence figures, the dose planner and the pill inventory. Callers pass
+ * the current time and the rate periods in; all times are epoch milliseconds, so the engine
+ * runs unchanged in the page, in Node and in Apps Script.
+ * Loaded as a classic script in the browser and with `require` in Node.
+ */
+
+const DosingEngine = (() => {
+	const MS_PER_HOUR = 3600000;
+	const CONCENTRATION_SAMPLE_COUNT = 200;
+	const LEVEL_SEARCH_STEP_MS = 5 * 60 * 1000;
+	/** Bounds a plan, however small the doses are against the rate. */
+	const MAX_PLANNED_DOSES = 500;
+	/** How far ahead the inventory looks for the day the stock runs out. */
+	const INVENTORY_HORIZON_DAYS = 366;
+	/** Amounts the statistics report a due time for unless told otherwise. */
+	const DEFAULT_DUE_AMOUNTS = [0.5, 1];
+
+	const toMillis = (value) => (typeof value === 'number' ? value : Date.parse(value));
+
+	/**
+	 * Converts events into the dose list every other function works on, dropping entries
+	 * without a valid time or a positive amount.
+	 * @param {Array<{dosageAmount: number|string, dosageTime: string|number}>} events - Times
+	 *   as ISO strings with an offset, or epoch milliseconds.
+	 * @returns {Array<{millis: number, amount: number}>} Sorted by time.
+	 */
+	const toDoses = (events) =>
+		events
+			.map((event) => ({
+				millis: toMillis(event.dosageTime),
+				amount: parseFloat(event.dosageAmount),
+			}))
+			.filter((dose) => !isNaN(dose.millis) && !isNaN(dose.amount) && dose.amount > 0)
+			.sort((a, b) => a.millis - b.millis);
+
+	// --- Rate Periods ---
+	// A regimen is a pill count per number of hours that applies from its start until the next
+	// regimen starts. The earliest regimen also covers everything before it, so a history that
+	// began before the first regimen is still measured against something.
+
+	/**
+	 * @param {Array<{start: string|number, pills: number, hours: number}>} regimens
+	 * @param {number} fallbackRate - Pills per hour for the whole history when there is no regimen.
+	 * @returns {Array<{startMillis: number, rate: number}>} Sorted; the first starts at -Infinity.
+	 */
+	function createRatePeriods(regimens, fallbackRate) {
+		if (regimens.length === 0) return [{ startMillis: -Infinity, rate: fallbackRate }];
+		return regimens
+			.map((regimen) => ({
+				startMillis: toMillis(regimen.start),
+				rate: regimen.pills / regimen.hours,
+			}))
+			.sort((a, b) => a.startMillis - b.startMillis)
+			.map((period, index) => (index === 0 ? { ...period, startMillis: -Infinity } : period));
+	}
+
+	const hasPositiveRate = (periods) => periods.some((period) => period.rate > 0);
+
+	/**
+	 * @param {Array<{startMillis: number, rate: number}>} periods - From createRatePeriods().
+	 * @param {number} millis
+	 * @returns {number} The rate in pills per hour in effect at `millis`.
+	 */
+	function getRateAt(periods, millis) {
+		let rate = periods[0].rate;
+		periods.forEach((period) => {
+			if (period.startMillis <= millis) rate = period.rate;
+		});
+		return rate;
+	}
+
+	/**
+	 * Integrates the rate over [from, to], period by period.
+	 * @param {Array<{startMillis: number, rate: number}>} periods - From createRatePeriods().
+	 * @param {number} from
+	 * @param {number} to
+	 * @returns {number} The ideal intake in pills; 0 if `to` is not after `from`.
+	 */
+	function calculateIdealIntake(periods, from, to) {
+		return periods.reduce((total, period, index) => {
+			const end = index + 1 < periods.length ? periods[index + 1].startMillis : Infinity;
+			const overlap = Math.min(to, end) - Math.max(from, period.startMillis);
+			return overlap > 0 ? total + (period.rate * overlap) / MS_PER_HOUR : total;
+		}, 0);
+	}
+
+	/**
+	 * Finds the instant before the first dose from which its amount would have been needed,
+	 * walking back through the periods. This is where the deficit curve starts at zero.
+	 * @param {Array<{startMillis: number, rate: number}>} periods - From createRatePeriods().
+	 * @param {number} firstDoseMillis
+	 * @param {number} amount - The first dose.
+	 * @returns {number | null} Null if no positive rate reaches back far enough.
+	 */
+	function projectStartTime(periods, firstDoseMillis, amount) {
+		let remaining = amount;
+		let cursor = firstDoseMillis;
+		for (let i = periods.length - 1; i >= 0; i--) {
+			const { startMillis, rate } = periods[i];
+			if (startMillis >= cursor) continue;
+			if (rate > 0) {
+				const startCandidate = cursor - (remaining / rate) * MS_PER_HOUR;
+				if (startCandidate >= startMillis) return startCandidate;
+				remaining -= (rate * (cursor - startMillis)) / MS_PER_HOUR;
+			}
+			cursor = startMillis;
+		}
+		return null;
+	}
+
+	// --- Concentration Model ---
+	// Optional one-compartment model: every dose enters the body either at once or evenly over
+	// the absorption time and is eliminated with first-order kinetics. Levels are relative, in
+	// dose units (a level of 1 right after a single instant dose of 1).
+
+	/**
+	 * Estimated level at an instant: the sum of every earlier dose's contribution.
+	 * @param {Array<{millis: number, amount: number}>} doses - From toDoses().
+	 * @param {{halfLifeHours: number, absorptionHours: number}} settings
+	 * @param {number} millis
+	 * @returns {number}
+	 */
+	function calculateConcentrationAt(doses, settings, millis) {
+		const k = Math.LN2 / settings.halfLifeHours;
+		const absorption = settings.absorptionHours;
+		return doses.reduce((level, dose) => {
+			const hours = (millis - dose.millis) / MS_PER_HOUR;
+			if (hours < 0) return level;
+			if (absorption === 0) return level + dose.amount * Math.exp(-k * hours);
+			// Zero-order absorption: the dose flows in at a constant rate for `absorption` hours.
+			const infusionRate = dose.amount / absorption;
+			if (hours < absorption) return level + (infusionRate / k) * (1 - Math.exp(-k * hours));
+			return (
+				level +
+				(infusionRate / k) * (1 - Math.exp(-k * absorption)) * Math.exp(-k * (hours - absorption))
+			);
+		}, 0);
+	}
+
+	/**
+	 * Samples the level from the first dose until `end` (or the last dose, if later), plus the
+	 * instants around each dose so instant absorption shows as a vertical step.
+	 * @param {Array<{millis: number, amount: number}>} doses - From toDoses().
+	 * @param {{halfLifeHours: number, absorptionHours: number}} settings
+	 * @param {number} end
+	 * @returns {Array<{x: number, y: number}>} Chart.js points with millisecond x values.
+	 */
+	function calculateConcentrationSeries(doses, settings, end) {
+		if (doses.length === 0) return [];
+
+		const start = doses[0].millis;
+		const last = Math.max(end, doses[doses.length - 1].millis);
+		const step = Math.max((last - start) / CONCENTRATION_SAMPLE_COUNT, 60 * 1000);
+		const sampleTimes = new Set();
+		for (let t = start; t < last; t += step) sampleTimes.add(Math.round(t));
+		sampleTimes.add(last);
+		doses.forEach((dose) => {
+			sampleTimes.add(dose.millis - 1);
+			sampleTimes.add(dose.millis);
+		});
+
+		return [...sampleTimes]
+			.filter((t) => t >= start - 1 && t <= last)
+			.sort((a, b) => a - b)
+			.map((t) => ({ x: t, y: calculateConcentrationAt(doses, settings, t) }));
+	}
+
+	/**
+	 * The level at which a dose of `amount` is due: low enough that the dose keeps the level
+	 * under the maximum, but never below the minimum.
+	 * @param {{minLevel: number|null, maxLevel: number|null}} settings
+	 * @param {number} amount
+	 * @returns {number | null} Null if neither a minimum nor a maximum is set.
+	 */
+	function getLevelThreshold(settings, amount) {
+		const { minLevel, maxLevel } = settings;
+		if (maxLevel !== null)
+			return minLevel !== null ? Math.max(minLevel, maxLevel - amount) : maxLevel - amount;
+		return minLevel;
+	}
+
+	/**
+	 * Finds when the level, with no further doses, falls to the threshold. The search starts
+	 * once the last dose is fully absorbed, since the level only falls from then on.
+	 * @param {Array<{millis: number, amount: number}>} doses - From toDoses().
+	 * @param {{halfLifeHours: number, absorptionHours: number}} settings
+	 * @param {number} threshold
+	 * @param {number} now
+	 * @returns {number | null} Hours from now; negative if that already happened, 0 if the
+	 *   level never reached the threshold since the last dose. Null if it does not fall to the
+	 *   threshold within 20 half-lives.
+	 */
+	function findLevelCrossingHours(doses, settings, threshold, now) {
+		const levelAt = (millis) => calculateConcentrationAt(doses, settings, millis);
+		const lastDose = doses.length > 0 ? doses[doses.length - 1].millis : now;
+		const absorbedAt = lastDose + settings.absorptionHours * MS_PER_HOUR;
+		const searchStart = Math.max(now, absorbedAt);
+
+		const bisect = (above, below) => {
+			while (Math.abs(below - above) > 1000) {
+				const mid = (above + below) / 2;
+				if (levelAt(mid) > threshold) above = mid;
+				else below = mid;
+			}
+			return (below - now) / MS_PER_HOUR;
+		};
+
+		if (levelAt(searchStart) > threshold) {
+			const horizon = searchStart + 20 * settings.halfLifeHours * MS_PER_HOUR;
+			for (let t = searchStart; t <= horizon; t += LEVEL_SEARCH_STEP_MS) {
+				if (levelAt(t) <= threshold) return bisect(t - LEVEL_SEARCH_STEP_MS, t);
+			}
+			return null;
+		}
+
+		// Already below: look back to when it fell, but not past the end of the last absorption.
+		for (let t = searchStart; t >= absorbedAt; t -= LEVEL_SEARCH_STEP_MS) {
+			if (levelAt(t) > threshold) return bisect(t, t + LEVEL_SEARCH_STEP_MS);
+		}
+		return 0;
+	}
+
+	// --- Deficit ---
+
+	/**
+	 * Computes the statistics as of `now`. Doses logged for a later time do not count yet.
+	 * @param {object} input
+	 * @param {Array<{millis: number, amount: number}>} input.doses - From toDoses().
+	 * @param {Array<{startMillis: number, rate: number}>} input.periods - From createRatePeriods().
+	 * @param {number} input.now
+	 * @param {object|null} [input.concentration] - Model settings {halfLifeHours, absorptionHours,
+	 *   minLevel, maxLevel, trigger}; with trigger 'level' doses are due by the level instead of
+	 *   the deficit.
+	 * @param {number[]} [input.dueAmounts] - Amounts to report a due time for.
+	 * @returns {{totalGiven: number, totalNeeded: number, currentNeeded: number, rateNow: number, projectedStart: number, level: number|null, due: Array<{amount: number, offsetHours: number|null}>} | null}
+	 *   Null before the first dose. `offsetHours` is null when no dose of that amount will
+	 *   become due, e.g. at a zero rate.
+	 */
+	function calculateStatistics({
+		doses,
+		periods,
+		now,
+		concentration = null,
+		dueAmounts = DEFAULT_DUE_AMOUNTS,
+	}) {
+		const taken = doses.filter((dose) => dose.millis <= now);
+		if (taken.length === 0) return null;
+
+		const totalGiven = taken.reduce((sum, dose) => sum + dose.amount, 0);
+		const projectedStart =
+			projectStartTime(periods, taken[0].millis, taken[0].amount) ?? taken[0].millis;
+		const totalNeeded = calculateIdealIntake(periods, projectedStart, now);
+		const currentNeeded = Math.max(0, totalNeeded - totalGiven);
+		const rateNow = getRateAt(periods, now);
+
+		// Hours until a dose of `amount` is due, by the deficit or by the level trigger.
+		let dueInHours = (amount) => (rateNow > 0 ? (amount - currentNeeded) / rateNow : null);
+		if (concentration && concentration.trigger === 'level') {
+			dueInHours = (amount) => {
+				const threshold = getLevelThreshold(concentration, amount);
+				return threshold === null
+					? null
+					: findLevelCrossingHours(taken, concentration, threshold, now);
+			};
+		}
+
+		return {
+			totalGiven,
+			totalNeeded,
+			currentNeeded,
+			rateNow,
+			projectedStart,
+			level: concentration ? calculateConcentrationAt(taken, concentration, now) : null,
+			due: dueAmounts.map((amount) => ({ amount, offsetHours: dueInHours(amount) })),
+		};
+	}
+
+	/**
+	 * The deficit over time: zero at the projected start, rising with the rate and dropping by
+	 * each dose, up to `now` or the last dose if that is later. Each dose gets a point just
+	 * before it, so the drop is vertical; doses at the same instant share one drop. Regimen
+	 * starts get a point too, since the slope changes there.
+	 * @param {Array<{millis: number, amount: number}>} doses - From toDoses().
+	 * @param {Array<{startMillis: number, rate: number}>} periods - From createRatePeriods().
+	 * @param {number} now
+	 * @returns {Array<{x: number, y: number}>} Chart.js points with millisecond x values;
+	 *   empty without doses.
+	 */
+	function calculateDeficitSeries(doses, periods, now) {
+		if (doses.length === 0) return [];
+
+		const start = projectStartTime(periods, doses[0].millis, doses[0].amount) ?? doses[0].millis;
+		const end = Math.max(now, doses[doses.length - 1].millis);
+		const neededAt = (millis, given) => calculateIdealIntake(periods, start, millis) - given;
+
+		const points = [{ x: start, y: 0 }];
+		const setPoint = (x, y) => {
+			const last = points[points.length - 1];
+			if (last.x === x) last.y = y;
+			else points.push({ x, y });
+		};
+
+		const regimenStarts = periods
+			.filter((period) => period.startMillis > start && period.startMillis < end)
+			.map((period) => ({ millis: period.startMillis, isRegimenStart: true }));
+		const timeline = [...doses, ...regimenStarts].sort((a, b) => a.millis - b.millis);
+
+		let given = 0;
+		timeline.forEach(({ millis, amount, isRegimenStart }) => {
+			if (isRegimenStart) {
+				setPoint(millis, neededAt(millis, given));
+				return;
+			}
+			if (points[points.length - 1].x < millis) setPoint(millis - 1, neededAt(millis, given));
+			given += amount;
+			setPoint(millis, neededAt(millis, given));
+		});
+
+		if (now > points[points.length - 1].x) setPoint(now, neededAt(now, given));
+		return points;
+	}
+
+	// --- Adherence ---
+	// A dose is expected once the previous one is used up at the rate in effect when it was
+	// given. Right after a dose on time the deficit is zero, and it grows to the dose's amount
+	// by the next one, so the band the deficit should stay in runs from -tolerance to that
+	// amount plus the tolerance. A dose is late once the deficit has left the band, `tolerance /
+	// rate` hours after it was expected. A gap long enough for several doses is matched to the
+	// nearest number of them; the ones in between were missed.
+
+	/**
+	 * Combines doses at the same instant, which count as one dose.
+	 * @param {Array<{millis: number, amount: number}>} doses - From toDoses().
+	 * @returns {Array<{millis: number, amount: number}>}
+	 */
+	function mergeDoses(doses) {
+		const merged = [];
+		doses.forEach((dose) => {
+			const last = merged[merged.length - 1];
+			if (last && last.millis === dose.millis) last.amount += dose.amount;
+			else merged.push({ ...dose });
+		});
+		return merged;
+	}
+
+	/**
+	 * Time a straight stretch of the deficit spends within [low, high].
+	 * @param {number} y0 - The deficit at the start of the stretch.
+	 * @param {number} y1 - The deficit at its end.
+	 * @param {number} duration
+	 * @param {number} low
+	 * @param {number} high
+	 * @returns {number} Part of `duration`.
+	 */
+	function timeInBand(y0, y1, duration, low, high) {
+		if (duration <= 0) return 0;
+		if (y0 === y1) return y0 >= low && y0 <= high ? duration : 0;
+		const bottom = Math.max(Math.min(y0, y1), low);
+		const top = Math.min(Math.max(y0, y1), high);
+		return top > bottom ? (duration * (top - bottom)) / Math.abs(y1 - y0) : 0;
+	}
+
+	/**
+	 * @param {Array<{x: number, y: number}>} series - From calculateDeficitSeries().
+	 * @param {Array<{millis: number, amount: number}>} doses - From mergeDoses().
+	 * @param {number} tolerance
+	 * @param {number} from
+	 * @param {number} to
+	 * @returns {number | null} The share of [from, to] the deficit stayed within the band,
+	 *   counting only time the series covers; null if it covers none of it.
+	 */
+	function fractionInBand(series, doses, tolerance, from, to) {
+		let inside = 0;
+		let covered = 0;
+		let doseIndex = 0;
+		for (let i = 1; i < series.length; i++) {
+			const a = series[i - 1];
+			const b = series[i];
+			while (doseIndex + 1 < doses.length && doses[doseIndex + 1].millis <= a.x) doseIndex++;
+			const start = Math.max(a.x, from);
+			const end = Math.min(b.x, to);
+			if (end <= start) continue;
+			const deficitAt = (x) => a.y + ((b.y - a.y) * (x - a.x)) / (b.x - a.x);
+			covered += end - start;
+			inside += timeInBand(
+				deficitAt(start),
+				deficitAt(end),
+				end - start,
+				-tolerance,
+				doses[doseIndex].amount + tolerance
+			);
+		}
+		return covered > 0 ? inside / covered : null;
+	}
+
+	/**
+	 * Measures every gap between doses against the time the earlier dose lasts. After the last
+	 * dose, each expected dose whose band has passed by `end` was missed. Gaps that start at a
+	 * zero rate expect nothing.
+	 * @param {Array<{millis: number, amount: number}>} doses - From mergeDoses().
+	 * @param {Array<{startMillis: number, rate: number}>} periods - From createRatePeriods().
+	 * @param {number} tolerance
+	 * @param {number} end
+	 * @returns {{intervals: Array<{millis: number, hours: number}>, late: number[], missed: number[]}}
+	 *   Each interval at the time of the dose that closes it, the times of late doses and the
+	 *   times missed doses were expected.
+	 */
+	function analyzeGaps(doses, periods, tolerance, end) {
+		const intervals = [];
+		const late = [];
+		const missed = [];
+		doses.forEach((dose, index) => {
+			const next = doses[index + 1];
+			if (next) {
+				intervals.push({
+					millis: next.millis,
+					hours: (next.millis - dose.millis) / MS_PER_HOUR,
+				});
+			}
+			const rate = getRateAt(periods, dose.millis);
+			if (!(rate > 0)) return;
+			const expectedMs = (dose.amount / rate) * MS_PER_HOUR;
+			const graceMs = (tolerance / rate) * MS_PER_HOUR;
+
+			if (next) {
+				const gap = next.millis - dose.millis;
+				const slots = Math.max(1, Math.round(gap / expectedMs));
+				for (let j = 1; j < slots; j++) missed.push(dose.millis + j * expectedMs);
+				if (gap > slots * expectedMs + graceMs) late.push(next.millis);
+			} else {
+				for (let j = 1; dose.millis + j * expectedMs + graceMs < end; j++) {
+					missed.push(dose.millis + j * expectedMs);
+				}
+			}
+		});
+		return { intervals, late, missed };
+	}
+
+	/**
+	 * @param {number[]} sorted - Ascending.
+	 * @returns {number}
+	 */
+	function median(sorted) {
+		const middle = Math.floor(sorted.length / 2);
+		return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+	}
+
+	/**
+	 * How closely the doses followed the rate between `from` and `to`, or `now` if that is
+	 * earlier. Doses before `from` still matter: the gap from the last one opens the range and
+	 * the deficit carries over.
+	 * @param {object} input
+	 * @param {Array<{millis: number, amount: number}>} input.doses - From toDoses().
+	 * @param {Array<{startMillis: number, rate: number}>} input.periods - From createRatePeriods().
+	 * @param {number} input.from
+	 * @param {number} input.to
+	 * @param {number} input.now
+	 * @param {number} input.tolerance - How far the deficit may leave its band, in pills.
+	 * @param {Array<{start: number, end: number}>} [input.days] - Ranges to break the figures
+	 *   down by, such as calendar days in the user's time zone.
+	 * @returns {{start: number, end: number, doseCount: number, totalGiven: number, totalNeeded: number, late: number, missed: number, inBand: number|null, intervals: {mean: number, median: number, max: number}|null, days: object[]}}
+	 *   `inBand` is a fraction of the time the deficit covers, null if it covers none of the
+	 *   range. `intervals` are in hours, null without an interval that closes in the range.
+	 *   `days` has the same counts and totals for each of `input.days`.
+	 */
+	function calculateAdherence({ doses, periods, from, to, now, tolerance, days = [] }) {
+		const end = Math.min(to, now);
+		const series = calculateDeficitSeries(doses, periods, now);
+		const projectedStart = series.length > 0 ? series[0].x : null;
+		const merged = mergeDoses(doses);
+		const { intervals, late, missed } = analyzeGaps(merged, periods, tolerance, end);
+
+		const summarize = (start, stop) => {
+			const inRange = (millis) => millis >= start && millis < stop;
+			const given = doses.filter((dose) => inRange(dose.millis));
+			return {
+				start,
+				end: stop,
+				doseCount: given.length,
+				totalGiven: given.reduce((sum, dose) => sum + dose.amount, 0),
+				totalNeeded:
+					projectedStart === null
+						? 0
+						: calculateIdealIntake(periods, Math.max(start, projectedStart), stop),
+				late: late.filter(inRange).length,
+				missed: missed.filter(inRange).length,
+				inBand: fractionInBand(series, merged, tolerance, start, stop),
+			};
+		};
+
+		const hours = intervals
+			.filter((interval) => interval.millis >= from && interval.millis < end)
+			.map((interval) => interval.hours)
+			.sort((a, b) => a - b);
+		return {
+			...summarize(from, end),
+			intervals:
+				hours.length === 0
+					? null
+					: {
+							mean: hours.reduce((sum, value) => sum + value, 0) / hours.length,
+							median: median(hours),
+							max: hours[hours.length - 1],
+						},
+			days: days.map((day) => summarize(day.start, Math.min(day.end, end))),
+		};
+	}
+
+	// --- Planner ---
+	// Projects the doses to come: each one is due when the amount needed reaches the usual dose.
+	// A dose due within a blocked range, such as a night, moves to whichever end of the range is
+	// nearer, but never back to or before the previous dose. A dose given late makes up for the
+	// wait in whole steps, as far as the largest allowed dose permits; what the largest dose
+	// cannot make up is carried into the following doses, one usual interval apart. No dose
+	// comes sooner than the minimum interval after the previous one, logged or planned.
+
+	/**
+	 * Finds when the amount needed, `deficit` at `from`, grows to `target`.
+	 * @param {Array<{startMillis: number, rate: number}>} periods - From createRatePeriods().
+	 * @param {number} from
+	 * @param {number} deficit
+	 * @param {number} target
+	 * @param {number} limit - How far to look.
+	 * @returns {number | null} Null if it does not get there by `limit`.
+	 */
+	function findDeficitTime(periods, from, deficit, target, limit) {
+		let remaining = target - deficit;
+		if (remaining <= 0) return from;
+		let cursor = from;
+		while (cursor < limit) {
+			const rate = getRateAt(periods, cursor);
+			const next = periods.find((period) => period.startMillis > cursor);
+			const periodEnd = next ? next.startMillis : Infinity;
+			if (rate > 0) {
+				const reachedAt = cursor + (remaining / rate) * MS_PER_HOUR;
+				if (reachedAt <= periodEnd) return reachedAt <= limit ? reachedAt : null;
+				remaining -= (rate * (periodEnd - cursor)) / MS_PER_HOUR;
+			}
+			cursor = periodEnd;
+		}
+		return null;
+	}
+
+	/**
+	 * Plans the doses from `now`, or the last logged dose if that is later, until `until`.
+	 * @param {object} input
+	 * @param {Array<{millis: number, amount: number}>} input.doses - From toDoses().
+	 * @param {Array<{startMillis: number, rate: number}>} input.periods - From createRatePeriods().
+	 * @param {number} input.now
+	 * @param {number} input.until
+	 * @param {number} input.amount - The usual dose.
+	 * @param {number} input.step - Doses are whole multiples of it.
+	 * @param {number|null} [input.maxAmount] - The largest single dose.
+	 * @param {number|null} [input.minIntervalHours] - The least time between two doses.
+	 * @param {Array<{start: number, end: number}>} [input.blocked] - Ranges no dose should fall
+	 *   in, not overlapping or touching.
+	 * @returns {Array<{millis: number, amount: number, shifted: boolean}>} Empty without doses to
+	 *   plan from or at a zero rate. At most one dose per instant. `shifted` marks doses moved
+	 *   out of a blocked range.
+	 */
+	function planDoses({
+		doses,
+		periods,
+		now,
+		until,
+		amount,
+		step,
+		maxAmount = null,
+		minIntervalHours = null,
+		blocked = [],
+	}) {
+		if (doses.length === 0 || !(amount > 0) || !(step > 0)) return [];
+
+		const minIntervalMs = minIntervalHours > 0 ? minIntervalHours * MS_PER_HOUR : 0;
+		let previous = doses[doses.length - 1].millis;
+		let cursor = Math.max(now, previous);
+		const projectedStart =
+			projectStartTime(periods, doses[0].millis, doses[0].amount) ?? doses[0].millis;
+		let deficit =
+			calculateIdealIntake(periods, projectedStart, cursor) -
+			doses.reduce((sum, dose) => sum + dose.amount, 0);
+
+		const plan = [];
+		while (plan.length < MAX_PLANNED_DOSES) {
+			let millis = findDeficitTime(periods, cursor, deficit, amount, until);
+			// Still a usual dose or more behind: the next dose is one usual interval after the
+			// previous one rather than at once, so doses never pile up at one instant.
+			if (millis !== null && deficit >= amount) {
+				const slot = findDeficitTime(periods, previous, 0, amount, until);
+				millis = slot === null ? null : Math.max(millis, slot);
+			}
+			if (millis === null) break;
+			const earliest = previous + minIntervalMs;
+			if (millis < earliest) {
+				if (earliest > until) break;
+				millis = earliest;
+			}
+			const range = blocked.find(
+				(blockedRange) => millis >= blockedRange.start && millis < blockedRange.end
+			);
+			if (range) {
+				const earlier =
+					range.start > cursor &&
+					range.start >= earliest &&
+					millis - range.start <= range.end - millis;
+				millis = earlier ? range.start : range.end;
+				if (millis > until) break;
+			}
+
+			const needed = deficit + calculateIdealIntake(periods, cursor, millis);
+			let planned = Math.max(amount, Math.round(needed / step) * step);
+			if (maxAmount !== null) planned = Math.min(planned, maxAmount);
+			// Keeps sums of steps such as 0.1 from drifting.
+			planned = Math.round(planned * 1e6) / 1e6;
+			plan.push({ millis, amount: planned, shifted: Boolean(range) });
+			deficit = needed - planned;
+			cursor = millis;
+			previous = millis;
+		}
+		return plan;
+	}
+
+	// --- Inventory ---
+	// The pills in stock are the refills less the doses logged since the first refill; doses
+	// from before it came out of a stock that was never counted.
+
+	/**
+	 * Counts the pills left and projects when they run out at the rate.
+	 * @param {object} input
+	 * @param {Array<{millis: number, amount: number}>} input.doses - From toDoses().
+	 * @param {Array<{millis: number, count: number}>} input.refills - Sorted by time.
+	 * @param {Array<{startMillis: number, rate: number}>} input.periods - From createRatePeriods().
+	 * @param {number} input.now
+	 * @returns {{remaining: number, runOutAt: number|null} | null} Null before the first refill.
+	 *   `runOutAt` is `now` once the stock is used up, and null if it lasts longer than
+	 *   INVENTORY_HORIZON_DAYS, e.g. at a zero rate.
+	 */
+	function calculateInventory({ doses, refills, periods, now }) {
+		const counted = refills.filter((refill) => refill.millis <= now);
+		if (counted.length === 0) return null;
+
+		const since = counted[0].millis;
+		const added = counted.reduce((sum, refill) => sum + refill.count, 0);
+		const taken = doses
+			.filter((dose) => dose.millis >= since && dose.millis <= now)
+			.reduce((sum, dose) => sum + dose.amount, 0);
+		const remaining = added - taken;
+		const horizon = now + INVENTORY_HORIZON_DAYS * 24 * MS_PER_HOUR;
+		return {
+			remaining,
+			runOutAt: remaining <= 0 ? now : findDeficitTime(periods, now, 0, remaining, horizon),
+		};
+	}
+
+	/**
+	 * Runs every calculation the app shows for one set of inputs.
+	 * @param {object} input
+	 * @param {Array<{dosageAmount: number|string, dosageTime: string|number}>} input.events
+	 * @param {Array<{startMillis: number, rate: number}>} input.periods - From createRatePeriods().
+	 * @param {number} input.now
+	 * @param {object|null} [input.concentration] - See calculateStatistics.
+	 * @param {number[]} [input.dueAmounts] - See calculateStatistics.
+	 * @returns {{statistics: object|null, deficitSeries: Array<{x: number, y: number}>, levelSeries: Array<{x: number, y: number}>}}
+	 */
+	function calculate({ events, periods, now, concentration = null, dueAmounts }) {
+		const doses = toDoses(events);
+		return {
+			statistics: calculateStatistics({ doses, periods, now, concentration, dueAmounts }),
+			deficitSeries: calculateDeficitSeries(doses, periods, now),
+			levelSeries: concentration ? calculateConcentrationSeries(doses, concentration, now) : [],
+		};
+	}
+
+	return {
+		MS_PER_HOUR,
+		DEFAULT_DUE_AMOUNTS,
+		toDoses,
+		createRatePeriods,
+		hasPositiveRate,
+		getRateAt,
+		calculateIdealIntake,
+		projectStartTime,
+		calculateConcentrationAt,
+		calculateConcentrationSeries,
+		getLevelThreshold,
+		findLevelCrossingHours,
+		calculateStatistics,
+		calculateDeficitSeries,
+		calculateAdherence,
+		planDoses,
+		calculateInventory,
+		calculate,
+	};
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = DosingEngine;
+}
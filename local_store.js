@@ -0,0 +1,1282 @@
+/**
+ * @fileoverview Implementation of the app_script.js action protocol over a plain JSON document.
+ * Uses the same actions, validation and `{success, data, error, removed}` responses as the
+ * Apps Script web app, so any host that can persist a JSON document can act as a backend.
+ * Loaded as a classic script in the browser and with `require` in Node.
+ * The document's own lists belong to the default profile; every other profile keeps its lists
+ * under `profileData`, like the tabs app_script.js creates per profile. Removed entries move to
+ * the profile's `deleted` list and every change to entries is appended to its `audit` list,
+ * like the Deleted and Audit Log tabs. A profile's `revision` field mirrors the revision
+ * app_script.js keeps per profile; it is missing until the profile's entries first change.
+ * Audit entries record the revision they produced, which 'get' uses to answer `since`.
+ * The shared settings are kept in the document's `settings` field, like the SETTINGS Script
+ * Property, once they are first saved. The 'stats' action uses DosingEngine, a global in the
+ * page and loaded from dosing_engine.js in Node.
+ */
+
+const LocalStore = (() => {
+	// Regex for YYYY-MM-DDTHH:mm:ss (optional fractional seconds and timezone)
+	const ISO_DATE_TIME_REGEX =
+		/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,3})?(Z|([+-]\d{2}(:\d{2})?))?$/;
+	const ID_REGEX = /^[A-Za-z0-9_-]{1,64}$/;
+	const BULK_ADD_MAX_ROWS = 500;
+	const OVERRIDE_MAX_LENGTH = 500;
+	const MEDICATION_NAME_MAX_LENGTH = 100;
+	const PROFILE_NAME_MAX_LENGTH = 50;
+	const REASON_MAX_LENGTH = 500;
+	const CLIENT_MAX_LENGTH = 100;
+	const GET_MAX_LIMIT = 1000;
+	const CURSOR_REGEX = /^(\d+)_([A-Za-z0-9_-]{1,64})$/;
+	const SETTINGS_MAX_LENGTH = 5000;
+	/** Medication of rows and regimens stored before medications existed. */
+	const DEFAULT_MEDICATION_ID = 'default';
+	const DEFAULT_PILLS = 1;
+	const DEFAULT_HOURS = 8;
+	const DEFAULT_DOSE_STEP = 0.5;
+	/** Profile whose lists are the document's own. */
+	const DEFAULT_PROFILE_ID = 'default';
+
+	/** Actions doGet accepts; doPost accepts them as well. A read-only token may call them. */
+	const GET_ACTIONS = [
+		'get',
+		'ensureHeaders',
+		'getRegimens',
+		'getMedications',
+		'getRefills',
+		'getProfiles',
+		'getDeleted',
+		'getRevision',
+		'getSettings',
+		'stats',
+	];
+	/** Actions only doPost accepts. They need the write token. */
+	const POST_ACTIONS = [
+		'add',
+		'bulkAdd',
+		'remove',
+		'update',
+		'restore',
+		'addRegimen',
+		'removeRegimen',
+		'addRefill',
+		'removeRefill',
+		'saveMedication',
+		'removeMedication',
+		'saveProfile',
+		'saveSettings',
+	];
+	/** Actions that modify the document; the caller persists it after they succeed. */
+	const MUTATING_ACTIONS = POST_ACTIONS;
+	/** Actions that change entries: they advance the revision and accept `expectedRevision`. */
+	const ENTRY_WRITE_ACTIONS = ['add', 'bulkAdd', 'remove', 'update', 'restore'];
+
+	/** Lists every profile has, besides the document-wide `profiles` and `profileData`. */
+	const PROFILE_LISTS = ['rows', 'regimens', 'medications', 'refills', 'deleted', 'audit'];
+
+	/**
+	 * Creates the lists of one profile.
+	 * @returns {{rows: Array<{id: string, date: string, value: number, override?: string, medication?: string}>, regimens: Array<{id: string, start: string, pills: number, hours: number, medication?: string}>, medications: Array<{id: string, name: string, pills: number, hours: number, step: number}>, refills: Array<{id: string, date: string, count: number, medication: string}>, deleted: Array<object>, audit: Array<{timestamp: string, action: string, id: string, client: string, before: object|null, after: object|null, revision: number}>}}
+	 */
+	function createProfileData() {
+		return { rows: [], regimens: [], medications: [], refills: [], deleted: [], audit: [] };
+	}
+
+	/**
+	 * Creates an empty document: the default profile's lists, the named profiles and the lists
+	 * of every profile but the default one, by profile ID.
+	 * @returns {{rows: Array<object>, regimens: Array<object>, medications: Array<object>, profiles: Array<{id: string, name: string}>, profileData: Object<string, object>}}
+	 */
+	function createDocument() {
+		return { ...createProfileData(), profiles: [], profileData: {} };
+	}
+
+	/**
+	 * Generates a unique entry ID. crypto.randomUUID is missing outside secure contexts
+	 * (e.g. a LAN server over plain HTTP), hence the fallback.
+	 * @returns {string}
+	 */
+	function generateId() {
+		if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+			return crypto.randomUUID();
+		}
+		return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+	}
+
+	/**
+	 * Brings a loaded document up to date, like _internalEnsureHeaders and _backfillIds do for
+	 * a sheet: rows stored before IDs existed get one, and lists added since are created.
+	 * @param {object} doc The document to modify.
+	 * @returns {boolean} True if the document changed and should be persisted.
+	 */
+	function normalizeDocument(doc) {
+		let changed = false;
+		if (!Array.isArray(doc.profiles)) {
+			doc.profiles = [];
+			changed = true;
+		}
+		if (!doc.profileData || typeof doc.profileData !== 'object') {
+			doc.profileData = {};
+			changed = true;
+		}
+		[doc, ...Object.values(doc.profileData)].forEach((lists) => {
+			PROFILE_LISTS.forEach((list) => {
+				if (!Array.isArray(lists[list])) {
+					lists[list] = [];
+					changed = true;
+				}
+			});
+			lists.rows.forEach((row) => {
+				if (!row.id) {
+					row.id = generateId();
+					changed = true;
+				}
+			});
+		});
+		return changed;
+	}
+
+	/**
+	 * Mirrors handleEnsureHeaders; a document has no header row to repair.
+	 * @returns {object} A result object {success, message, headersChanged}.
+	 */
+	function handleEnsureHeaders() {
+		return {
+			success: true,
+			message: 'Headers already exist and are correct.',
+			headersChanged: false,
+		};
+	}
+
+	/**
+	 * Mirrors _parseMedicationParam.
+	 * @param {string|undefined} medicationParam
+	 * @returns {{medication: string} | {error: string}}
+	 */
+	function parseMedicationParam(medicationParam) {
+		const medication = medicationParam ? String(medicationParam).trim() : '';
+		if (!medication) return { medication: DEFAULT_MEDICATION_ID };
+		if (!ID_REGEX.test(medication)) {
+			return { error: `Invalid 'medication': '${medicationParam}'.` };
+		}
+		return { medication };
+	}
+
+	const medicationOf = (item) => item.medication || DEFAULT_MEDICATION_ID;
+
+	/**
+	 * Reads the optional `medication` filter of a read or remove request.
+	 * @param {object} params
+	 * @returns {{filter: function(object): boolean} | {error: string}}
+	 */
+	function parseMedicationFilter(params) {
+		if (!params.medication) return { filter: () => true };
+		const { medication, error } = parseMedicationParam(params.medication);
+		if (error) return { error };
+		return { filter: (item) => medicationOf(item) === medication };
+	}
+
+	/**
+	 * Mirrors _rowToEntry: the entry object the 'get' action returns.
+	 * @param {object} row A stored row.
+	 * @returns {{date: string, value: number, id: string, override?: string, medication: string}}
+	 */
+	function toEntry(row) {
+		const entry = { date: row.date, value: row.value, id: row.id };
+		if (row.override) entry.override = row.override;
+		entry.medication = medicationOf(row);
+		return entry;
+	}
+
+	/**
+	 * Mirrors _clientOf.
+	 * @param {object} params
+	 * @returns {string}
+	 */
+	function clientOf(params) {
+		return params.client ? String(params.client).trim().slice(0, CLIENT_MAX_LENGTH) : '';
+	}
+
+	/**
+	 * Mirrors _appendAudit, including the revision the changes are about to produce.
+	 * @param {object} lists The profile's lists.
+	 * @param {string} action The action that made the changes.
+	 * @param {object} params The request parameters, for the `client`.
+	 * @param {Array<{id: string, before: object|null, after: object|null}>} changes
+	 */
+	function appendAudit(lists, action, params, changes) {
+		const timestamp = new Date().toISOString();
+		const client = clientOf(params);
+		const revision = (lists.revision || 0) + 1;
+		changes.forEach(({ id, before, after }) =>
+			lists.audit.push({ timestamp, action, id, client, before, after, revision })
+		);
+	}
+
+	/**
+	 * Mirrors _moveToDeleted.
+	 * @param {object} lists The profile's lists.
+	 * @param {number} index The index of the row to remove.
+	 * @param {object} params The request parameters, for the `client` and `reason`.
+	 */
+	function moveToDeleted(lists, index, params) {
+		const [row] = lists.rows.splice(index, 1);
+		lists.deleted.push({
+			...row,
+			deletedAt: new Date().toISOString(),
+			deletedBy: clientOf(params),
+			reason: params.reason ? String(params.reason).trim() : '',
+		});
+		appendAudit(lists, 'remove', params, [{ id: row.id, before: toEntry(row), after: null }]);
+	}
+
+	/**
+	 * Mirrors _parseEntryParams. Entries without an override reason carry no `override` key.
+	 * @param {object} params Expecting {date: string, floatValue: string|number, id?: string, override?: string, medication?: string}.
+	 * @returns {{error: string} | {date: string, value: number, id: string, override?: string, medication: string}}
+	 */
+	function parseEntryParams(params) {
+		const {
+			date: dateStr,
+			floatValue: floatValueStr,
+			id: idParam,
+			override: overrideParam,
+		} = params;
+
+		if (!dateStr || typeof dateStr !== 'string' || dateStr.trim() === '') {
+			return { error: "Missing or invalid 'date' parameter. Expected a Luxon ISO string." };
+		}
+		if (
+			floatValueStr === undefined ||
+			floatValueStr === null ||
+			String(floatValueStr).trim() === ''
+		) {
+			return { error: "Missing or empty 'floatValue' parameter." };
+		}
+		if (!ISO_DATE_TIME_REGEX.test(dateStr)) {
+			return {
+				error: `Invalid 'date' format: '${dateStr}'. Expected a valid ISO 8601 string (e.g., YYYY-MM-DDTHH:mm:ssZ).`,
+			};
+		}
+
+		const floatValue = parseFloat(String(floatValueStr));
+		if (isNaN(floatValue)) {
+			return { error: `Invalid floatValue: '${floatValueStr}'. Must be a number.` };
+		}
+		if (floatValue <= 0) {
+			return { error: `Invalid floatValue: '${floatValueStr}'. Must be greater than zero.` };
+		}
+
+		const id = idParam ? String(idParam).trim() : generateId();
+		if (!ID_REGEX.test(id)) {
+			return { error: `Invalid 'id': '${idParam}'.` };
+		}
+
+		const override = overrideParam ? String(overrideParam).trim() : '';
+		if (override.length > OVERRIDE_MAX_LENGTH) {
+			return { error: `'override' is longer than ${OVERRIDE_MAX_LENGTH} characters.` };
+		}
+		const { medication, error: medicationError } = parseMedicationParam(params.medication);
+		if (medicationError) return { error: medicationError };
+
+		const entry = { date: dateStr.trim(), value: floatValue, id };
+		if (override) entry.override = override;
+		entry.medication = medication;
+		return entry;
+	}
+
+	/**
+	 * Mirrors handleAddData, including treating an already existing ID as a no-op.
+	 * @param {object} doc The document to modify.
+	 * @param {object} params Expecting {date: string, floatValue: string|number, id?: string, override?: string, medication?: string}.
+	 * @returns {object} A result object {success, id, message/error}.
+	 */
+	function handleAddData(doc, params) {
+		const entry = parseEntryParams(params);
+		if (entry.error) {
+			return { success: false, error: entry.error };
+		}
+		const { id } = entry;
+		if (doc.rows.some((row) => row.id === id)) {
+			return { success: true, id, duplicate: true, message: `Entry '${id}' already exists.` };
+		}
+
+		doc.rows.push(entry);
+		appendAudit(doc, 'add', params, [{ id, before: null, after: toEntry(entry) }]);
+		return { success: true, id, message: 'Entry added successfully with ISO date string.' };
+	}
+
+	/**
+	 * Mirrors handleBulkAdd: validates every row first, then adds those whose ID is new.
+	 * @param {object} doc The document to modify.
+	 * @param {object} params Expecting {rows: string}: a JSON array of {date, floatValue, id?, override?, medication?}.
+	 * @returns {object} A result object {success, ids, added, duplicates, message/error}.
+	 */
+	function handleBulkAdd(doc, params) {
+		let rows;
+		try {
+			rows = typeof params.rows === 'string' ? JSON.parse(params.rows) : params.rows;
+		} catch (parseError) {
+			return { success: false, error: "Invalid 'rows' parameter. Expected a JSON array." };
+		}
+		if (!Array.isArray(rows) || rows.length === 0) {
+			return {
+				success: false,
+				error: "Invalid 'rows' parameter. Expected a non-empty JSON array.",
+			};
+		}
+		if (rows.length > BULK_ADD_MAX_ROWS) {
+			return {
+				success: false,
+				error: `Too many rows: ${rows.length}. At most ${BULK_ADD_MAX_ROWS} rows per request.`,
+			};
+		}
+
+		const entries = [];
+		for (let i = 0; i < rows.length; i++) {
+			const entry = parseEntryParams(rows[i] || {});
+			if (entry.error) {
+				return { success: false, error: `Row ${i + 1}: ${entry.error}` };
+			}
+			entries.push(entry);
+		}
+
+		const existingIds = new Set(doc.rows.map((row) => row.id));
+		const newEntries = entries.filter((entry) => {
+			if (existingIds.has(entry.id)) return false;
+			existingIds.add(entry.id);
+			return true;
+		});
+		doc.rows.push(...newEntries);
+		appendAudit(
+			doc,
+			'bulkAdd',
+			params,
+			newEntries.map((entry) => ({ id: entry.id, before: null, after: toEntry(entry) }))
+		);
+		return {
+			success: true,
+			ids: entries.map((entry) => entry.id),
+			added: newEntries.length,
+			duplicates: entries.length - newEntries.length,
+			message: `${newEntries.length} entries added.`,
+		};
+	}
+
+	/**
+	 * Mirrors _parseEntryQuery.
+	 * @param {object} params The request parameters.
+	 * @returns {object} The query, or {error: string}.
+	 */
+	function parseEntryQuery(params) {
+		const isSet = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+		const query = { since: null, from: null, to: null, limit: null, cursor: null };
+
+		if (isSet(params.since)) {
+			if (!/^\d+$/.test(String(params.since).trim())) {
+				return { error: `Invalid 'since' revision: '${params.since}'.` };
+			}
+			query.since = parseInt(params.since, 10);
+		}
+		for (const key of ['from', 'to']) {
+			if (!isSet(params[key])) continue;
+			const value = String(params[key]).trim();
+			if (!ISO_DATE_TIME_REGEX.test(value) || isNaN(new Date(value).getTime())) {
+				return { error: `Invalid '${key}' date: '${params[key]}'. Expected ISO 8601 format.` };
+			}
+			query[key] = new Date(value).getTime();
+		}
+		if (isSet(params.limit)) {
+			const limit = parseInt(params.limit, 10);
+			if (!/^\d+$/.test(String(params.limit).trim()) || limit < 1 || limit > GET_MAX_LIMIT) {
+				return { error: `Invalid 'limit': '${params.limit}'. Expected 1 to ${GET_MAX_LIMIT}.` };
+			}
+			query.limit = limit;
+		}
+		if (isSet(params.cursor)) {
+			const match = CURSOR_REGEX.exec(String(params.cursor).trim());
+			if (!match) return { error: `Invalid 'cursor': '${params.cursor}'.` };
+			query.cursor = { time: parseInt(match[1], 10), id: match[2] };
+		}
+		return query;
+	}
+
+	/** Mirrors _entryTime. */
+	const entryTime = (entry) => {
+		const time = new Date(entry.date).getTime();
+		return isNaN(time) ? 0 : time;
+	};
+
+	/** Mirrors _compareEntryKeys. */
+	const compareEntryKeys = (a, b) => {
+		if (a.time !== b.time) return a.time - b.time;
+		return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+	};
+
+	/** Mirrors _inDateRange. */
+	const inDateRange = (entry, query) => {
+		const time = entryTime(entry);
+		return (query.from === null || time >= query.from) && (query.to === null || time < query.to);
+	};
+
+	/**
+	 * Mirrors _pageEntries.
+	 * @param {Array<object>} entries
+	 * @param {object} query From parseEntryQuery.
+	 * @returns {{data: Array<object>, nextCursor?: string}}
+	 */
+	function pageEntries(entries, query) {
+		if (query.limit === null && !query.cursor) return { data: entries };
+
+		const keyOf = (entry) => ({ time: entryTime(entry), id: entry.id });
+		let older = entries.slice().sort((a, b) => compareEntryKeys(keyOf(a), keyOf(b)));
+		if (query.cursor) {
+			older = older.filter((entry) => compareEntryKeys(keyOf(entry), query.cursor) < 0);
+		}
+		if (query.limit === null || older.length <= query.limit) return { data: older };
+
+		const page = older.slice(older.length - query.limit);
+		return { data: page, nextCursor: `${entryTime(page[0])}_${page[0].id}` };
+	}
+
+	/**
+	 * Mirrors _getChangesSince.
+	 * @param {object} lists The profile's lists.
+	 * @param {number} since A revision older than the current one.
+	 * @returns {Map<string, object|null>|null}
+	 */
+	function getChangesSince(lists, since) {
+		const changes = new Map();
+		let oldestRevision = null;
+		for (let i = lists.audit.length - 1; i >= 0; i--) {
+			const { id, after, revision } = lists.audit[i];
+			if (!(revision > since)) break;
+			oldestRevision = revision;
+			if (!changes.has(id)) changes.set(id, after);
+		}
+		return oldestRevision === since + 1 ? changes : null;
+	}
+
+	/**
+	 * Mirrors handleGetData.
+	 * @param {object} doc The document to read.
+	 * @param {object} params Optionally {medication, from, to, limit, cursor, since}.
+	 * @returns {object} A result object {success, data[], revision, nextCursor?, removedIds?, delta?}.
+	 */
+	function handleGetData(doc, params) {
+		const { filter, error } = parseMedicationFilter(params);
+		if (error) return { success: false, error };
+		const query = parseEntryQuery(params);
+		if (query.error) return { success: false, error: query.error };
+		const revision = doc.revision || 0;
+		const matches = (entry) => filter(entry) && inDateRange(entry, query);
+
+		if (query.since !== null && query.since <= revision) {
+			const changes = query.since === revision ? new Map() : getChangesSince(doc, query.since);
+			if (changes) {
+				const data = [];
+				const removedIds = [];
+				changes.forEach((entry, id) => {
+					if (entry && matches(entry)) data.push(entry);
+					else removedIds.push(id);
+				});
+				return { success: true, data, removedIds, delta: true, revision };
+			}
+		}
+		return {
+			success: true,
+			...pageEntries(doc.rows.map(toEntry).filter(matches), query),
+			revision,
+		};
+	}
+
+	/**
+	 * Mirrors handleGetRevision.
+	 * @param {object} doc The document to read.
+	 * @returns {object} A result object {success, revision}.
+	 */
+	function handleGetRevision(doc) {
+		return { success: true, revision: doc.revision || 0 };
+	}
+
+	/**
+	 * Mirrors handleRemoveData: removes the entry with the given ID or, for older clients, the
+	 * first row from the bottom whose date matches exactly; only of the given medication, if any.
+	 * The row moves to the `deleted` list.
+	 * @param {object} doc The document to modify.
+	 * @param {object} params Expecting {id: string} or {date: string}, and optionally {medication: string, reason: string, client: string}.
+	 * @returns {object} A result object {success, removed, message/error}.
+	 */
+	function handleRemoveData(doc, params) {
+		const { id: idParam, date: dateToRemoveParam } = params;
+		const { filter, error } = parseMedicationFilter(params);
+		if (error) return { success: false, error };
+		if (params.reason && String(params.reason).trim().length > REASON_MAX_LENGTH) {
+			return { success: false, error: `'reason' is longer than ${REASON_MAX_LENGTH} characters.` };
+		}
+
+		if (idParam !== undefined && idParam !== null && String(idParam).trim() !== '') {
+			const id = String(idParam).trim();
+			const index = doc.rows.findIndex((row) => row.id === id);
+			if (index === -1) {
+				return { success: true, removed: false, message: `No entry found with ID '${id}'.` };
+			}
+			if (!filter(doc.rows[index])) {
+				return {
+					success: true,
+					removed: false,
+					message: `Entry '${id}' belongs to a different medication.`,
+				};
+			}
+			moveToDeleted(doc, index, params);
+			return { success: true, removed: true, message: `Entry '${id}' removed.` };
+		}
+
+		if (
+			!dateToRemoveParam ||
+			typeof dateToRemoveParam !== 'string' ||
+			dateToRemoveParam.trim() === ''
+		) {
+			return {
+				success: false,
+				error: "Missing 'id' parameter for remove action.",
+			};
+		}
+
+		const targetIsoString = dateToRemoveParam.trim();
+		if (!ISO_DATE_TIME_REGEX.test(targetIsoString)) {
+			return {
+				success: false,
+				error: `Invalid 'date' format for removal: '${targetIsoString}'. Expected a valid ISO 8601 string.`,
+			};
+		}
+
+		for (let i = doc.rows.length - 1; i >= 0; i--) {
+			if (String(doc.rows[i].date).trim() === targetIsoString && filter(doc.rows[i])) {
+				moveToDeleted(doc, i, params);
+				return {
+					success: true,
+					removed: true,
+					message: `Data for ISO date '${targetIsoString}' removed.`,
+				};
+			}
+		}
+		return {
+			success: true,
+			removed: false,
+			message: `No entry found for ISO date '${targetIsoString}'.`,
+		};
+	}
+
+	/**
+	 * Mirrors handleUpdateData.
+	 * @param {object} doc The document to modify.
+	 * @param {object} params Expecting {id: string, date?: string, floatValue?: string|number}.
+	 * @returns {object} A result object {success, updated, id, message/error}.
+	 */
+	function handleUpdateData(doc, params) {
+		const { id: idParam, date: dateStr, floatValue: floatValueStr } = params;
+		if (idParam === undefined || idParam === null || String(idParam).trim() === '') {
+			return { success: false, error: "Missing 'id' parameter for update action." };
+		}
+		const id = String(idParam).trim();
+
+		const hasDate = dateStr !== undefined && dateStr !== null && String(dateStr).trim() !== '';
+		const hasValue =
+			floatValueStr !== undefined && floatValueStr !== null && String(floatValueStr).trim() !== '';
+		if (!hasDate && !hasValue) {
+			return { success: false, error: "Nothing to update. Provide 'date' and/or 'floatValue'." };
+		}
+
+		if (hasDate && !ISO_DATE_TIME_REGEX.test(String(dateStr).trim())) {
+			return {
+				success: false,
+				error: `Invalid 'date' format: '${dateStr}'. Expected a valid ISO 8601 string (e.g., YYYY-MM-DDTHH:mm:ssZ).`,
+			};
+		}
+		const floatValue = hasValue ? parseFloat(String(floatValueStr)) : null;
+		if (hasValue && isNaN(floatValue)) {
+			return { success: false, error: `Invalid floatValue: '${floatValueStr}'. Must be a number.` };
+		}
+		if (hasValue && floatValue <= 0) {
+			return {
+				success: false,
+				error: `Invalid floatValue: '${floatValueStr}'. Must be greater than zero.`,
+			};
+		}
+
+		const row = doc.rows.find((r) => r.id === id);
+		if (!row) {
+			return { success: true, updated: false, id, message: `No entry found with ID '${id}'.` };
+		}
+		const before = toEntry(row);
+		if (hasDate) row.date = String(dateStr).trim();
+		if (hasValue) row.value = floatValue;
+		appendAudit(doc, 'update', params, [{ id, before, after: toEntry(row) }]);
+		return { success: true, updated: true, id, message: `Entry '${id}' updated.` };
+	}
+
+	/**
+	 * Mirrors handleGetDeleted.
+	 * @param {object} doc The document to read.
+	 * @returns {object} A result object {success, data[]}.
+	 */
+	function handleGetDeleted(doc) {
+		return {
+			success: true,
+			data: doc.deleted.map((row) => ({
+				...toEntry(row),
+				deletedAt: row.deletedAt,
+				deletedBy: row.deletedBy,
+				reason: row.reason,
+			})),
+		};
+	}
+
+	/**
+	 * Mirrors handleRestoreData: moves the latest removal of the entry back to the rows.
+	 * @param {object} doc The document to modify.
+	 * @param {object} params Expecting {id: string}.
+	 * @returns {object} A result object {success, restored, id, message/error}.
+	 */
+	function handleRestoreData(doc, params) {
+		const id = params.id ? String(params.id).trim() : '';
+		if (!id) {
+			return { success: false, error: "Missing 'id' parameter for restore action." };
+		}
+		let index = -1;
+		for (let i = doc.deleted.length - 1; i >= 0 && index === -1; i--) {
+			if (doc.deleted[i].id === id) index = i;
+		}
+		if (index === -1) {
+			return { success: true, restored: false, id, message: `No deleted entry with ID '${id}'.` };
+		}
+		if (doc.rows.some((row) => row.id === id)) {
+			return { success: true, restored: false, id, message: `Entry '${id}' already exists.` };
+		}
+
+		const [deleted] = doc.deleted.splice(index, 1);
+		const { deletedAt, deletedBy, reason, ...row } = deleted;
+		doc.rows.push(row);
+		appendAudit(doc, 'restore', params, [{ id, before: null, after: toEntry(row) }]);
+		return { success: true, restored: true, id, message: `Entry '${id}' restored.` };
+	}
+
+	/**
+	 * Mirrors handleGetRegimens.
+	 * @param {object} doc The document to read.
+	 * @param {object} params Optionally {medication: string}.
+	 * @returns {object} A result object {success, data[]} sorted by start.
+	 */
+	function handleGetRegimens(doc, params) {
+		const { filter, error } = parseMedicationFilter(params);
+		if (error) return { success: false, error };
+		const regimens = doc.regimens
+			.filter(filter)
+			.map((regimen) => ({ ...regimen, medication: medicationOf(regimen) }))
+			.sort((a, b) => new Date(a.start) - new Date(b.start));
+		return { success: true, data: regimens };
+	}
+
+	/**
+	 * Mirrors handleAddRegimen.
+	 * @param {object} doc The document to modify.
+	 * @param {object} params Expecting {id: string, start: string, pills: string|number, hours: string|number, medication?: string}.
+	 * @returns {object} A result object {success, id, message/error}.
+	 */
+	function handleAddRegimen(doc, params) {
+		const { id: idParam, start: startStr } = params;
+		const pills = parseFloat(params.pills);
+		const hours = parseFloat(params.hours);
+
+		if (!startStr || !ISO_DATE_TIME_REGEX.test(String(startStr).trim())) {
+			return {
+				success: false,
+				error: `Invalid 'start' format: '${startStr}'. Expected a valid ISO 8601 string.`,
+			};
+		}
+		if (isNaN(pills) || pills <= 0 || isNaN(hours) || hours <= 0) {
+			return { success: false, error: "'pills' and 'hours' must be positive numbers." };
+		}
+		const id = idParam ? String(idParam).trim() : generateId();
+		if (!ID_REGEX.test(id)) {
+			return { success: false, error: `Invalid 'id': '${idParam}'.` };
+		}
+		const { medication, error: medicationError } = parseMedicationParam(params.medication);
+		if (medicationError) {
+			return { success: false, error: medicationError };
+		}
+		if (doc.regimens.some((regimen) => regimen.id === id)) {
+			return { success: true, id, duplicate: true, message: `Regimen '${id}' already exists.` };
+		}
+
+		doc.regimens.push({ id, start: String(startStr).trim(), pills, hours, medication });
+		return { success: true, id, message: 'Regimen added successfully.' };
+	}
+
+	/**
+	 * Mirrors handleRemoveRegimen.
+	 * @param {object} doc The document to modify.
+	 * @param {object} params Expecting {id: string}.
+	 * @returns {object} A result object {success, removed, message/error}.
+	 */
+	function handleRemoveRegimen(doc, params) {
+		const id = params.id ? String(params.id).trim() : '';
+		if (!id) {
+			return { success: false, error: "Missing 'id' parameter for removeRegimen action." };
+		}
+		const index = doc.regimens.findIndex((regimen) => regimen.id === id);
+		if (index === -1) {
+			return { success: true, removed: false, message: `No regimen found with ID '${id}'.` };
+		}
+		doc.regimens.splice(index, 1);
+		return { success: true, removed: true, message: `Regimen '${id}' removed.` };
+	}
+
+	/**
+	 * Mirrors handleGetMedications.
+	 * @param {object} doc The document to read.
+	 * @returns {object} A result object {success, data[]}.
+	 */
+	function handleGetMedications(doc) {
+		return { success: true, data: doc.medications.map((medication) => ({ ...medication })) };
+	}
+
+	/**
+	 * Mirrors handleSaveMedication: adds the medication or replaces the one with the same ID.
+	 * @param {object} doc The document to modify.
+	 * @param {object} params Expecting {id: string, name: string, pills: string|number, hours: string|number, step: string|number}.
+	 * @returns {object} A result object {success, id, message/error}.
+	 */
+	function handleSaveMedication(doc, params) {
+		const id = params.id ? String(params.id).trim() : '';
+		const name = params.name ? String(params.name).trim() : '';
+		const pills = parseFloat(params.pills);
+		const hours = parseFloat(params.hours);
+		const step = parseFloat(params.step);
+
+		if (!ID_REGEX.test(id)) {
+			return { success: false, error: `Invalid 'id': '${params.id}'.` };
+		}
+		if (!name || name.length > MEDICATION_NAME_MAX_LENGTH) {
+			return {
+				success: false,
+				error: `'name' must be 1 to ${MEDICATION_NAME_MAX_LENGTH} characters long.`,
+			};
+		}
+		if ([pills, hours, step].some((value) => isNaN(value) || value <= 0)) {
+			return { success: false, error: "'pills', 'hours' and 'step' must be positive numbers." };
+		}
+
+		const medication = { id, name, pills, hours, step };
+		const index = doc.medications.findIndex((m) => m.id === id);
+		if (index === -1) doc.medications.push(medication);
+		else doc.medications[index] = medication;
+		return { success: true, id, message: `Medication '${name}' saved.` };
+	}
+
+	/**
+	 * Mirrors handleGetRefills.
+	 * @param {object} doc The document to read.
+	 * @param {object} params Optionally {medication: string}.
+	 * @returns {object} A result object {success, data[]} sorted by date.
+	 */
+	function handleGetRefills(doc, params) {
+		const { filter, error } = parseMedicationFilter(params);
+		if (error) return { success: false, error };
+		const refills = doc.refills
+			.filter(filter)
+			.map((refill) => ({ ...refill }))
+			.sort((a, b) => new Date(a.date) - new Date(b.date));
+		return { success: true, data: refills };
+	}
+
+	/**
+	 * Mirrors handleAddRefill.
+	 * @param {object} doc The document to modify.
+	 * @param {object} params Expecting {id: string, date: string, count: string|number, medication?: string}.
+	 * @returns {object} A result object {success, id, message/error}.
+	 */
+	function handleAddRefill(doc, params) {
+		const { id: idParam, date: dateStr } = params;
+		const count = parseFloat(params.count);
+
+		if (!dateStr || !ISO_DATE_TIME_REGEX.test(String(dateStr).trim())) {
+			return {
+				success: false,
+				error: `Invalid 'date' format: '${dateStr}'. Expected a valid ISO 8601 string.`,
+			};
+		}
+		if (!isFinite(count) || count === 0) {
+			return { success: false, error: "'count' must be a non-zero number." };
+		}
+		const id = idParam ? String(idParam).trim() : generateId();
+		if (!ID_REGEX.test(id)) {
+			return { success: false, error: `Invalid 'id': '${idParam}'.` };
+		}
+		const { medication, error: medicationError } = parseMedicationParam(params.medication);
+		if (medicationError) {
+			return { success: false, error: medicationError };
+		}
+		if (doc.refills.some((refill) => refill.id === id)) {
+			return { success: true, id, duplicate: true, message: `Refill '${id}' already exists.` };
+		}
+
+		doc.refills.push({ id, date: String(dateStr).trim(), count, medication });
+		return { success: true, id, message: 'Refill added successfully.' };
+	}
+
+	/**
+	 * Mirrors handleRemoveRefill.
+	 * @param {object} doc The document to modify.
+	 * @param {object} params Expecting {id: string}.
+	 * @returns {object} A result object {success, removed, message/error}.
+	 */
+	function handleRemoveRefill(doc, params) {
+		const id = params.id ? String(params.id).trim() : '';
+		if (!id) {
+			return { success: false, error: "Missing 'id' parameter for removeRefill action." };
+		}
+		const index = doc.refills.findIndex((refill) => refill.id === id);
+		if (index === -1) {
+			return { success: true, removed: false, message: `No refill found with ID '${id}'.` };
+		}
+		doc.refills.splice(index, 1);
+		return { success: true, removed: true, message: `Refill '${id}' removed.` };
+	}
+
+	/**
+	 * Mirrors handleRemoveMedication, including keeping medications that are still in use.
+	 * @param {object} doc The document to modify.
+	 * @param {object} params Expecting {id: string}.
+	 * @returns {object} A result object {success, removed, message/error}.
+	 */
+	function handleRemoveMedication(doc, params) {
+		const id = params.id ? String(params.id).trim() : '';
+		if (!id) {
+			return { success: false, error: "Missing 'id' parameter for removeMedication action." };
+		}
+		if ([...doc.rows, ...doc.regimens, ...doc.refills].some((item) => medicationOf(item) === id)) {
+			return {
+				success: false,
+				error: `Medication '${id}' still has entries, regimens or refills. Remove those first.`,
+			};
+		}
+		const index = doc.medications.findIndex((medication) => medication.id === id);
+		if (index === -1) {
+			return { success: true, removed: false, message: `No medication found with ID '${id}'.` };
+		}
+		doc.medications.splice(index, 1);
+		return { success: true, removed: true, message: `Medication '${id}' removed.` };
+	}
+
+	/**
+	 * Mirrors handleGetProfiles.
+	 * @param {object} doc The document to read.
+	 * @returns {object} A result object {success, data[]}.
+	 */
+	function handleGetProfiles(doc) {
+		return { success: true, data: doc.profiles.map(({ id, name }) => ({ id, name })) };
+	}
+
+	/**
+	 * Mirrors handleSaveProfile: adds the profile with empty lists, or renames it.
+	 * @param {object} doc The document to modify.
+	 * @param {object} params Expecting {id: string, name: string}.
+	 * @returns {object} A result object {success, id, created, message/error}.
+	 */
+	function handleSaveProfile(doc, params) {
+		const id = params.id ? String(params.id).trim() : '';
+		const name = params.name ? String(params.name).trim() : '';
+
+		if (!ID_REGEX.test(id)) {
+			return { success: false, error: `Invalid 'id': '${params.id}'.` };
+		}
+		if (!name || name.length > PROFILE_NAME_MAX_LENGTH) {
+			return {
+				success: false,
+				error: `'name' must be 1 to ${PROFILE_NAME_MAX_LENGTH} characters long.`,
+			};
+		}
+
+		const profile = doc.profiles.find((p) => p.id === id);
+		if (profile) {
+			profile.name = name;
+			return { success: true, id, created: false, message: `Profile '${name}' renamed.` };
+		}
+		doc.profiles.push({ id, name });
+		if (id !== DEFAULT_PROFILE_ID) doc.profileData[id] = createProfileData();
+		return { success: true, id, created: true, message: `Profile '${name}' added.` };
+	}
+
+	/**
+	 * Mirrors handleGetSettings.
+	 * @param {object} doc The document to read.
+	 * @returns {object} A result object {success, data, updatedAt}.
+	 */
+	function handleGetSettings(doc) {
+		const { values, updatedAt } = doc.settings || { values: {}, updatedAt: null };
+		return { success: true, data: values, updatedAt };
+	}
+
+	/**
+	 * Mirrors handleSaveSettings: replaces the settings unless the saved ones are newer.
+	 * @param {object} doc The document to modify.
+	 * @param {object} params Expecting {settings: string (JSON), updatedAt: string}.
+	 * @returns {object} A result object {success, saved, message/error}.
+	 */
+	function handleSaveSettings(doc, params) {
+		const updatedAt = params.updatedAt ? String(params.updatedAt).trim() : '';
+		const json = params.settings ? String(params.settings) : '';
+
+		if (!ISO_DATE_TIME_REGEX.test(updatedAt) || isNaN(new Date(updatedAt).getTime())) {
+			return {
+				success: false,
+				error: `Invalid 'updatedAt': '${params.updatedAt}'. Expected ISO 8601 format.`,
+			};
+		}
+		if (json.length > SETTINGS_MAX_LENGTH) {
+			return {
+				success: false,
+				error: `'settings' must be at most ${SETTINGS_MAX_LENGTH} characters long.`,
+			};
+		}
+		let values = null;
+		try {
+			values = JSON.parse(json);
+		} catch (error) {
+			// Reported below.
+		}
+		if (
+			!values ||
+			typeof values !== 'object' ||
+			Array.isArray(values) ||
+			Object.values(values).some((value) => typeof value !== 'string')
+		) {
+			return { success: false, error: "'settings' must be a JSON object of strings." };
+		}
+
+		if (doc.settings && new Date(doc.settings.updatedAt) > new Date(updatedAt)) {
+			return { success: true, saved: false, message: 'Newer settings are already saved.' };
+		}
+		doc.settings = { values, updatedAt };
+		return { success: true, saved: true, message: 'Settings saved.' };
+	}
+
+	/**
+	 * DosingEngine is a global in the page; in Node it is loaded from next to this file.
+	 * @returns {object}
+	 */
+	const getDosingEngine = () =>
+		typeof DosingEngine !== 'undefined' ? DosingEngine : require('./dosing_engine.js');
+
+	/**
+	 * Mirrors _unsavedDefaultMedication.
+	 * @param {object} doc The document, for its shared settings.
+	 * @returns {{id: string, pills: number, hours: number, step: number}}
+	 */
+	function unsavedDefaultMedication(doc) {
+		const settings = handleGetSettings(doc).data;
+		const pills = Number(settings.defaultPills);
+		const hours = Number(settings.defaultHours);
+		return {
+			id: DEFAULT_MEDICATION_ID,
+			pills: pills > 0 ? pills : DEFAULT_PILLS,
+			hours: hours > 0 ? hours : DEFAULT_HOURS,
+			step: DEFAULT_DOSE_STEP,
+		};
+	}
+
+	/**
+	 * Mirrors _calculateStats.
+	 * @param {Array<object>} entries The medication's entries.
+	 * @param {Array<object>} regimens The medication's regimens.
+	 * @param {{id: string, pills: number, hours: number, step: number}} medication
+	 * @param {number} now Epoch milliseconds.
+	 * @returns {object|null}
+	 */
+	function calculateStats(entries, regimens, medication, now) {
+		const engine = getDosingEngine();
+		const statistics = engine.calculateStatistics({
+			doses: engine.toDoses(
+				entries.map((entry) => ({ dosageAmount: entry.value, dosageTime: entry.date }))
+			),
+			periods: engine.createRatePeriods(regimens, medication.pills / medication.hours),
+			now,
+			dueAmounts: [medication.step, medication.step * 2],
+		});
+		if (!statistics) return null;
+
+		const toIso = (millis) => new Date(millis).toISOString();
+		const lastDose = entries
+			.filter((entry) => entry.value > 0 && new Date(entry.date).getTime() <= now)
+			.reduce(
+				(latest, entry) =>
+					!latest || new Date(entry.date) > new Date(latest.date) ? entry : latest,
+				null
+			);
+		return {
+			medication: medication.id,
+			at: toIso(now),
+			lastDose: { id: lastDose.id, date: lastDose.date, value: lastDose.value },
+			totalGiven: statistics.totalGiven,
+			totalNeeded: statistics.totalNeeded,
+			currentNeeded: statistics.currentNeeded,
+			rateNow: statistics.rateNow,
+			projectedStart: toIso(statistics.projectedStart),
+			due: statistics.due.map(({ amount, offsetHours }) => ({
+				amount,
+				hours: offsetHours,
+				at: offsetHours === null ? null : toIso(now + offsetHours * engine.MS_PER_HOUR),
+			})),
+		};
+	}
+
+	/**
+	 * Mirrors handleGetStats.
+	 * @param {object} doc The document, for its shared settings.
+	 * @param {object} lists The profile's lists.
+	 * @param {object} params Optionally {medication: string}.
+	 * @returns {object} A result object {success, data, revision}.
+	 */
+	function handleGetStats(doc, lists, params) {
+		const { medication: medicationId, error } = parseMedicationParam(params.medication);
+		if (error) return { success: false, error };
+		const query = { medication: medicationId };
+
+		const entries = handleGetData(lists, query);
+		if (!entries.success) return entries;
+		const regimens = handleGetRegimens(lists, query);
+		let medication = lists.medications.find((m) => m.id === medicationId);
+		if (!medication && medicationId === DEFAULT_MEDICATION_ID) {
+			medication = unsavedDefaultMedication(doc);
+		}
+		if (!medication) {
+			return { success: false, error: `Unknown medication '${medicationId}'.` };
+		}
+		return {
+			success: true,
+			data: calculateStats(entries.data, regimens.data, medication, Date.now()),
+			revision: entries.revision,
+		};
+	}
+
+	/**
+	 * Finds the lists of the profile a request is for, like _profileSheets.
+	 * @param {object} doc The document.
+	 * @param {string|undefined} profileParam The `profile` parameter; empty means the default profile.
+	 * @returns {object} The profile's lists.
+	 * @throws {Error} If the parameter is invalid or no such profile exists.
+	 */
+	function getProfileData(doc, profileParam) {
+		const profile = profileParam ? String(profileParam).trim() : '';
+		if (!profile || profile === DEFAULT_PROFILE_ID) return doc;
+		if (!ID_REGEX.test(profile)) {
+			throw new Error(`Invalid 'profile': '${profileParam}'.`);
+		}
+		if (!Object.hasOwnProperty.call(doc.profileData, profile)) {
+			throw new Error(`Unknown profile '${profile}'.`);
+		}
+		return doc.profileData[profile];
+	}
+
+	/**
+	 * Mirrors _changedEntries.
+	 * @param {string} action
+	 * @param {object} result
+	 * @returns {boolean}
+	 */
+	function changedEntries(action, result) {
+		if (!result.success) return false;
+		switch (action) {
+			case 'add':
+				return !result.duplicate;
+			case 'bulkAdd':
+				return result.added > 0;
+			case 'remove':
+				return Boolean(result.removed);
+			case 'update':
+				return Boolean(result.updated);
+			case 'restore':
+				return Boolean(result.restored);
+		}
+		return false;
+	}
+
+	/**
+	 * Mirrors _handleEntryWrite: rejects the write as a conflict if `expectedRevision` is
+	 * outdated, and advances the profile's revision if it changed any entry.
+	 * @param {object} lists The profile's lists.
+	 * @param {string} action One of ENTRY_WRITE_ACTIONS.
+	 * @param {object} params
+	 * @returns {object} The result object, with the current `revision`.
+	 */
+	function handleEntryWrite(lists, action, params) {
+		const revision = lists.revision || 0;
+		const expected = params.expectedRevision;
+		if (expected !== undefined && expected !== null && String(expected).trim() !== '') {
+			if (!/^\d+$/.test(String(expected).trim())) {
+				return { success: false, error: `Invalid 'expectedRevision': '${expected}'.` };
+			}
+			if (parseInt(expected, 10) !== revision) {
+				return {
+					success: false,
+					conflict: true,
+					revision,
+					error: `The entries have changed since revision ${expected}; they are now at revision ${revision}.`,
+				};
+			}
+		}
+
+		const result = runProfileAction(lists, action, params);
+		if (changedEntries(action, result)) lists.revision = revision + 1;
+		return { ...result, revision: lists.revision || 0 };
+	}
+
+	/**
+	 * Runs an action that works on one profile's lists.
+	 * @param {object} lists The profile's lists.
+	 * @param {string} action
+	 * @param {object} params
+	 * @returns {object} The result object.
+	 */
+	function runProfileAction(lists, action, params) {
+		switch (action) {
+			case 'get':
+				return handleGetData(lists, params);
+			case 'ensureHeaders':
+				return handleEnsureHeaders();
+			case 'add':
+				return handleAddData(lists, params);
+			case 'bulkAdd':
+				return handleBulkAdd(lists, params);
+			case 'remove':
+				return handleRemoveData(lists, params);
+			case 'update':
+				return handleUpdateData(lists, params);
+			case 'getDeleted':
+				return handleGetDeleted(lists);
+			case 'getRevision':
+				return handleGetRevision(lists);
+			case 'restore':
+				return handleRestoreData(lists, params);
+			case 'getRegimens':
+				return handleGetRegimens(lists, params);
+			case 'addRegimen':
+				return handleAddRegimen(lists, params);
+			case 'removeRegimen':
+				return handleRemoveRegimen(lists, params);
+			case 'getRefills':
+				return handleGetRefills(lists, params);
+			case 'addRefill':
+				return handleAddRefill(lists, params);
+			case 'removeRefill':
+				return handleRemoveRefill(lists, params);
+			case 'getMedications':
+				return handleGetMedications(lists);
+			case 'saveMedication':
+				return handleSaveMedication(lists, params);
+			case 'removeMedication':
+				return handleRemoveMedication(lists, params);
+			default:
+				return { success: false, error: `Invalid action '${action}'.` };
+		}
+	}
+
+	/**
+	 * Runs one protocol action against the document, modifying it in place.
+	 * @param {object} doc The document created by createDocument.
+	 * @param {string} action The action name, as sent in the `action` parameter.
+	 * @param {object} [params] The remaining request parameters.
+	 * @returns {object} The same result object the Apps Script web app would return.
+	 */
+	function handleAction(doc, action, params = {}) {
+		try {
+			if (action === 'getProfiles') return handleGetProfiles(doc);
+			if (action === 'saveProfile') return handleSaveProfile(doc, params);
+			if (action === 'getSettings') return handleGetSettings(doc);
+			if (action === 'saveSettings') return handleSaveSettings(doc, params);
+
+			const lists = getProfileData(doc, params.profile);
+			if (action === 'stats') return handleGetStats(doc, lists, params);
+			return ENTRY_WRITE_ACTIONS.includes(action)
+				? handleEntryWrite(lists, action, params)
+				: runProfileAction(lists, action, params);
+		} catch (error) {
+			console.error(`Error in LocalStore action '${action}':`, error);
+			return { success: false, error: error.message };
+		}
+	}
+
+	const tokensEqual = (a, b) => {
+		if (a.length !== b.length) return false;
+		let difference = 0;
+		for (let i = 0; i < a.length; i++) {
+			difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+		}
+		return difference === 0;
+	};
+
+	/**
+	 * Checks a request token like _authorize in app_script.js. Without a configured write
+	 * token every request is granted write access.
+	 * @param {{readToken?: string, writeToken?: string}} tokens
+	 * @param {string|undefined} token The `token` parameter of the request.
+	 * @param {'read'|'write'} required The access the action needs.
+	 * @returns {{access: string} | {error: string}}
+	 */
+	function authorize(tokens, token, required) {
+		const { readToken, writeToken } = tokens || {};
+		if (!writeToken) return { access: 'write' };
+
+		let access = null;
+		if (typeof token === 'string' && token) {
+			if (tokensEqual(token, writeToken)) access = 'write';
+			else if (readToken && tokensEqual(token, readToken)) access = 'read';
+		}
+		if (!access) return { error: 'Missing or invalid access token.' };
+		if (required === 'write' && access !== 'write') {
+			return { error: 'This access token is read-only.' };
+		}
+		return { access };
+	}
+
+	/**
+	 * Dispatches an HTTP request the way doGet and doPost do, including the token check and
+	 * their rejection of actions sent with the wrong method.
+	 * @param {object} doc The document created by createDocument.
+	 * @param {string} method 'GET' or 'POST'.
+	 * @param {object} params The merged query and form parameters, including `action`.
+	 * @param {{readToken?: string, writeToken?: string}} [tokens] The configured access tokens.
+	 * @returns {object} The result object to send back as JSON.
+	 */
+	function handleRequest(doc, method, params, tokens) {
+		const action = params.action;
+		const isReadAction = GET_ACTIONS.includes(action);
+		const auth = authorize(tokens, params.token, isReadAction ? 'read' : 'write');
+		if (auth.error) {
+			return { success: false, error: auth.error, unauthorized: true };
+		}
+		if (!isReadAction && (method === 'GET' || !POST_ACTIONS.includes(action))) {
+			return { success: false, error: `Invalid action '${action}' for ${method} request.` };
+		}
+		const result = handleAction(doc, action, params);
+		return isReadAction ? { ...result, access: auth.access } : result;
+	}
+
+	return {
+		GET_ACTIONS,
+		POST_ACTIONS,
+		MUTATING_ACTIONS,
+		BULK_ADD_MAX_ROWS,
+		DEFAULT_MEDICATION_ID,
+		DEFAULT_PROFILE_ID,
+		createDocument,
+		normalizeDocument,
+		handleAction,
+		handleRequest,
+	};
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = LocalStore;
+}
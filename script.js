@@ -1,24 +1,171 @@
 // --- Configuration & Constants ---
 const GOOGLE_SHEET_ID_KEY = 'googleSheetID';
-const RATE_KEY = 'rate';
+// Rate inputs; before medications existed their stored values were the only rate.
 const PILLS_KEY = 'pills';
 const HOUR_KEY = 'hour';
+const DOSE_STEP_KEY = 'doseStep';
+const MEDICATION_INPUT_KEYS = [PILLS_KEY, HOUR_KEY, DOSE_STEP_KEY];
+const SELECTED_MEDICATION_KEY = 'selectedMedication';
+const SELECTED_PROFILE_KEY = 'selectedProfile';
 const TIME_ZONE_KEY = 'timeZone';
+const LOCALE_KEY = 'locale';
+// Amounts of the quick-dose buttons, comma separated; without them the dose step decides.
+const QUICK_DOSE_AMOUNTS_KEY = 'quickDoseAmounts';
+// Rate new medications start with.
+const DEFAULT_PILLS_KEY = 'defaultPills';
+const DEFAULT_HOURS_KEY = 'defaultHours';
+// Settings shared with other devices through the backend, see pullSharedSettings.
+const SHARED_SETTING_KEYS = [
+	TIME_ZONE_KEY,
+	LOCALE_KEY,
+	QUICK_DOSE_AMOUNTS_KEY,
+	DEFAULT_PILLS_KEY,
+	DEFAULT_HOURS_KEY,
+];
+// When the shared settings last changed on this device or the one they were taken from.
+const SETTINGS_UPDATED_AT_KEY = 'settingsUpdatedAt';
+// 'false' keeps the settings on this device; they are shared by default.
+const SYNC_SETTINGS_KEY = 'syncSettings';
+const MAX_QUICK_DOSES = 6;
+const STORAGE_BACKEND_KEY = 'storageBackend';
+const PENDING_OPS_KEY = 'pendingOps';
+const CACHED_DATA_KEY = 'cachedData';
+// Names this browser in the backend's audit log and deleted entries, see getClientId.
+const CLIENT_ID_KEY = 'clientId';
+// How long a removal can be undone from the toast; later it is restored from the deleted entries.
+const UNDO_TOAST_MS = 10000;
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+// Rows per 'bulkAdd' request; the backends accept up to 500.
+const IMPORT_CHUNK_SIZE = 200;
+const SYNC_RETRY_INTERVAL_MS = 60000;
+// How often an open page checks whether the entries were changed on another device.
+const REMOTE_CHECK_INTERVAL_MS = 30000;
+// Entries are loaded in full at least this often, and otherwise only the changes since the
+// cached revision. Revisions miss changes made by editing the sheet by hand.
+const FULL_LOAD_INTERVAL_MS = 24 * 60 * 60 * 1000;
+// Days of entries the table and chart show at first; 'Show older entries' adds as many again.
+const DISPLAY_WINDOW_DAYS = 30;
+const MS_PER_HOUR = 3600000;
+const HALF_LIFE_KEY = 'halfLife';
+const ABSORPTION_KEY = 'absorptionTime';
+const LEVEL_MIN_KEY = 'levelMin';
+const LEVEL_MAX_KEY = 'levelMax';
+const STATS_TRIGGER_KEY = 'statsTrigger';
+const CONCENTRATION_INPUT_KEYS = [
+	HALF_LIFE_KEY,
+	ABSORPTION_KEY,
+	LEVEL_MIN_KEY,
+	LEVEL_MAX_KEY,
+	STATS_TRIGGER_KEY,
+];
+const MAX_SINGLE_DOSE_KEY = 'maxSingleDose';
+const MIN_DOSE_INTERVAL_KEY = 'minDoseInterval';
+const MAX_DAILY_TOTAL_KEY = 'maxDailyTotal';
+const SAFETY_LIMIT_KEYS = [MAX_SINGLE_DOSE_KEY, MIN_DOSE_INTERVAL_KEY, MAX_DAILY_TOTAL_KEY];
+// Days of stock left below which the inventory warns; 0 turns the warning off.
+const REFILL_WARNING_DAYS_KEY = 'refillWarningDays';
+const REFILL_WARNING_DEFAULT_DAYS = 7;
+// Settings stored per medication, see medicationSettingKey.
+const MEDICATION_SETTING_KEYS = [
+	...CONCENTRATION_INPUT_KEYS,
+	...SAFETY_LIMIT_KEYS,
+	REFILL_WARNING_DAYS_KEY,
+];
+const REMINDERS_ENABLED_KEY = 'remindersEnabled';
+const REMINDER_STATE_KEY = 'reminderState';
+const REMINDER_SNOOZE_MINUTES = 15;
+const REMINDER_HISTORY_LENGTH = 20;
+// Days the adherence report covers until another range is chosen, ending today.
+const REPORT_DEFAULT_DAYS = 30;
+// Planner inputs, stored under their IDs.
+const PLANNER_INPUT_KEYS = [
+	'planLength',
+	'planUnit',
+	'planAmount',
+	'avoidNight',
+	'nightStart',
+	'nightEnd',
+];
+const MAX_PLAN_DAYS = 14;
+// How long each planned dose lasts in an exported calendar.
+const PLAN_EVENT_DURATION = 'PT15M';
+// setTimeout fires immediately for delays above this.
+const MAX_TIMEOUT_MS = 2147483647;
+// Elements showing the due amounts of getDueAmounts(): the amount, the offset and the time.
+const DUE_STAT_IDS = [
+	['half_amount', 'half', 'half_time'],
+	['one_amount', 'one', 'one_time'],
+];
+// Line colours of the medications that are not selected, by their position in the list.
+const MEDICATION_CHART_COLORS = [
+	'rgb(153, 102, 255)',
+	'rgb(255, 159, 64)',
+	'rgb(255, 99, 132)',
+	'rgb(75, 192, 192)',
+];
+// Medication of entries and regimens stored before medications existed; same as app_script.js.
+const DEFAULT_MEDICATION_ID = 'default';
+const DEFAULT_MEDICATION_NAME = 'Medication';
 const DEFAULT_PILLS = 1;
 const DEFAULT_HOUR = 8;
-const LOCALE = 'en-US';
+const DEFAULT_DOSE_STEP = 0.5;
+// Profile of data and settings from before profiles existed; same as app_script.js.
+const DEFAULT_PROFILE_ID = 'default';
+const DEFAULT_PROFILE_NAME = 'Default';
+const DEFAULT_LOCALE = 'en-US';
+// Offered by the settings besides the browser's own languages.
+const LOCALE_SUGGESTIONS = [
+	'en-US',
+	'en-GB',
+	'de-DE',
+	'es-ES',
+	'fr-FR',
+	'it-IT',
+	'nl-NL',
+	'pt-BR',
+	'ja-JP',
+	'zh-CN',
+];
 
 // --- DOM Element Selectors ---
 const $ = (id) => document.getElementById(id);
 
 const pillsElement = $(PILLS_KEY);
 const hourElement = $(HOUR_KEY);
+const doseStepElement = $(DOSE_STEP_KEY);
 const rateElement = $('rate');
+const medicationSelect = $('medicationSelect');
+const profileSelect = $('profileSelect');
+const dashboardContainer = $('dashboard');
+const quickDosesContainer = $('quickDoses');
 const overlay = $('overlay');
 const dosageAmountInput = $('dosage_amount');
 const newEventDatetimeInput = $('new_event_datetime');
 const addEventsContainer = $('add_events');
 const dosageChartContainer = $('dosageChart');
+const syncStatusContainer = $('syncStatus');
+const regimensContainer = $('regimens');
+const regimenStartInput = $('regimen_start');
+const inventoryContainer = $('inventory');
+const inventoryBanner = $('inventoryBanner');
+const refillsContainer = $('refills');
+const refillCountInput = $('refill_count');
+const refillDateInput = $('refill_date');
+const reminderToggleButton = $('reminderToggle');
+const reminderStatusElement = $('reminderStatus');
+const reminderBanner = $('reminderBanner');
+const updateBanner = $('updateBanner');
+const importFileInput = $('importFile');
+const importPreviewContainer = $('importPreview');
+const undoToast = $('undoToast');
+const deletedEntriesContainer = $('deletedEntries');
+const deletedEntriesToggle = $('deletedEntriesToggle');
+const reportFromInput = $('report_from');
+const reportToInput = $('report_to');
+const reportToleranceInput = $('report_tolerance');
+const reportOutputContainer = $('reportOutput');
+const planAmountSelect = $('planAmount');
+const planOutputContainer = $('planOutput');
 
 // --- Utility Functions ---
 const saveToLocalStorage = (key, value) => localStorage.setItem(key, value);
@@ -36,24 +183,42 @@ function isValidIANATimeZone(timeZoneString) {
 	return luxon.DateTime.local().setZone(timeZoneString).isValid;
 }
 
-let timeZone = loadFromLocalStorage(TIME_ZONE_KEY);
-if (!timeZone) {
-	timeZone = prompt(
-		`Enter your time zone (e.g., America/New_York, Europe/London, Asia/Tokyo): Current detected system zone is approx ${
-			luxon.DateTime.local().zoneName
-		}`
-	);
-	if (!timeZone) {
-		alert('Time zone is required to run the application.');
-		throw new Error('Time zone is required.');
+/**
+ * Validates if a string is a locale Intl can format dates for.
+ * @param {string} localeString - The BCP 47 language tag to validate, e.g. 'en-GB'.
+ * @returns {boolean} True if valid, false otherwise.
+ */
+function isValidLocale(localeString) {
+	if (!localeString || typeof localeString !== 'string') {
+		return false;
 	}
-	if (!isValidIANATimeZone(timeZone)) {
-		alert(`Invalid time zone format: "${timeZone}". Please enter a valid IANA time zone.`);
-		throw new Error('Invalid time zone format. Provided: ' + timeZone);
+	try {
+		return Intl.DateTimeFormat.supportedLocalesOf([localeString]).length > 0;
+	} catch (error) {
+		// Thrown for strings that are not language tags at all.
+		return false;
 	}
-	saveToLocalStorage(TIME_ZONE_KEY, timeZone);
 }
 
+/**
+ * The time zone from the settings. Until one is saved, which setup asks for on first run,
+ * the system's is used.
+ * @returns {string}
+ */
+function getSavedTimeZone() {
+	const saved = loadFromLocalStorage(TIME_ZONE_KEY);
+	return isValidIANATimeZone(saved) ? saved : luxon.DateTime.local().zoneName;
+}
+
+/** @returns {string} The locale from the settings, or DEFAULT_LOCALE. */
+function getSavedLocale() {
+	const saved = loadFromLocalStorage(LOCALE_KEY);
+	return isValidLocale(saved) ? saved : DEFAULT_LOCALE;
+}
+
+let timeZone = getSavedTimeZone();
+let locale = getSavedLocale();
+
 /**
  * Gets the current date and time as a Luxon DateTime object in the configured time zone.
  * @returns {luxon.DateTime}
@@ -83,7 +248,7 @@ const formatDateTime = (dateInput) => {
 		);
 		return 'Invalid Date';
 	}
-	return dt.setZone(timeZone).toFormat('MM/dd/yyyy, hh:mm a', { locale: LOCALE });
+	return dt.setZone(timeZone).toFormat('MM/dd/yyyy, hh:mm a', { locale });
 };
 
 /**
@@ -93,7 +258,7 @@ const formatDateTime = (dateInput) => {
  */
 const formatTimeOffset = (hoursOffset) => {
 	const dtWithOffset = getLocalNow().plus({ hours: hoursOffset });
-	return dtWithOffset.toFormat('hh:mm a', { locale: LOCALE });
+	return dtWithOffset.toFormat('hh:mm a', { locale });
 };
 
 /**
@@ -133,408 +298,4234 @@ const calculateHoursBetween = (dateTime1Input, dateTime2Input) => {
 	return Math.abs(dt2.diff(dt1, 'hours').hours);
 };
 
+/**
+ * Checks whether two ISO strings describe the same instant, regardless of their offsets.
+ * @param {string} isoA
+ * @param {string} isoB
+ * @returns {boolean}
+ */
+const isSameInstant = (isoA, isoB) =>
+	luxon.DateTime.fromISO(isoA).toMillis() === luxon.DateTime.fromISO(isoB).toMillis();
+
+/**
+ * Generates a unique ID for a new event. crypto.randomUUID only exists in secure contexts,
+ * so pages served over plain HTTP (e.g. from a LAN server) use the fallback.
+ * @returns {string}
+ */
+const generateEventId = () =>
+	typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+		? crypto.randomUUID()
+		: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+
+// Same rule as ID_REGEX in app_script.js.
+const isValidEventId = (id) => /^[A-Za-z0-9_-]{1,64}$/.test(id);
+
+/**
+ * Checks whether a queued operation targets the given event: by ID, or by exact instant for
+ * operations queued before events had IDs.
+ * @param {{id?: string, dosageTime: string}} event
+ * @param {{id?: string, date: string}} params - The operation parameters.
+ * @returns {boolean}
+ */
+const isOpTarget = (event, params) =>
+	params.id ? event.id === params.id : isSameInstant(event.dosageTime, params.date);
+
+/**
+ * Sorts events chronologically by their `dosageTime`, in place.
+ * @param {Array<{dosageTime: string}>} events
+ * @returns {Array<{dosageTime: string}>} The same array.
+ */
+const sortEventsByTime = (events) =>
+	events.sort(
+		(a, b) =>
+			luxon.DateTime.fromISO(a.dosageTime).toMillis() -
+			luxon.DateTime.fromISO(b.dosageTime).toMillis()
+	);
+
 // --- Application State ---
-let currentRate = parseFloat(loadFromLocalStorage(RATE_KEY)) || 0;
+// Pills per hour of the rate inputs, which show the selected medication's rate.
+let currentRate = 0;
 let eventsData = [];
+// Saved dosing regimens {id, start, pills, hours, medicationId}, sorted by start.
+let regimensData = [];
+// Saved medications {id, name, pills, hours, step}.
+let medicationsData = [];
+// Saved refills {id, date, count, medicationId}, sorted by date.
+let refillsData = [];
+// Saved profiles {id, name}.
+let profilesData = [];
+// Revision of the selected profile's entries as last loaded; null if the backend keeps none.
+let dataRevision = null;
+// When eventsData was last loaded in full rather than from the changes since a revision.
+let fullLoadAt = null;
+// How many days back the events table and the chart reach. Statistics use the whole history.
+let displayWindowDays = DISPLAY_WINDOW_DAYS;
+
+// --- Storage Backend Interaction ---
+let storageBackend = null;
+// Access the backend granted our token. With 'read', every control that changes data is hidden.
+let backendAccess = 'write';
+
+// Backends that check an access token, see setupAccessTokens() in app_script.js.
+const TOKEN_BACKEND_TYPES = ['appsScript', 'selfHosted'];
+const READ_ONLY_ERROR = 'This access token is read-only.';
+// Actions on the profile list or the shared settings; every other action is sent for the
+// selected profile.
+const UNSCOPED_ACTIONS = ['getProfiles', 'saveProfile', 'getSettings', 'saveSettings'];
+// Actions that change entries; the backend refuses them if the entries changed meanwhile.
+const ENTRY_WRITE_ACTIONS = ['add', 'bulkAdd', 'remove', 'update', 'restore'];
+const REVISION_CONFLICT_ERROR =
+	'The entries were changed on another device since they were loaded. The latest entries are shown now; please check them and try again.';
+
+/**
+ * Loads the stored backend configuration. Installs from before backends were selectable only
+ * stored a Google Sheet ID, which is migrated to an Apps Script configuration.
+ * @returns {{type: string, sheetId?: string, url?: string, token?: string} | null}
+ */
+function loadStorageBackendConfig() {
+	try {
+		const config = JSON.parse(loadFromLocalStorage(STORAGE_BACKEND_KEY));
+		if (config && config.type) return config;
+	} catch (error) {
+		console.error('Stored storage backend configuration is invalid:', error);
+	}
+	const legacySheetId = loadFromLocalStorage(GOOGLE_SHEET_ID_KEY);
+	return legacySheetId ? { type: 'appsScript', sheetId: legacySheetId } : null;
+}
 
-// --- Google Sheet API Interaction ---
-let googleSheetID = loadFromLocalStorage(GOOGLE_SHEET_ID_KEY);
-if (!googleSheetID) {
-	googleSheetID = prompt('Enter your Google Sheet ID:');
-	if (!googleSheetID) {
-		alert('Google Sheet ID is required to run the application.');
-		throw new Error('Google Sheet ID is required.');
+/**
+ * Sets up the configured backend. On first run, or while no time zone is saved, the app starts
+ * in setup mode: the settings are shown and have to be completed before anything is loaded.
+ */
+async function initStorageBackend() {
+	let config = loadStorageBackendConfig();
+	try {
+		if (config) createStorageBackend(config);
+	} catch (error) {
+		console.error('Stored storage backend configuration is incomplete:', error);
+		config = null;
 	}
-	saveToLocalStorage(GOOGLE_SHEET_ID_KEY, googleSheetID);
+	if (!config || !isValidIANATimeZone(loadFromLocalStorage(TIME_ZONE_KEY))) {
+		const settings = await showSettingsDialog({ setup: true });
+		storeSettings(settings, { setup: true });
+		config = settings.config;
+		timeZone = getSavedTimeZone();
+		locale = getSavedLocale();
+	}
+	storageBackend = createStorageBackend(config);
+	saveToLocalStorage(STORAGE_BACKEND_KEY, JSON.stringify(config));
 }
 
-const WEB_APP_URL = `https://script.google.com/macros/s/${googleSheetID}/exec`;
+/**
+ * Records the access level a backend response reported and shows or hides the controls that
+ * change data. Responses without one come from backends that do not check tokens.
+ * @param {string} [access] - 'read' or 'write'.
+ */
+function setBackendAccess(access) {
+	backendAccess = access === 'read' ? 'read' : 'write';
+	document.body.classList.toggle('read-only', backendAccess === 'read');
+	updateTimeDisplay();
+}
 
-async function fetchFromSheet(action, params = {}) {
-	setOverlayVisibility(true);
-	const url = new URL(WEB_APP_URL);
-	url.searchParams.append('action', action);
-	for (const key in params) {
-		if (Object.hasOwnProperty.call(params, key)) {
-			url.searchParams.append(key, params[key]);
-		}
+/**
+ * Identifies this browser to the backend, which records it with every change to entries.
+ * Generated on first use and kept for good.
+ * @returns {string}
+ */
+function getClientId() {
+	let clientId = loadFromLocalStorage(CLIENT_ID_KEY);
+	if (!clientId) {
+		clientId = `browser-${generateEventId().slice(0, 8)}`;
+		saveToLocalStorage(CLIENT_ID_KEY, clientId);
 	}
+	return clientId;
+}
 
+/**
+ * Checks whether a failed fetch was caused by missing connectivity rather than the server.
+ * @param {Error} error - The error thrown by fetch.
+ * @returns {boolean} True if the request never reached the server.
+ */
+const isNetworkError = (error) => !navigator.onLine || error instanceof TypeError;
+
+/**
+ * Calls the active storage backend.
+ * @param {string} action - The action to perform.
+ * @param {object} [params] - Additional request parameters.
+ * @param {object} [options]
+ * @param {boolean} [options.background] - Skip the overlay and all alerts (used by the sync queue).
+ * @param {boolean} [options.silentOffline] - Skip the alert when the request fails for lack of connectivity.
+ * @returns {Promise<object>} The parsed response; network failures resolve with `offline: true`.
+ */
+async function fetchFromBackend(
+	action,
+	params = {},
+	{ background = false, silentOffline = false } = {}
+) {
+	if (!background) setOverlayVisibility(true);
 	try {
-		const response = await fetch(url, {
-			method: action === 'get' ? 'GET' : 'POST',
-		});
-		if (!response.ok) {
-			throw new Error(`HTTP error! status: ${response.status}, message: ${await response.text()}`);
-		}
-		const data = await response.json();
+		const data = await storageBackend.call(action, params);
 		if (!data.success && data.error) {
-			console.error(`Error from sheet API (${action}):`, data.error);
-			alert(`Error interacting with Google Sheet: ${data.error}`);
+			console.error(`Error from storage backend (${action}):`, data.error);
+			// Conflicts are explained by submitOrQueue once the latest entries are loaded.
+			if (!background && !data.conflict) {
+				const hint = data.unauthorized ? ' Open the settings to enter a valid one.' : '';
+				alert(`Error interacting with the storage backend: ${data.error}${hint}`);
+			}
 		}
 		return data;
 	} catch (error) {
+		const offline = isNetworkError(error);
 		console.error(`Failed to ${action} data:`, error);
-		alert(
-			`Failed to ${action} data. Please check your connection, Sheet ID, and script deployment. Details: ${error.message}`
-		);
-		return { success: false, error: error.message, data: [] };
+		if (!background && !(offline && silentOffline)) {
+			alert(
+				`Failed to ${action} data. Please check your connection and storage backend settings. Details: ${error.message}`
+			);
+		}
+		return { success: false, error: error.message, data: [], offline };
 	} finally {
-		setOverlayVisibility(false);
+		if (!background) setOverlayVisibility(false);
 	}
 }
 
-const getEventsFromSheet = async () => {
-	const result = await fetchFromSheet('get');
-	return result.success ? result.data : [];
+/**
+ * Converts backend rows into events, dropping rows without a valid date or amount.
+ * @param {Array<{id?: string, date: string, value: number|string, override?: string, medication?: string}>} rows
+ * @returns {Array<{id?: string, dosageAmount: number, dosageTime: string, overrideReason?: string, medicationId: string}>} Sorted by time.
+ */
+const parseBackendEvents = (rows) =>
+	sortEventsByTime(
+		rows
+			.filter(
+				(e) =>
+					e &&
+					typeof e.date !== 'undefined' &&
+					typeof e.value !== 'undefined' &&
+					luxon.DateTime.fromISO(e.date).isValid
+			)
+			.map((e) => ({
+				id: e.id ? String(e.id) : undefined,
+				dosageAmount: parseFloat(e.value),
+				dosageTime: luxon.DateTime.fromISO(e.date).toISO(),
+				overrideReason: e.override ? String(e.override) : undefined,
+				medicationId: toMedicationId(e.medication),
+			}))
+	);
+
+/**
+ * Loads a profile's events. Given the events already at hand and their revision, only the
+ * entries changed since are requested and merged into them, unless the last full load is more
+ * than FULL_LOAD_INTERVAL_MS ago. Backends that cannot tell what changed send every entry.
+ * @param {object} [options] - Passed to fetchFromBackend.
+ * @param {string} [profileId] - Defaults to the selected profile.
+ * @param {{events: Array<object>, revision: number|null, fullLoadAt: string|null}} [known] - E.g.
+ *   the cached events.
+ * @returns {Promise<{events: Array<object>, revision: number|null, fullLoadAt: string} | null>}
+ *   The events, their revision and when they were last loaded in full, or null if they could
+ *   not be loaded.
+ */
+const getEventsFromBackend = async (options, profileId, known) => {
+	const now = getLocalNow();
+	const incremental =
+		known &&
+		known.revision !== null &&
+		known.fullLoadAt &&
+		now.diff(luxon.DateTime.fromISO(known.fullLoadAt)).toMillis() < FULL_LOAD_INTERVAL_MS;
+	const params = incremental ? { since: String(known.revision) } : {};
+	const result = await fetchFromBackend('get', withProfile(params, profileId), options);
+	if (!result.success) return null;
+	setBackendAccess(result.access);
+	const revision = typeof result.revision === 'number' ? result.revision : null;
+	const events = parseBackendEvents(result.data || []);
+	if (!result.delta) return { events, revision, fullLoadAt: now.toISO() };
+
+	const replaced = new Set([...result.removedIds, ...events.map((event) => event.id)]);
+	return {
+		events: sortEventsByTime([
+			...known.events.filter((event) => !replaced.has(event.id)),
+			...events,
+		]),
+		revision,
+		fullLoadAt: known.fullLoadAt,
+	};
 };
 
-const addEventToSheet = async (luxonDateTime, floatValue) => {
-	return fetchFromSheet('add', { date: luxonDateTime.toISO(), floatValue: floatValue.toString() });
+/**
+ * Loads the saved regimens. Deployments from before regimens existed reject the action,
+ * in which case the app keeps working with the rate inputs alone.
+ * @param {string} [profileId] - Defaults to the selected profile.
+ */
+const getRegimensFromBackend = async (profileId) => {
+	const result = await fetchFromBackend('getRegimens', withProfile({}, profileId), {
+		background: true,
+	});
+	if (!result.success) {
+		console.warn('Could not load regimens:', result.error);
+		return [];
+	}
+	return result.data || [];
 };
 
-const removeEventFromSheet = async (luxonDateTimeToRemove) => {
-	return fetchFromSheet('remove', { date: luxonDateTimeToRemove.toISO() });
+/**
+ * Loads the refills. Like getRegimensFromBackend, an older deployment's rejection leaves the
+ * inventory untracked.
+ * @param {string} [profileId] - Defaults to the selected profile.
+ */
+const getRefillsFromBackend = async (profileId) => {
+	const result = await fetchFromBackend('getRefills', withProfile({}, profileId), {
+		background: true,
+	});
+	if (!result.success) {
+		console.warn('Could not load refills:', result.error);
+		return [];
+	}
+	return result.data || [];
 };
 
-// --- UI Update Functions ---
-function updateTimeDisplay() {
-	const timeCheckNowDiv = $('timeCheckNow');
-	const timeZoneDiv = $('timeZoneDisplay');
-	const localCodeDiv = $('localCode');
+/**
+ * Loads the medication registry. Like getRegimensFromBackend, an older deployment's rejection
+ * leaves only the default medication.
+ * @param {string} [profileId] - Defaults to the selected profile.
+ */
+const getMedicationsFromBackend = async (profileId) => {
+	const result = await fetchFromBackend('getMedications', withProfile({}, profileId), {
+		background: true,
+	});
+	if (!result.success) {
+		console.warn('Could not load medications:', result.error);
+		return [];
+	}
+	return result.data || [];
+};
 
-	if (timeZoneDiv) timeZoneDiv.innerText = `Time Zone: ${timeZone}`;
-	if (localCodeDiv) localCodeDiv.innerText = `Locale: ${LOCALE}`;
+/**
+ * Loads the profile list.
+ * @returns {Promise<Array<object> | null>} Null if it could not be loaded, which includes
+ *   deployments from before profiles existed; those only have the default profile.
+ */
+const getProfilesFromBackend = async () => {
+	const result = await fetchFromBackend('getProfiles', {}, { background: true });
+	if (!result.success) {
+		console.warn('Could not load profiles:', result.error);
+		return null;
+	}
+	return result.data || [];
+};
 
-	const now = getLocalNow();
-	if (timeCheckNowDiv) timeCheckNowDiv.innerText = `Current DateTime: ${formatDateTime(now)}`;
-}
+/**
+ * @param {luxon.DateTime} luxonDateTime
+ * @param {number} floatValue
+ * @param {string} medicationId
+ * @param {string} [overrideReason] - Why the dose is logged despite breaking a safety limit.
+ */
+const addEventToBackend = async (luxonDateTime, floatValue, medicationId, overrideReason) => {
+	const params = {
+		id: generateEventId(),
+		date: luxonDateTime.toISO(),
+		floatValue: floatValue.toString(),
+		medication: medicationId,
+	};
+	if (overrideReason) params.override = overrideReason;
+	return submitOrQueue('add', params);
+};
 
-function setOverlayVisibility(show) {
-	if (overlay) overlay.style.display = show ? 'block' : 'none';
-}
+/**
+ * Changes the amount and/or time of an existing event.
+ * @param {{id: string}} event
+ * @param {{date?: string, floatValue?: string}} changes - Only the fields that changed.
+ */
+const updateEventInBackend = async (event, changes) => {
+	return submitOrQueue('update', { id: event.id, ...changes });
+};
 
-function updateRateDisplay() {
-	const pills = parseFloat(pillsElement.value);
-	const hours = parseFloat(hourElement.value);
+/**
+ * Removes an event by its ID. The date is sent along for backends that returned the event
+ * without an ID, and so queued removals can be described to the user. The medication makes
+ * sure a date match never removes another medication's entry.
+ * @param {{id?: string, dosageTime: string, medicationId?: string}} event
+ * @param {string} [reason] - Why the entry is removed; kept with the deleted entry.
+ */
+const removeEventFromBackend = async (event, reason) => {
+	const params = {
+		date: luxon.DateTime.fromISO(event.dosageTime, { zone: timeZone }).toISO(),
+		medication: medicationOf(event),
+	};
+	if (event.id) params.id = event.id;
+	if (reason) params.reason = reason;
+	return submitOrQueue('remove', params);
+};
 
-	if (!isNaN(pills) && !isNaN(hours) && hours !== 0) {
-		currentRate = pills / hours;
-		saveToLocalStorage(RATE_KEY, currentRate.toString());
-		if (rateElement) rateElement.innerText = currentRate.toFixed(3);
-	} else {
-		currentRate = 0;
-		saveToLocalStorage(RATE_KEY, '0');
-		if (rateElement) rateElement.innerText = 'N/A';
-	}
+/**
+ * Moves a removed event back from the backend's deleted entries. Only the ID is needed; the
+ * other fields let a queued restore be shown and described like a queued add.
+ * @param {{id: string, dosageAmount: number, dosageTime: string, overrideReason?: string, medicationId?: string}} event
+ */
+const restoreEventInBackend = async (event) => {
+	const params = {
+		id: event.id,
+		date: event.dosageTime,
+		floatValue: event.dosageAmount.toString(),
+		medication: medicationOf(event),
+	};
+	if (event.overrideReason) params.override = event.overrideReason;
+	return submitOrQueue('restore', params);
+};
 
-	if (eventsData.length > 0 || currentRate > 0) {
-		updateStatisticsDisplay(eventsData);
-		plotDosageGraph(eventsData);
-	}
-}
+// --- Offline Write Queue ---
+// Mutations that cannot reach the backend are persisted here and replayed in order once
+// connectivity returns. Replays the backend rejects stay in the queue as conflicts.
 
-function updateStatisticsDisplay(events) {
-	const statsElementsIds = [
-		'needed',
-		'totalGiven',
-		'totalNeeded',
-		'half',
-		'half_time',
-		'one',
-		'one_time',
-	];
-	if (!events || (events.length === 0 && currentRate === 0)) {
-		statsElementsIds.forEach((id) => {
-			const elem = $(id);
-			if (elem) elem.innerText = 'N/A';
-		});
-		return;
+/**
+ * Loads the persisted queue of operations waiting to be sent to the backend.
+ * @returns {Array<{opId: string, action: string, params: object, queuedAt: string, status: 'pending' | 'conflict', error?: string}>}
+ */
+function loadPendingOps() {
+	try {
+		const ops = JSON.parse(loadFromLocalStorage(PENDING_OPS_KEY) || '[]');
+		return Array.isArray(ops) ? ops : [];
+	} catch (error) {
+		console.error('Could not parse the pending operations queue, starting empty:', error);
+		return [];
 	}
+}
 
-	const totalGiven = events.reduce((sum, e) => sum + (parseFloat(e.dosageAmount) || 0), 0);
+let pendingOps = loadPendingOps();
+let isSyncing = false;
+// Writes sent so far, so a check for remote changes can tell that its rows may predate one.
+let sentWriteCount = 0;
 
-	const firstEventDT = events.length > 0 ? luxon.DateTime.fromISO(events[0].dosageTime) : null;
-	if (!firstEventDT || !firstEventDT.isValid) {
-		console.warn('First event time is invalid for stats calculation.');
-		return;
-	}
-	const firstEventDosageAmount = firstEventDT ? parseFloat(events[0].dosageAmount) : 0;
+// Responses to these actions only count as applied when the named flag is set.
+const CONFIRMATION_FLAGS = {
+	remove: 'removed',
+	update: 'updated',
+	restore: 'restored',
+	removeRegimen: 'removed',
+	removeRefill: 'removed',
+	removeMedication: 'removed',
+};
 
-	const initialDeficitHours = firstEventDosageAmount / currentRate;
-	const projectedStartTimeDT = firstEventDT.minus({ hours: initialDeficitHours });
+const savePendingOps = () => saveToLocalStorage(PENDING_OPS_KEY, JSON.stringify(pendingOps));
+const hasQueuedOps = () => pendingOps.some((op) => op.status === 'pending');
 
-	const nowDT = getLocalNow();
+function enqueuePendingOp(action, params) {
+	const op = {
+		opId: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+		action,
+		params,
+		queuedAt: getLocalNow().toISO(),
+		status: 'pending',
+	};
+	pendingOps.push(op);
+	savePendingOps();
+	return op;
+}
 
-	let hoursElapsed = 0;
-	hoursElapsed = calculateHoursBetween(projectedStartTimeDT, firstEventDT);
+function discardPendingOp(opId) {
+	pendingOps = pendingOps.filter((op) => op.opId !== opId);
+	savePendingOps();
+}
 
-	if (firstEventDT && firstEventDT.isValid) {
-		hoursElapsed += calculateHoursBetween(firstEventDT, nowDT);
-	} else if (events.length > 0) {
-		//Edge case: first event time was invalid
-		console.warn('First event time was invalid for stats calculation.');
+/**
+ * Sends a mutation to the backend, or queues it when offline. Once anything is queued, later
+ * mutations are queued behind it so the backend sees them in the order they were made.
+ * Mutations are sent for the selected profile, which queued ones remember, and name this
+ * browser as their client.
+ * Entry changes sent right away carry the revision of the entries on screen. If the backend
+ * reports that they have changed since, the latest entries are loaded and the result explains
+ * this to the user. Queued changes were made offline and carry none, so a retried one cannot
+ * keep conflicting.
+ * @param {string} action - A mutating action such as 'add' or 'remove'.
+ * @param {object} params - The request parameters.
+ * @returns {Promise<object>} The backend response, or `{success: true, queued: true, opId}` when queued.
+ */
+async function submitOrQueue(action, params) {
+	// Queuing would only turn the rejection into a sync conflict later.
+	if (backendAccess === 'read') return { success: false, error: READ_ONLY_ERROR };
+	if (!UNSCOPED_ACTIONS.includes(action)) params = withProfile(params);
+	params = { ...params, client: getClientId() };
+	if (navigator.onLine && !hasQueuedOps()) {
+		const sent =
+			ENTRY_WRITE_ACTIONS.includes(action) && dataRevision !== null
+				? { ...params, expectedRevision: String(dataRevision) }
+				: params;
+		sentWriteCount++;
+		const result = await fetchFromBackend(action, sent, { silentOffline: true });
+		if (result.conflict) {
+			console.warn(`The entries changed on the backend, reloading (${action}):`, result.error);
+			if (await loadDataFromBackend({ background: true })) {
+				renderMedicationInputs();
+				refreshEventsView();
+			}
+			return { ...result, error: REVISION_CONFLICT_ERROR };
+		}
+		if (!result.offline) {
+			adoptOwnRevision(result.revision);
+			return result;
+		}
 	}
+	const op = enqueuePendingOp(action, params);
+	return { success: true, queued: true, opId: op.opId };
+}
 
-	const totalNeededIdeal = currentRate * hoursElapsed;
-	const currentNeeded = Math.max(0, totalNeededIdeal - totalGiven);
+/**
+ * Takes the revision a backend reported after one of our own entry changes, unless it is
+ * more than that change ahead of the loaded entries: then someone else changed them too, and
+ * the next change that asserts the old revision finds out.
+ * @param {number} [revision]
+ */
+function adoptOwnRevision(revision) {
+	if (typeof revision !== 'number' || dataRevision === null) return;
+	if (revision === dataRevision || revision === dataRevision + 1) dataRevision = revision;
+}
 
-	const setStat = (id, value) => {
-		const element = $(id);
-		if (element) element.innerText = value;
-		else console.warn(`Statistic element with ID '${id}' not found.`);
-	};
+/**
+ * Applies an operation the backend has accepted to the confirmed event list.
+ * @param {object} op - The queued operation.
+ */
+function applyConfirmedOp(op) {
+	if (op.action === 'add' || op.action === 'restore') {
+		eventsData.push({
+			id: op.params.id,
+			dosageAmount: parseFloat(op.params.floatValue),
+			dosageTime: op.params.date,
+			overrideReason: op.params.override,
+			medicationId: toMedicationId(op.params.medication),
+		});
+		sortEventsByTime(eventsData);
+	} else if (op.action === 'remove') {
+		const index = eventsData.findIndex((event) => isOpTarget(event, op.params));
+		if (index !== -1) eventsData.splice(index, 1);
+	} else if (op.action === 'update') {
+		const target = eventsData.find((event) => isOpTarget(event, op.params));
+		if (target) applyEventChanges(target, op.params);
+		sortEventsByTime(eventsData);
+	} else if (op.action === 'bulkAdd') {
+		JSON.parse(op.params.rows).forEach((row) => {
+			if (eventsData.some((event) => event.id === row.id)) return;
+			eventsData.push({
+				id: row.id,
+				dosageAmount: parseFloat(row.floatValue),
+				dosageTime: row.date,
+				overrideReason: row.override,
+				medicationId: toMedicationId(row.medication),
+			});
+		});
+		sortEventsByTime(eventsData);
+	} else if (op.action === 'addRegimen') {
+		regimensData.push(parseRegimen(op.params));
+		sortRegimensByStart(regimensData);
+	} else if (op.action === 'removeRegimen') {
+		regimensData = regimensData.filter((regimen) => regimen.id !== op.params.id);
+	} else if (op.action === 'addRefill') {
+		refillsData.push(parseRefill(op.params));
+		sortRefillsByDate(refillsData);
+	} else if (op.action === 'removeRefill') {
+		refillsData = refillsData.filter((refill) => refill.id !== op.params.id);
+	} else if (op.action === 'saveMedication') {
+		const medication = parseMedication(op.params);
+		const index = medicationsData.findIndex((m) => m.id === medication.id);
+		if (index === -1) medicationsData.push(medication);
+		else medicationsData[index] = medication;
+	} else if (op.action === 'removeMedication') {
+		medicationsData = medicationsData.filter((medication) => medication.id !== op.params.id);
+	} else if (op.action === 'saveProfile') {
+		const profile = parseProfile(op.params);
+		const index = profilesData.findIndex((p) => p.id === profile.id);
+		if (index === -1) profilesData.push(profile);
+		else profilesData[index] = profile;
+	}
+}
 
-	setStat('needed', currentNeeded.toFixed(1));
-	setStat('totalGiven', totalGiven.toFixed(1));
-	setStat('totalNeeded', totalNeededIdeal.toFixed(2));
+/**
+ * Copies the fields of an update request onto an event.
+ * @param {{dosageAmount: number, dosageTime: string}} event - The event to modify.
+ * @param {{date?: string, floatValue?: string}} changes
+ */
+function applyEventChanges(event, changes) {
+	if (changes.date) event.dosageTime = changes.date;
+	if (changes.floatValue !== undefined) event.dosageAmount = parseFloat(changes.floatValue);
+}
 
-	if (currentRate > 0) {
-		const halfDosageTimeOffsetHours = (0.5 - currentNeeded) / currentRate;
-		const oneDosageTimeOffsetHours = (1.0 - currentNeeded) / currentRate;
+/**
+ * Replays pending operations against the backend in the order they were queued.
+ * Stops at the first network failure; operations the backend rejects become conflicts.
+ */
+async function syncPendingOps() {
+	if (isSyncing || !navigator.onLine || !hasQueuedOps()) return;
+	isSyncing = true;
+	try {
+		for (const op of [...pendingOps]) {
+			if (op.status !== 'pending') continue;
+			sentWriteCount++;
+			const result = await fetchFromBackend(op.action, op.params, { background: true });
+			if (result.offline) break;
 
-		setStat('half', `${halfDosageTimeOffsetHours.toFixed(1)} hrs`);
-		setStat('half_time', formatTimeOffset(halfDosageTimeOffsetHours));
-		setStat('one', `${oneDosageTimeOffsetHours.toFixed(1)} hrs`);
-		setStat('one_time', formatTimeOffset(oneDosageTimeOffsetHours));
-	} else {
-		['half', 'half_time', 'one', 'one_time'].forEach((id) => setStat(id, 'N/A'));
+			const confirmationFlag = CONFIRMATION_FLAGS[op.action];
+			if (result.success && (!confirmationFlag || result[confirmationFlag])) {
+				// Another profile's lists are loaded again when it is selected.
+				if (UNSCOPED_ACTIONS.includes(op.action) || opProfileId(op) === selectedProfileId) {
+					applyConfirmedOp(op);
+					adoptOwnRevision(result.revision);
+				}
+				discardPendingOp(op.opId);
+			} else {
+				op.status = 'conflict';
+				op.error = result.error || result.message || 'Rejected by the backend.';
+				savePendingOps();
+			}
+			refreshEventsView();
+		}
+	} catch (error) {
+		console.error('Error while syncing pending operations:', error);
+	} finally {
+		isSyncing = false;
 	}
 }
 
-function populateEventRow(dosageAmount, dosageTimeISO) {
-	if (!addEventsContainer) return;
-	let table = addEventsContainer.querySelector('table');
-	if (!table) {
-		table = document.createElement('table');
-		table.innerHTML = `
-            <thead>
-                <tr>
-                    <th>Dosage Amount</th>
-                    <th>Dosage Time</th>
-                    <th>Remove</th>
-                </tr>
-            </thead>
-            <tbody></tbody>`;
-		addEventsContainer.appendChild(table);
-	}
-	const tbody = table.querySelector('tbody');
-	if (!tbody) return;
-
-	const row = tbody.insertRow();
-	row.insertCell().textContent = dosageAmount.toFixed(1);
+function retryConflict(opId) {
+	const op = pendingOps.find((p) => p.opId === opId);
+	if (!op) return;
+	op.status = 'pending';
+	delete op.error;
+	savePendingOps();
+	refreshEventsView();
+	syncPendingOps();
+}
 
-	const timeCell = row.insertCell();
-	timeCell.textContent = formatDateTime(dosageTimeISO);
-	timeCell.dataset.rawTime = dosageTimeISO;
+function discardConflict(opId) {
+	if (!confirm('Discard this change? It will not be sent to the backend.')) return;
+	discardPendingOp(opId);
+	refreshEventsView();
+}
 
-	const actionCell = row.insertCell();
-	const removeButton = document.createElement('input');
-	removeButton.type = 'button';
-	removeButton.value = 'X';
-	removeButton.className = 'remove-button';
-	removeButton.onclick = () => removeDosageEntryHandler(removeButton);
-	actionCell.appendChild(removeButton);
+/**
+ * Merges the confirmed backend events with the selected profile's queued operations for display.
+ * Queued adds and restores are flagged with their sync status, restores also with
+ * `pendingRestore` and rows of a queued import with `pendingImport`; events with a queued
+ * removal or edit are flagged `pendingRemoval` or `pendingUpdate`, and queued edits are already
+ * applied.
+ * @returns {Array<{id?: string, dosageAmount: number, dosageTime: string, overrideReason?: string, medicationId: string, syncStatus?: string, opId?: string, pendingImport?: boolean, pendingRestore?: boolean, pendingRemoval?: boolean, pendingUpdate?: boolean}>}
+ */
+function getMergedEvents() {
+	const events = eventsData.map((event) => ({ ...event }));
+	getProfileOps().forEach((op) => {
+		if (op.action === 'add' || op.action === 'restore') {
+			const event = {
+				id: op.params.id,
+				dosageAmount: parseFloat(op.params.floatValue),
+				dosageTime: op.params.date,
+				overrideReason: op.params.override,
+				medicationId: toMedicationId(op.params.medication),
+				syncStatus: op.status,
+				opId: op.opId,
+			};
+			if (op.action === 'restore') event.pendingRestore = true;
+			events.push(event);
+		} else if (op.action === 'bulkAdd') {
+			JSON.parse(op.params.rows).forEach((row) =>
+				events.push({
+					id: row.id,
+					dosageAmount: parseFloat(row.floatValue),
+					dosageTime: row.date,
+					overrideReason: row.override,
+					medicationId: toMedicationId(row.medication),
+					syncStatus: op.status,
+					pendingImport: true,
+				})
+			);
+		} else if (op.action === 'remove') {
+			const target = events.find(
+				(event) => !event.opId && !event.pendingRemoval && isOpTarget(event, op.params)
+			);
+			if (target) {
+				target.pendingRemoval = true;
+				target.syncStatus = op.status;
+			}
+		} else if (op.action === 'update') {
+			const target = events.find((event) => !event.opId && isOpTarget(event, op.params));
+			if (target) {
+				applyEventChanges(target, op.params);
+				target.pendingUpdate = true;
+				target.syncStatus = op.status;
+			}
+		}
+	});
+	return sortEventsByTime(events);
 }
 
-let dosageChartInstance = null;
+/**
+ * Events as they will be once the queue has synced; used for statistics and the chart.
+ * @returns {Array<object>}
+ */
+const getActiveEvents = () => getMergedEvents().filter((event) => !event.pendingRemoval);
 
-function plotDosageGraph(events) {
-	if (!dosageChartContainer) return;
-	dosageChartContainer.innerHTML = '';
+// --- Cached Data ---
+// The last event, regimen and refill lists fetched from the backend are kept in localStorage, so
+// the page renders immediately on load and still shows the history when the backend is
+// unreachable. Each profile has its own copy.
 
-	if (typeof Chart === 'undefined') {
-		dosageChartContainer.textContent = 'Chart.js library not loaded.';
-		return;
-	}
-	if (typeof luxon === 'undefined') {
-		dosageChartContainer.textContent = 'Luxon library not loaded.';
-		return;
-	}
+// When the page shows cached data because the backend could not be reached: when it was saved.
+let cachedDataSavedAt = null;
+// Whether the lists on screen came from the backend during this page load.
+let backendDataLoaded = false;
 
-	if (!events || events.length === 0 || currentRate <= 0) {
-		dosageChartContainer.textContent =
-			'No data to display or rate is zero. Enter data and set a rate.';
-		if (dosageChartInstance) {
-			dosageChartInstance.destroy();
-			dosageChartInstance = null;
-		}
-		return;
+/**
+ * Loads the cached lists, if they were saved for the storage backend in use.
+ * @param {string} [profileId] - Defaults to the selected profile.
+ * @returns {{savedAt: string, access: string, events: Array<object>, revision: number|null, fullLoadAt: string|null, regimens: Array<object>, refills: Array<object>, medications: Array<object>, profiles: Array<object>} | null}
+ */
+function loadCachedData(profileId = selectedProfileId) {
+	try {
+		const cached = JSON.parse(
+			loadFromLocalStorage(profileSettingKey(CACHED_DATA_KEY, profileId)) || 'null'
+		);
+		if (!cached || cached.backend !== storageBackend.description) return null;
+		return {
+			savedAt: cached.savedAt,
+			access: cached.access,
+			events: Array.isArray(cached.events) ? cached.events : [],
+			revision: typeof cached.revision === 'number' ? cached.revision : null,
+			fullLoadAt: cached.fullLoadAt || null,
+			regimens: Array.isArray(cached.regimens) ? cached.regimens : [],
+			refills: Array.isArray(cached.refills) ? cached.refills : [],
+			medications: Array.isArray(cached.medications) ? cached.medications : [],
+			profiles: Array.isArray(cached.profiles) ? cached.profiles : [],
+		};
+	} catch (error) {
+		console.error('Could not parse the cached data, ignoring it:', error);
+		return null;
 	}
+}
 
-	const canvas = document.createElement('canvas');
-	dosageChartContainer.appendChild(canvas);
-
-	const { labels: luxonDateTimeLabels, neededDataPoints } = calculatePlotData(events);
+function saveCachedData() {
+	saveToLocalStorage(
+		profileSettingKey(CACHED_DATA_KEY),
+		JSON.stringify({
+			backend: storageBackend.description,
+			savedAt: getLocalNow().toISO(),
+			access: backendAccess,
+			events: eventsData,
+			revision: dataRevision,
+			fullLoadAt,
+			regimens: regimensData,
+			refills: refillsData,
+			medications: medicationsData,
+			profiles: profilesData,
+		})
+	);
+}
 
-	if (luxonDateTimeLabels.length === 0 && neededDataPoints.length === 0) {
-		dosageChartContainer.textContent = 'Not enough data to plot the graph after processing.';
-		if (dosageChartInstance) {
-			dosageChartInstance.destroy();
-			dosageChartInstance = null;
+/**
+ * Replaces the profile list and the selected profile's event, regimen, refill and medication
+ * lists with the backend's. A selected profile the backend does not know is switched to the
+ * default one. On failure the current lists, possibly from the cache, are kept, and so are they
+ * when another profile is selected while the lists load.
+ * @param {object} [options] - Passed to fetchFromBackend.
+ * @returns {Promise<boolean>} Whether the backend could be read for the selected profile.
+ */
+async function loadDataFromBackend(options) {
+	const profiles = await getProfilesFromBackend();
+	if (profiles) {
+		profilesData = profiles.map(parseProfile);
+		if (getSelectedProfile().id !== selectedProfileId) {
+			console.warn(`Profile '${selectedProfileId}' was not found; showing the default profile.`);
+			setSelectedProfile(DEFAULT_PROFILE_ID);
 		}
-		return;
+	}
+	const profileId = selectedProfileId;
+	// A profile added while offline has nothing on the backend yet.
+	if (profileId !== DEFAULT_PROFILE_ID && !profilesData.some((p) => p.id === profileId)) {
+		return false;
 	}
 
-	if (dosageChartInstance) {
-		dosageChartInstance.destroy();
+	const loaded = await getEventsFromBackend(options, profileId, {
+		events: eventsData,
+		revision: dataRevision,
+		fullLoadAt,
+	});
+	if (loaded === null) return false;
+	const regimens = await getRegimensFromBackend(profileId);
+	const refills = await getRefillsFromBackend(profileId);
+	const medications = await getMedicationsFromBackend(profileId);
+	if (profileId !== selectedProfileId) return false;
+
+	eventsData = loaded.events;
+	dataRevision = loaded.revision;
+	fullLoadAt = loaded.fullLoadAt;
+	regimensData = sortRegimensByStart(regimens.map(parseRegimen));
+	refillsData = sortRefillsByDate(refills.map(parseRefill));
+	medicationsData = medications.map(parseMedication);
+	cachedDataSavedAt = null;
+	backendDataLoaded = true;
+	saveCachedData();
+	return true;
+}
+
+// --- Remote Changes ---
+// While the page is open, entries logged, edited or removed on another device replace the
+// ones on screen. The backend is asked for the revision of the entries every
+// REMOTE_CHECK_INTERVAL_MS and whenever the page becomes visible, and the entries are only
+// loaded again when it moved. Backends without revisions have them loaded and compared.
+
+let isCheckingRemoteChanges = false;
+// The last change picked up from another device, shown until dismissed: {at, summary}.
+let remoteUpdate = null;
+
+/** Whether an entry is being edited inline, which re-rendering the table would discard. */
+const isEditingEntry = () =>
+	Boolean(addEventsContainer && addEventsContainer.querySelector('input[type="datetime-local"]'));
+
+/**
+ * Describes how a newer list of events differs from the confirmed one.
+ * @param {Array<object>} before
+ * @param {Array<object>} after
+ * @returns {string} Such as '1 added, 1 removed', or '' if nothing changed.
+ */
+function describeEventChanges(before, after) {
+	const timeOf = (event) => luxon.DateTime.fromISO(event.dosageTime).toMillis();
+	const keyOf = (event) => event.id || String(timeOf(event));
+	const signatureOf = (event) =>
+		JSON.stringify([
+			timeOf(event),
+			event.dosageAmount,
+			event.overrideReason || '',
+			event.medicationId,
+		]);
+	const beforeByKey = new Map(before.map((event) => [keyOf(event), signatureOf(event)]));
+	const afterByKey = new Map(after.map((event) => [keyOf(event), signatureOf(event)]));
+
+	const added = [...afterByKey.keys()].filter((key) => !beforeByKey.has(key)).length;
+	const removed = [...beforeByKey.keys()].filter((key) => !afterByKey.has(key)).length;
+	const changed = [...afterByKey].filter(
+		([key, signature]) => beforeByKey.has(key) && beforeByKey.get(key) !== signature
+	).length;
+	return [
+		[added, 'added'],
+		[removed, 'removed'],
+		[changed, 'changed'],
+	]
+		.filter(([count]) => count > 0)
+		.map(([count, label]) => `${count} ${label}`)
+		.join(', ');
+}
+
+/**
+ * Loads the selected profile's entries again if they changed on the backend, and updates the
+ * table, statistics and chart in place. Skipped while the page is hidden, offline, syncing,
+ * showing cached data or editing an entry; the result is dropped if the profile changes or one
+ * of our own writes is sent while it loads.
+ */
+async function checkForRemoteChanges() {
+	if (isCheckingRemoteChanges || isSyncing || !backendDataLoaded) return;
+	if (document.hidden || !navigator.onLine || isEditingEntry()) return;
+	isCheckingRemoteChanges = true;
+	try {
+		const profileId = selectedProfileId;
+		const writeCount = sentWriteCount;
+		if (dataRevision !== null) {
+			const result = await fetchFromBackend('getRevision', withProfile({}), { background: true });
+			if (result.success && result.revision === dataRevision) return;
+		}
+		const loaded = await getEventsFromBackend({ background: true }, profileId, {
+			events: eventsData,
+			revision: dataRevision,
+			fullLoadAt,
+		});
+		if (!loaded || profileId !== selectedProfileId || writeCount !== sentWriteCount) return;
+		if (isEditingEntry()) return;
+
+		const summary = describeEventChanges(eventsData, loaded.events);
+		eventsData = loaded.events;
+		dataRevision = loaded.revision;
+		fullLoadAt = loaded.fullLoadAt;
+		saveCachedData();
+		if (!summary) return;
+
+		remoteUpdate = { at: getLocalNow().toISO(), summary };
+		refreshEventsView();
+		loadDeletedEntries();
+	} finally {
+		isCheckingRemoteChanges = false;
 	}
+}
 
-	dosageChartInstance = new Chart(canvas.getContext('2d'), {
-		type: 'line',
-		data: {
-			labels: luxonDateTimeLabels,
-			datasets: [
-				{
-					label: 'Needed Dosage (Deficit)',
-					data: neededDataPoints,
-					borderColor: 'rgb(99, 211, 255)',
-					backgroundColor: 'rgba(84, 83, 83, 0.2)',
-					fill: true,
-				},
-			],
-		},
-		options: {
-			responsive: true,
-			scales: {
-				x: {
-					type: 'time',
-					adapters: {
-						date: {
-							zone: timeZone,
-							locale: LOCALE,
-						},
-					},
-					time: {
-						tooltipFormat: 'MMM d, yyyy, hh:mm a ZZZZ',
-						displayFormats: {
-							millisecond: 'HH:mm:ss.SSS',
-							second: 'HH:mm:ss',
-							minute: 'HH:mm',
-							hour: 'h a',
-							day: 'MMM d',
-							week: 'MMM d, yyyy',
-							month: 'MMM yyyy',
-							quarter: 'QQQ yyyy',
-							year: 'yyyy',
-						},
-					},
-					title: { display: true, text: `Time (${timeZone})` },
-				},
-				y: {
-					beginAtZero: false,
-					title: { display: true, text: 'Dosage Units Needed' },
-				},
-			},
-			plugins: {
-				tooltip: {
-					mode: 'index',
-					intersect: false,
-				},
-				legend: {
-					position: 'top',
-				},
-			},
+// --- Settings ---
+
+const isSettingsSyncEnabled = () => loadFromLocalStorage(SYNC_SETTINGS_KEY) !== 'false';
+
+/**
+ * The shared settings this device has, by key.
+ * @returns {Object<string, string>}
+ */
+const getSharedSettings = () =>
+	Object.fromEntries(
+		SHARED_SETTING_KEYS.map((key) => [key, loadFromLocalStorage(key)]).filter(([, value]) => value)
+	);
+
+/**
+ * Reads the storage backend choice of the settings form.
+ * @param {HTMLFormElement} form
+ * @returns {{type: string, sheetId?: string, url?: string, token?: string}}
+ */
+function readBackendForm(form) {
+	const type = form.elements.backendType.value;
+	const config = { type };
+	if (type === 'appsScript') config.sheetId = $('backendSheetId').value.trim();
+	if (type === 'selfHosted') config.url = $('backendServerUrl').value.trim();
+	if (type === 'rest') config.url = $('backendRestUrl').value.trim();
+	const token = $(type === 'appsScript' ? 'backendSheetToken' : 'backendServerToken');
+	if (TOKEN_BACKEND_TYPES.includes(type) && token.value.trim()) {
+		config.token = token.value.trim();
+	}
+	return config;
+}
+
+/**
+ * Fills the settings form with the stored settings.
+ * @param {HTMLFormElement} form
+ */
+function fillSettingsForm(form) {
+	const config = loadStorageBackendConfig();
+	if (config) {
+		form.elements.backendType.value = config.type;
+		if (config.type === 'appsScript') {
+			$('backendSheetId').value = config.sheetId || '';
+			$('backendSheetToken').value = config.token || '';
+		}
+		if (config.type === 'selfHosted') {
+			$('backendServerUrl').value = config.url || '';
+			$('backendServerToken').value = config.token || '';
+		}
+		if (config.type === 'rest') $('backendRestUrl').value = config.url || '';
+	}
+	// When the page itself is served by server.js, its protocol endpoint is the likely choice.
+	const serverUrlInput = $('backendServerUrl');
+	if (!serverUrlInput.value && location.protocol.startsWith('http')) {
+		serverUrlInput.value = new URL('exec', location.href).toString();
+	}
+
+	const fillList = (listId, values) =>
+		$(listId).replaceChildren(
+			...values.map((value) => {
+				const option = document.createElement('option');
+				option.value = value;
+				return option;
+			})
+		);
+	// Without Intl.supportedValuesOf (older browsers) the time zone is typed in full.
+	fillList(
+		'timeZoneList',
+		typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []
+	);
+	fillList('localeList', [...new Set([...(navigator.languages || []), ...LOCALE_SUGGESTIONS])]);
+
+	$('settingsTimeZone').value = timeZone;
+	$('settingsLocale').value = loadFromLocalStorage(LOCALE_KEY) || '';
+	$('settingsLocale').placeholder = DEFAULT_LOCALE;
+	$('settingsQuickDoses').value = loadFromLocalStorage(QUICK_DOSE_AMOUNTS_KEY) || '';
+	$('settingsDefaultPills').value = loadFromLocalStorage(DEFAULT_PILLS_KEY) || '';
+	$('settingsDefaultPills').placeholder = DEFAULT_PILLS;
+	$('settingsDefaultHours').value = loadFromLocalStorage(DEFAULT_HOURS_KEY) || '';
+	$('settingsDefaultHours').placeholder = DEFAULT_HOUR;
+	$('settingsSync').checked = isSettingsSyncEnabled();
+	$('settingsTestResult').textContent = '';
+	showSettingsError('');
+}
+
+/**
+ * Reads and checks the settings form.
+ * @param {HTMLFormElement} form
+ * @returns {{config: object, values: Object<string, string>, sync: boolean} | {error: string}}
+ * The settings, with the shared ones by key and empty for those left at their default.
+ */
+function readSettingsForm(form) {
+	const config = readBackendForm(form);
+	try {
+		createStorageBackend(config);
+	} catch (error) {
+		return { error: error.message };
+	}
+
+	const zone = $('settingsTimeZone').value.trim();
+	if (!isValidIANATimeZone(zone)) {
+		return { error: `"${zone}" is not a valid IANA time zone, e.g. Europe/London.` };
+	}
+	const localeValue = $('settingsLocale').value.trim();
+	if (localeValue && !isValidLocale(localeValue)) {
+		return { error: `"${localeValue}" is not a supported locale, e.g. en-GB.` };
+	}
+	const quickDoses = parseQuickDoseAmounts($('settingsQuickDoses').value);
+	if (!quickDoses) {
+		return {
+			error: `Quick-dose amounts must be up to ${MAX_QUICK_DOSES} positive numbers, separated by commas.`,
+		};
+	}
+	const [pills, hours] = ['settingsDefaultPills', 'settingsDefaultHours'].map((id) =>
+		$(id).value.trim()
+	);
+	if ((pills && !(Number(pills) > 0)) || (hours && !(Number(hours) > 0))) {
+		return { error: 'The default rate needs a positive number of pills and hours.' };
+	}
+
+	return {
+		config,
+		sync: $('settingsSync').checked,
+		values: {
+			[TIME_ZONE_KEY]: zone,
+			[LOCALE_KEY]: localeValue,
+			[QUICK_DOSE_AMOUNTS_KEY]: quickDoses.join(', '),
+			[DEFAULT_PILLS_KEY]: pills && String(Number(pills)),
+			[DEFAULT_HOURS_KEY]: hours && String(Number(hours)),
 		},
+	};
+}
+
+function showSettingsError(message) {
+	const errorElement = $('settingsError');
+	errorElement.textContent = message;
+	errorElement.hidden = !message;
+}
+
+/**
+ * Shows the settings dialog. In setup mode it cannot be dismissed until valid settings are
+ * entered.
+ * @param {object} [options]
+ * @param {boolean} [options.setup] - First run: nothing is configured yet.
+ * @returns {Promise<{config: object, values: Object<string, string>, sync: boolean} | null>}
+ * The settings entered, or null if the dialog was cancelled.
+ */
+function showSettingsDialog({ setup = false } = {}) {
+	const dialog = $('settingsDialog');
+	const form = dialog.querySelector('form');
+	fillSettingsForm(form);
+	$('settingsTitle').textContent = setup ? 'Set up Dosage Helper' : 'Settings';
+	$('settingsCancel').hidden = setup;
+
+	return new Promise((resolve) => {
+		form.onsubmit = (event) => {
+			const settings = readSettingsForm(form);
+			if (settings.error) {
+				event.preventDefault();
+				showSettingsError(settings.error);
+				return;
+			}
+			resolve(settings);
+		};
+		// Set here rather than in initializeApp, which only wires the page once setup is done.
+		$('settingsTestButton').onclick = testConnectionHandler;
+		$('settingsCancel').onclick = () => {
+			dialog.close();
+			resolve(null);
+		};
+		// Setup has to be completed, so Escape must not close the dialog then.
+		dialog.oncancel = (event) => {
+			if (setup) event.preventDefault();
+			else resolve(null);
+		};
+		dialog.showModal();
+	});
+}
+
+/**
+ * Stores shared settings by key; empty values remove the setting.
+ * @param {Object<string, string>} values
+ * @returns {boolean} Whether any setting changed.
+ */
+function storeSharedSettings(values) {
+	let changed = false;
+	Object.entries(values).forEach(([key, value]) => {
+		if ((loadFromLocalStorage(key) || '') === value) return;
+		changed = true;
+		if (value) saveToLocalStorage(key, value);
+		else localStorage.removeItem(key);
+	});
+	return changed;
+}
+
+/**
+ * Stores the settings read from the form. Changed shared settings are stamped with the time,
+ * so other devices take them over. Setup leaves them unstamped: a device joining existing data
+ * takes the shared settings instead of overriding them with its first choices.
+ * @param {{config: object, values: Object<string, string>, sync: boolean}} settings
+ * @param {object} [options]
+ * @param {boolean} [options.setup]
+ * @returns {boolean} Whether any shared setting changed.
+ */
+function storeSettings({ config, values, sync }, { setup = false } = {}) {
+	saveToLocalStorage(STORAGE_BACKEND_KEY, JSON.stringify(config));
+	saveToLocalStorage(SYNC_SETTINGS_KEY, String(sync));
+	const changed = storeSharedSettings(values);
+	if (changed && !setup) saveToLocalStorage(SETTINGS_UPDATED_AT_KEY, getLocalNow().toISO());
+	return changed;
+}
+
+/**
+ * Shows everything in the stored time zone and locale and with the stored defaults.
+ */
+function applySettings() {
+	timeZone = getSavedTimeZone();
+	locale = getSavedLocale();
+	updateTimeDisplay();
+	renderMedicationInputs();
+	refreshEventsView();
+}
+
+/**
+ * Sends the shared settings to the backend, unless sharing is off.
+ */
+async function pushSharedSettings() {
+	const updatedAt = loadFromLocalStorage(SETTINGS_UPDATED_AT_KEY);
+	if (!isSettingsSyncEnabled() || backendAccess === 'read' || !updatedAt) return;
+	const result = await submitOrQueue('saveSettings', {
+		settings: JSON.stringify(getSharedSettings()),
+		updatedAt,
+	});
+	if (!result.success) console.warn('Could not share the settings:', result.error);
+	renderSyncStatus();
+}
+
+/**
+ * Takes the settings shared through the backend when they are newer than this device's or
+ * this device only has its setup choices. Shares this device's settings instead when they are
+ * the newer ones, e.g. on the first device or after sharing was turned on.
+ */
+async function pullSharedSettings() {
+	if (!isSettingsSyncEnabled()) return;
+	const result = await fetchFromBackend('getSettings', {}, { background: true });
+	// Offline, or a backend from before settings were shared.
+	if (!result.success) return;
+
+	const localUpdatedAt = loadFromLocalStorage(SETTINGS_UPDATED_AT_KEY);
+	const remoteIsNewer =
+		result.updatedAt && (!localUpdatedAt || new Date(result.updatedAt) > new Date(localUpdatedAt));
+	if (remoteIsNewer) {
+		const values = Object.fromEntries(
+			SHARED_SETTING_KEYS.map((key) => [
+				key,
+				typeof result.data[key] === 'string' ? result.data[key] : '',
+			])
+		);
+		// A time zone is required, so this device keeps its own unless a valid one was shared.
+		if (!isValidIANATimeZone(values[TIME_ZONE_KEY])) delete values[TIME_ZONE_KEY];
+		const changed = storeSharedSettings(values);
+		saveToLocalStorage(SETTINGS_UPDATED_AT_KEY, result.updatedAt);
+		if (changed) applySettings();
+		return;
+	}
+
+	const isQueued = pendingOps.some((op) => op.action === 'saveSettings');
+	if (isQueued || (localUpdatedAt && result.updatedAt === localUpdatedAt)) return;
+	if (!localUpdatedAt) saveToLocalStorage(SETTINGS_UPDATED_AT_KEY, getLocalNow().toISO());
+	await pushSharedSettings();
+}
+
+// --- Regimens ---
+// A regimen is a pill count per number of hours that applies from its start until the next
+// regimen starts. The earliest regimen also covers everything before it, so a history that
+// began before the first saved regimen is still measured against something.
+
+/**
+ * Converts regimen request parameters or backend data into a regimen with numeric fields.
+ * @param {{id: string, start: string, pills: string|number, hours: string|number, medication?: string}} regimen
+ * @returns {{id: string, start: string, pills: number, hours: number, medicationId: string}}
+ */
+const parseRegimen = ({ id, start, pills, hours, medication }) => ({
+	id: String(id),
+	start: luxon.DateTime.fromISO(start).toISO(),
+	pills: parseFloat(pills),
+	hours: parseFloat(hours),
+	medicationId: toMedicationId(medication),
+});
+
+const sortRegimensByStart = (regimens) =>
+	regimens.sort(
+		(a, b) =>
+			luxon.DateTime.fromISO(a.start).toMillis() - luxon.DateTime.fromISO(b.start).toMillis()
+	);
+
+/**
+ * Merges the saved regimens with queued regimen changes, like getMergedEvents does for events.
+ * @returns {Array<{id: string, start: string, pills: number, hours: number, medicationId: string, syncStatus?: string, opId?: string, pendingRemoval?: boolean}>}
+ */
+function getMergedRegimens() {
+	const regimens = regimensData.map((regimen) => ({ ...regimen }));
+	getProfileOps().forEach((op) => {
+		if (op.action === 'addRegimen') {
+			regimens.push({ ...parseRegimen(op.params), syncStatus: op.status, opId: op.opId });
+		} else if (op.action === 'removeRegimen') {
+			const target = regimens.find((regimen) => regimen.id === op.params.id);
+			if (target) {
+				target.pendingRemoval = true;
+				target.syncStatus = op.status;
+			}
+		}
+	});
+	return sortRegimensByStart(regimens);
+}
+
+const getActiveRegimens = () => getMergedRegimens().filter((regimen) => !regimen.pendingRemoval);
+
+/**
+ * The rate periods statistics and the chart integrate over for one medication. Without any
+ * saved regimen its own rate applies to the whole history; for the selected medication that
+ * is the rate inputs', so edits show before they are saved.
+ * @param {{id: string, pills: number, hours: number}} medication
+ * @returns {Array<{startMillis: number, rate: number}>} See DosingEngine.createRatePeriods.
+ */
+const getRatePeriods = (medication) =>
+	DosingEngine.createRatePeriods(
+		forMedication(getActiveRegimens(), medication.id),
+		medication.id === getSelectedMedication().id ? currentRate : medication.pills / medication.hours
+	);
+
+// --- Inventory ---
+// Each medication's stock is kept as a ledger of refills on the backend: a pill count added at
+// a time, or taken away for pills lost or a recount. The pills left are the refills less the
+// doses logged since the first refill, so logging or removing a dose changes them by itself.
+
+/**
+ * Converts refill request parameters or backend data into a refill with a numeric count.
+ * @param {{id: string, date: string, count: string|number, medication?: string}} refill
+ * @returns {{id: string, date: string, count: number, medicationId: string}}
+ */
+const parseRefill = ({ id, date, count, medication }) => ({
+	id: String(id),
+	date: luxon.DateTime.fromISO(date).toISO(),
+	count: parseFloat(count),
+	medicationId: toMedicationId(medication),
+});
+
+const sortRefillsByDate = (refills) =>
+	refills.sort(
+		(a, b) => luxon.DateTime.fromISO(a.date).toMillis() - luxon.DateTime.fromISO(b.date).toMillis()
+	);
+
+/**
+ * Merges the saved refills with queued refill changes, like getMergedRegimens.
+ * @returns {Array<{id: string, date: string, count: number, medicationId: string, syncStatus?: string, opId?: string, pendingRemoval?: boolean}>}
+ */
+function getMergedRefills() {
+	const refills = refillsData.map((refill) => ({ ...refill }));
+	getProfileOps().forEach((op) => {
+		if (op.action === 'addRefill') {
+			refills.push({ ...parseRefill(op.params), syncStatus: op.status, opId: op.opId });
+		} else if (op.action === 'removeRefill') {
+			const target = refills.find((refill) => refill.id === op.params.id);
+			if (target) {
+				target.pendingRemoval = true;
+				target.syncStatus = op.status;
+			}
+		}
+	});
+	return sortRefillsByDate(refills);
+}
+
+const getActiveRefills = () => getMergedRefills().filter((refill) => !refill.pendingRemoval);
+
+/**
+ * @param {string} [medicationId] - Defaults to the selected medication.
+ * @returns {number} Days of stock left below which the inventory warns; 0 for never.
+ */
+function loadRefillWarningDays(medicationId = getSelectedMedication().id) {
+	const value = parseFloat(
+		loadFromLocalStorage(medicationSettingKey(REFILL_WARNING_DAYS_KEY, medicationId))
+	);
+	return isNaN(value) || value < 0 ? REFILL_WARNING_DEFAULT_DAYS : value;
+}
+
+/**
+ * Runs DosingEngine.calculateInventory for a medication of the selected profile.
+ * @param {{id: string}} medication
+ * @param {Array<object>} events - The active events of all medications.
+ * @param {Array<{startMillis: number, rate: number}>} periods - From getRatePeriods().
+ * @param {number} now - Epoch milliseconds.
+ * @returns {{remaining: number, runOutAt: number|null, daysLeft: number|null} | null} Null
+ *   before the first refill. `daysLeft` is null when the stock does not run out in sight.
+ */
+function calculateMedicationInventory(medication, events, periods, now) {
+	const inventory = DosingEngine.calculateInventory({
+		doses: DosingEngine.toDoses(forMedication(events, medication.id)),
+		refills: forMedication(getActiveRefills(), medication.id).map((refill) => ({
+			millis: luxon.DateTime.fromISO(refill.date).toMillis(),
+			count: refill.count,
+		})),
+		periods,
+		now,
+	});
+	if (!inventory) return null;
+	return {
+		...inventory,
+		daysLeft:
+			inventory.runOutAt === null ? null : (inventory.runOutAt - now) / (24 * 60 * 60 * 1000),
+	};
+}
+
+// --- Profiles ---
+// A profile is one patient with its own entries, regimens, medications and settings. The
+// backend keeps the profile list. The default profile holds everything from before profiles
+// existed and is listed as DEFAULT_PROFILE_NAME until it is named.
+
+let selectedProfileId = loadFromLocalStorage(SELECTED_PROFILE_KEY) || DEFAULT_PROFILE_ID;
+
+/**
+ * The localStorage key of a setting kept per profile, such as the cached lists. The default
+ * profile uses the plain key, so settings saved before profiles existed stay with it.
+ * @param {string} key
+ * @param {string} [profileId] - Defaults to the selected profile.
+ * @returns {string}
+ */
+const profileSettingKey = (key, profileId = selectedProfileId) =>
+	profileId === DEFAULT_PROFILE_ID ? key : `profile:${profileId}:${key}`;
+
+/**
+ * Adds the profile a request is for to its parameters. Requests for the default profile carry
+ * none, so backends from before profiles existed keep accepting them.
+ * @param {object} params
+ * @param {string} [profileId] - Defaults to the selected profile.
+ * @returns {object}
+ */
+const withProfile = (params, profileId = selectedProfileId) =>
+	profileId === DEFAULT_PROFILE_ID ? params : { ...params, profile: profileId };
+
+const opProfileId = (op) => op.params.profile || DEFAULT_PROFILE_ID;
+
+/**
+ * The queued operations on the selected profile's lists.
+ * @returns {Array<object>}
+ */
+const getProfileOps = () =>
+	pendingOps.filter(
+		(op) => !UNSCOPED_ACTIONS.includes(op.action) && opProfileId(op) === selectedProfileId
+	);
+
+/**
+ * @param {{id: string, name: string}} profile - Request parameters or backend data.
+ * @returns {{id: string, name: string}}
+ */
+const parseProfile = ({ id, name }) => ({ id: String(id), name: String(name) });
+
+/**
+ * Merges the saved profiles with queued profile changes. The default profile is always listed
+ * first.
+ * @returns {Array<{id: string, name: string, syncStatus?: string}>}
+ */
+function getMergedProfiles() {
+	const profiles = profilesData.map((profile) => ({ ...profile }));
+	pendingOps.forEach((op) => {
+		if (op.action !== 'saveProfile') return;
+		const profile = { ...parseProfile(op.params), syncStatus: op.status };
+		const index = profiles.findIndex((p) => p.id === profile.id);
+		if (index === -1) profiles.push(profile);
+		else profiles[index] = profile;
+	});
+	const defaultProfile = profiles.find((profile) => profile.id === DEFAULT_PROFILE_ID) || {
+		id: DEFAULT_PROFILE_ID,
+		name: DEFAULT_PROFILE_NAME,
+	};
+	return [defaultProfile, ...profiles.filter((profile) => profile !== defaultProfile)];
+}
+
+/**
+ * Switches the lists, the selected medication and the settings to another profile, starting
+ * from its cached lists. Rendering and loading the backend's lists are left to the caller.
+ * @param {string} profileId
+ */
+function setSelectedProfile(profileId) {
+	selectedProfileId = profileId;
+	saveToLocalStorage(SELECTED_PROFILE_KEY, profileId);
+	selectedMedicationId =
+		loadFromLocalStorage(profileSettingKey(SELECTED_MEDICATION_KEY)) || DEFAULT_MEDICATION_ID;
+
+	const cached = loadCachedData();
+	eventsData = cached ? cached.events : [];
+	regimensData = cached ? cached.regimens : [];
+	refillsData = cached ? cached.refills : [];
+	medicationsData = cached ? cached.medications : [];
+	cachedDataSavedAt = cached ? cached.savedAt : null;
+	backendDataLoaded = false;
+	// Without cached entries it is unknown until they are loaded, and changes made before that
+	// are not checked.
+	dataRevision = cached ? cached.revision : null;
+	fullLoadAt = cached ? cached.fullLoadAt : null;
+	remoteUpdate = null;
+}
+
+/**
+ * @returns {{id: string, name: string}} The selected profile, or the default one if it is gone.
+ */
+function getSelectedProfile() {
+	const profiles = getMergedProfiles();
+	return (
+		profiles.find((profile) => profile.id === selectedProfileId) ||
+		profiles.find((profile) => profile.id === DEFAULT_PROFILE_ID)
+	);
+}
+
+// --- Medications ---
+// Every entry and regimen belongs to a medication, which has a name, the rate used while it
+// has no regimen, and the dose step its quick buttons log. The registry lives on the backend.
+// Data from before medications existed belongs to the default medication, which is listed
+// with the rate inputs' old values until it is saved, so such histories keep working.
+
+const toMedicationId = (medication) => (medication ? String(medication) : DEFAULT_MEDICATION_ID);
+const medicationOf = (item) => item.medicationId || DEFAULT_MEDICATION_ID;
+
+/**
+ * @param {Array<{medicationId?: string}>} items - Events or regimens.
+ * @param {string} medicationId
+ * @returns {Array<object>} The items belonging to the medication.
+ */
+const forMedication = (items, medicationId) =>
+	items.filter((item) => medicationOf(item) === medicationId);
+
+let selectedMedicationId =
+	loadFromLocalStorage(profileSettingKey(SELECTED_MEDICATION_KEY)) || DEFAULT_MEDICATION_ID;
+
+/**
+ * Converts medication request parameters or backend data into a medication with numeric fields.
+ * @param {{id: string, name: string, pills: string|number, hours: string|number, step: string|number}} medication
+ * @returns {{id: string, name: string, pills: number, hours: number, step: number}}
+ */
+const parseMedication = ({ id, name, pills, hours, step }) => ({
+	id: String(id),
+	name: String(name),
+	pills: parseFloat(pills),
+	hours: parseFloat(hours),
+	step: parseFloat(step),
+});
+
+/**
+ * The rate new medications start with: the one from the settings, or DEFAULT_PILLS per
+ * DEFAULT_HOUR hours.
+ * @returns {{pills: number, hours: number}}
+ */
+function getDefaultRate() {
+	const pills = Number(loadFromLocalStorage(DEFAULT_PILLS_KEY));
+	const hours = Number(loadFromLocalStorage(DEFAULT_HOURS_KEY));
+	return { pills: pills > 0 ? pills : DEFAULT_PILLS, hours: hours > 0 ? hours : DEFAULT_HOUR };
+}
+
+/**
+ * The default medication as it was configured before medications existed.
+ * @param {string} [profileId] - Defaults to the selected profile.
+ * @returns {{id: string, name: string, pills: number, hours: number, step: number}}
+ */
+function getUnsavedDefaultMedication(profileId = selectedProfileId) {
+	const readNumber = (key, fallback) => {
+		const value = parseFloat(loadFromLocalStorage(profileSettingKey(key, profileId)));
+		return isNaN(value) || value <= 0 ? fallback : value;
+	};
+	const defaultRate = getDefaultRate();
+	return {
+		id: DEFAULT_MEDICATION_ID,
+		name: DEFAULT_MEDICATION_NAME,
+		pills: readNumber(PILLS_KEY, defaultRate.pills),
+		hours: readNumber(HOUR_KEY, defaultRate.hours),
+		step: DEFAULT_DOSE_STEP,
+	};
+}
+
+/**
+ * Lists the unsaved default medication first while no medication is saved or while entries or
+ * regimens belong to it.
+ * @param {Array<object>} medications - A profile's medications.
+ * @param {Array<{medicationId?: string}>} items - The same profile's events and regimens.
+ * @param {string} [profileId] - Defaults to the selected profile.
+ * @returns {Array<object>}
+ */
+function withUnsavedDefaultMedication(medications, items, profileId = selectedProfileId) {
+	if (medications.some((medication) => medication.id === DEFAULT_MEDICATION_ID)) {
+		return medications;
+	}
+	const defaultInUse =
+		medications.length === 0 || forMedication(items, DEFAULT_MEDICATION_ID).length > 0;
+	return defaultInUse ? [getUnsavedDefaultMedication(profileId), ...medications] : medications;
+}
+
+/**
+ * Merges the saved medications with queued medication changes, see withUnsavedDefaultMedication.
+ * @returns {Array<{id: string, name: string, pills: number, hours: number, step: number, syncStatus?: string, pendingRemoval?: boolean}>}
+ */
+function getMergedMedications() {
+	const medications = medicationsData.map((medication) => ({ ...medication }));
+	getProfileOps().forEach((op) => {
+		if (op.action === 'saveMedication') {
+			const medication = { ...parseMedication(op.params), syncStatus: op.status };
+			const index = medications.findIndex((m) => m.id === medication.id);
+			if (index === -1) medications.push(medication);
+			else medications[index] = medication;
+		} else if (op.action === 'removeMedication') {
+			const target = medications.find((medication) => medication.id === op.params.id);
+			if (target) {
+				target.pendingRemoval = true;
+				target.syncStatus = op.status;
+			}
+		}
 	});
+
+	return withUnsavedDefaultMedication(medications, [...getMergedEvents(), ...getMergedRegimens()]);
+}
+
+const getActiveMedications = () =>
+	getMergedMedications().filter((medication) => !medication.pendingRemoval);
+
+/**
+ * The medication the rate inputs, statistics, events table and quick buttons are showing.
+ * Falls back to the first one when the selected medication no longer exists.
+ * @returns {{id: string, name: string, pills: number, hours: number, step: number}}
+ */
+function getSelectedMedication() {
+	const medications = getActiveMedications();
+	return medications.find((medication) => medication.id === selectedMedicationId) || medications[0];
+}
+
+/**
+ * The amounts a medication's quick buttons log and the statistics show a due time for.
+ * @param {{step: number}} medication
+ * @returns {number[]}
+ */
+const getDueAmounts = (medication) => [medication.step, medication.step * 2];
+
+/**
+ * Parses the quick-dose amounts of the settings, e.g. "1, 0.5".
+ * @param {string} text
+ * @returns {number[] | null} The amounts, none for an empty text, or null if the text is invalid.
+ */
+function parseQuickDoseAmounts(text) {
+	const parts = text
+		.split(',')
+		.map((part) => part.trim())
+		.filter((part) => part !== '');
+	const amounts = parts.map(Number);
+	if (amounts.length > MAX_QUICK_DOSES || amounts.some((amount) => !(amount > 0))) return null;
+	return amounts;
+}
+
+/**
+ * The amounts of the quick-dose buttons, in the order they are shown: those from the settings,
+ * or else the medication's due amounts, largest first.
+ * @param {{step: number}} medication
+ * @returns {number[]}
+ */
+function getQuickDoseAmounts(medication) {
+	const amounts = parseQuickDoseAmounts(loadFromLocalStorage(QUICK_DOSE_AMOUNTS_KEY) || '');
+	return amounts && amounts.length > 0 ? amounts : getDueAmounts(medication).reverse();
+}
+
+/**
+ * The localStorage key of a setting kept per medication, such as a safety limit. The default
+ * medication uses the plain key, so settings saved before medications existed stay with it.
+ * @param {string} key
+ * @param {string} [medicationId] - Defaults to the selected medication.
+ * @param {string} [profileId] - Defaults to the selected profile.
+ * @returns {string}
+ */
+const medicationSettingKey = (
+	key,
+	medicationId = getSelectedMedication().id,
+	profileId = selectedProfileId
+) =>
+	profileSettingKey(
+		medicationId === DEFAULT_MEDICATION_ID ? key : `${key}:${medicationId}`,
+		profileId
+	);
+
+// --- Concentration Model ---
+// Optional one-compartment model, computed by DosingEngine. Levels are relative, in dose units
+// (a level of 1 right after a single instant dose of 1).
+
+/**
+ * Reads a medication's model settings from their inputs' stored values.
+ * @param {string} [medicationId] - Defaults to the selected medication.
+ * @param {string} [profileId] - Defaults to the selected profile.
+ * @returns {{halfLifeHours: number, absorptionHours: number, minLevel: number|null, maxLevel: number|null, trigger: string} | null}
+ *   Null while no positive half-life is set, which turns the model off.
+ */
+function loadConcentrationSettings(
+	medicationId = getSelectedMedication().id,
+	profileId = selectedProfileId
+) {
+	const readNumber = (key) => {
+		const value = parseFloat(
+			loadFromLocalStorage(medicationSettingKey(key, medicationId, profileId))
+		);
+		return isNaN(value) ? null : value;
+	};
+	const halfLifeHours = readNumber(HALF_LIFE_KEY);
+	if (!halfLifeHours || halfLifeHours <= 0) return null;
+	return {
+		halfLifeHours,
+		absorptionHours: Math.max(0, readNumber(ABSORPTION_KEY) || 0),
+		minLevel: readNumber(LEVEL_MIN_KEY),
+		maxLevel: readNumber(LEVEL_MAX_KEY),
+		trigger:
+			loadFromLocalStorage(medicationSettingKey(STATS_TRIGGER_KEY, medicationId, profileId)) ||
+			'deficit',
+	};
+}
+
+// --- Safety Limits ---
+// Limits on what may be logged without an explicit override, set per medication. Unset limits
+// are not checked.
+
+/**
+ * @param {string} [medicationId] - Defaults to the selected medication.
+ * @returns {{maxSingleDose: number|null, minIntervalHours: number|null, maxDailyTotal: number|null}}
+ */
+function loadSafetyLimits(medicationId = getSelectedMedication().id) {
+	const readLimit = (key) => {
+		const value = parseFloat(loadFromLocalStorage(medicationSettingKey(key, medicationId)));
+		return isNaN(value) || value <= 0 ? null : value;
+	};
+	return {
+		maxSingleDose: readLimit(MAX_SINGLE_DOSE_KEY),
+		minIntervalHours: readLimit(MIN_DOSE_INTERVAL_KEY),
+		maxDailyTotal: readLimit(MAX_DAILY_TOTAL_KEY),
+	};
+}
+
+/**
+ * Checks a proposed dose against the safety limits. Doses may be backdated, so the interval
+ * is checked on both sides and every rolling 24-hour window that would contain the dose is
+ * totalled.
+ * @param {luxon.DateTime} dosageTimeDT
+ * @param {number} amount
+ * @param {Array<{dosageAmount: number, dosageTime: string}>} events - The doses of the same
+ *   medication already logged.
+ * @param {object} [limits] - As returned by loadSafetyLimits.
+ * @returns {string[]} A message per limit the dose would break; empty if it breaks none.
+ */
+function checkSafetyLimits(dosageTimeDT, amount, events, limits = loadSafetyLimits()) {
+	const violations = [];
+	const doseMillis = dosageTimeDT.toMillis();
+	const doses = DosingEngine.toDoses(events);
+
+	if (limits.maxSingleDose !== null && amount > limits.maxSingleDose) {
+		violations.push(`${amount} is more than the maximum single dose of ${limits.maxSingleDose}.`);
+	}
+
+	if (limits.minIntervalHours !== null) {
+		const nearest = doses.reduce(
+			(closest, dose) =>
+				!closest || Math.abs(dose.millis - doseMillis) < Math.abs(closest.millis - doseMillis)
+					? dose
+					: closest,
+			null
+		);
+		const gapHours = nearest ? Math.abs(nearest.millis - doseMillis) / MS_PER_HOUR : Infinity;
+		if (gapHours < limits.minIntervalHours) {
+			const gap =
+				gapHours < 1 ? `${Math.round(gapHours * 60)} minutes` : `${gapHours.toFixed(1)} hours`;
+			violations.push(
+				`Only ${gap} from the dose at ${formatDateTime(
+					luxon.DateTime.fromMillis(nearest.millis)
+				)}; the minimum interval is ${limits.minIntervalHours} hours.`
+			);
+		}
+	}
+
+	if (limits.maxDailyTotal !== null) {
+		const dayMillis = 24 * MS_PER_HOUR;
+		// A window containing the dose is at its fullest when it ends on the dose or a later one.
+		const windowEnds = [
+			doseMillis,
+			...doses
+				.map((dose) => dose.millis)
+				.filter((m) => m > doseMillis && m < doseMillis + dayMillis),
+		];
+		const highestTotal = Math.max(
+			...windowEnds.map(
+				(end) =>
+					amount +
+					doses
+						.filter((dose) => dose.millis > end - dayMillis && dose.millis <= end)
+						.reduce((sum, dose) => sum + dose.amount, 0)
+			)
+		);
+		if (highestTotal > limits.maxDailyTotal) {
+			violations.push(
+				`${highestTotal} within 24 hours is more than the maximum of ${limits.maxDailyTotal}.`
+			);
+		}
+	}
+	return violations;
+}
+
+/**
+ * Asks for the reason to log a dose that breaks a safety limit.
+ * @param {string[]} violations - As returned by checkSafetyLimits.
+ * @returns {string|null} The reason, or null if the dose should not be logged.
+ */
+function requestSafetyOverride(violations) {
+	const reason = prompt(
+		`This dose breaks a safety limit:\n\n${violations.join(
+			'\n'
+		)}\n\nTo log it anyway, enter the reason for the override:`
+	);
+	if (reason === null) return null;
+	if (!reason.trim()) {
+		alert('The dose was not logged: an override needs a reason.');
+		return null;
+	}
+	return reason.trim();
+}
+
+// --- UI Update Functions ---
+function updateTimeDisplay() {
+	const timeCheckNowDiv = $('timeCheckNow');
+	const timeZoneDiv = $('timeZoneDisplay');
+	const localCodeDiv = $('localCode');
+	const storageDiv = $('storageDisplay');
+
+	if (timeZoneDiv) timeZoneDiv.innerText = `Time Zone: ${timeZone}`;
+	if (localCodeDiv) localCodeDiv.innerText = `Locale: ${locale}`;
+	if (storageDiv && storageBackend) {
+		const accessNote = backendAccess === 'read' ? ' (read-only)' : '';
+		storageDiv.innerText = `Storage: ${storageBackend.description}${accessNote}`;
+	}
+
+	const now = getLocalNow();
+	if (timeCheckNowDiv) timeCheckNowDiv.innerText = `Current DateTime: ${formatDateTime(now)}`;
+}
+
+function setOverlayVisibility(show) {
+	if (overlay) overlay.style.display = show ? 'block' : 'none';
+}
+
+/**
+ * Reads the rate inputs into currentRate and shows it.
+ */
+function readRateInputs() {
+	const pills = parseFloat(pillsElement.value);
+	const hours = parseFloat(hourElement.value);
+
+	if (!isNaN(pills) && !isNaN(hours) && hours !== 0) {
+		currentRate = pills / hours;
+		if (rateElement) rateElement.innerText = currentRate.toFixed(3);
+	} else {
+		currentRate = 0;
+		if (rateElement) rateElement.innerText = 'N/A';
+	}
+}
+
+function updateRateDisplay() {
+	readRateInputs();
+	renderCalculations(getActiveEvents());
+}
+
+/**
+ * Fills the rate, dose step and per-medication setting inputs with the selected medication's
+ * values. Called when the selection changes, not on every refresh, so edits in progress stay.
+ */
+function renderMedicationInputs() {
+	const medication = getSelectedMedication();
+	if (pillsElement) pillsElement.value = medication.pills;
+	if (hourElement) hourElement.value = medication.hours;
+	if (doseStepElement) doseStepElement.value = medication.step;
+	MEDICATION_SETTING_KEYS.forEach((key) =>
+		initInputField($(key), medicationSettingKey(key), key === STATS_TRIGGER_KEY ? 'deficit' : '')
+	);
+	readRateInputs();
+}
+
+/**
+ * Lists the medications in the selector and creates the quick buttons for the selected one.
+ */
+function renderMedicationControls() {
+	const selected = getSelectedMedication();
+	if (medicationSelect) {
+		medicationSelect.replaceChildren(
+			...getActiveMedications().map((medication) => {
+				const option = document.createElement('option');
+				option.value = medication.id;
+				option.textContent = medication.syncStatus
+					? `${medication.name} (${medication.syncStatus})`
+					: medication.name;
+				option.selected = medication.id === selected.id;
+				return option;
+			})
+		);
+	}
+
+	if (quickDosesContainer) {
+		quickDosesContainer.replaceChildren(
+			...getQuickDoseAmounts(selected).map((amount) => {
+				const button = document.createElement('input');
+				button.type = 'button';
+				button.value = `${amount} now`;
+				button.onclick = () => addNewEventHandler(amount);
+				return button;
+			})
+		);
+	}
+	if (dosageAmountInput) dosageAmountInput.step = selected.step;
+}
+
+/**
+ * Lists the profiles in the profile selector.
+ */
+function renderProfileControls() {
+	if (!profileSelect) return;
+	profileSelect.replaceChildren(
+		...getMergedProfiles().map((profile) => {
+			const option = document.createElement('option');
+			option.value = profile.id;
+			option.textContent = profile.syncStatus
+				? `${profile.name} (${profile.syncStatus})`
+				: profile.name;
+			option.selected = profile.id === selectedProfileId;
+			return option;
+		})
+	);
+}
+
+/**
+ * Re-renders the events table, sync status, statistics and chart from the current state.
+ */
+function refreshEventsView() {
+	// Only data confirmed by the backend is cached, never a stale copy of the cache itself.
+	if (backendDataLoaded) saveCachedData();
+	renderProfileControls();
+	renderMedicationControls();
+	renderEventsTable(getMergedEvents());
+	renderSyncStatus();
+	renderRegimensTable();
+	renderRefillsTable();
+
+	renderCalculations(getActiveEvents());
+	if (reportOutputContainer && !reportOutputContainer.hidden) renderAdherenceReport();
+}
+
+/**
+ * Runs DosingEngine for every medication with its events, rate periods and model settings,
+ * shows the selected medication's statistics, inventory and plan, warns of medications running
+ * low, draws the chart, and schedules the reminders and fills the dashboard for every
+ * medication of every profile.
+ * @param {Array<{dosageAmount: number, dosageTime: string, medicationId?: string}>} events
+ */
+function renderCalculations(events) {
+	const now = getLocalNow().toMillis();
+	const selectedId = getSelectedMedication().id;
+	const results = getActiveMedications().map((medication) => {
+		const periods = getRatePeriods(medication);
+		return {
+			medication,
+			hasRate: DosingEngine.hasPositiveRate(periods),
+			inventory: calculateMedicationInventory(medication, events, periods, now),
+			...DosingEngine.calculate({
+				events: forMedication(events, medication.id),
+				periods,
+				now,
+				concentration: loadConcentrationSettings(medication.id),
+				dueAmounts: getDueAmounts(medication),
+			}),
+		};
+	});
+	const selected = results.find((result) => result.medication.id === selectedId);
+	const plan =
+		planOutputContainer && !planOutputContainer.hidden
+			? calculatePlan(selected.medication, events, now)
+			: null;
+	const profileResults = getMergedProfiles().map((profile) => ({
+		profile,
+		results: profile.id === selectedProfileId ? results : calculateOtherProfile(profile.id, now),
+	}));
+
+	updateStatisticsDisplay(selected.statistics, selected.medication);
+	scheduleReminders(
+		profileResults.flatMap(({ profile, results: medicationResults }) =>
+			(medicationResults || []).flatMap(({ medication, statistics }) =>
+				statistics ? statistics.due.map((due) => ({ ...due, medication, profile })) : []
+			)
+		)
+	);
+	renderInventory(results, selected);
+	renderPlan(plan);
+	plotDosageGraph(results, selected, plan);
+	renderDashboard(profileResults);
+}
+
+/** The start of the display window, in epoch milliseconds. */
+const getDisplayWindowStart = () => getLocalNow().minus({ days: displayWindowDays }).toMillis();
+
+/**
+ * Lists the selected medication's events within the display window, below a button that shows
+ * older ones if there are any. Entries waiting to sync are always listed.
+ * @param {Array<object>} events - Entries of getMergedEvents().
+ */
+function renderEventsTable(events) {
+	if (!addEventsContainer) return;
+	addEventsContainer.innerHTML = '';
+	const windowStart = getDisplayWindowStart();
+	const medicationEvents = forMedication(events, getSelectedMedication().id);
+	const older = medicationEvents.filter(
+		(event) =>
+			!event.syncStatus && luxon.DateTime.fromISO(event.dosageTime).toMillis() < windowStart
+	);
+
+	if (older.length > 0) {
+		const olderButton = document.createElement('input');
+		olderButton.type = 'button';
+		olderButton.value = `Show older entries (${older.length})`;
+		olderButton.className = 'show-older-button';
+		olderButton.onclick = () => showOlderEntriesHandler(older[older.length - 1]);
+		addEventsContainer.appendChild(olderButton);
+	}
+	const hidden = new Set(older);
+	medicationEvents
+		.filter((event) => !hidden.has(event))
+		.forEach((event) => populateEventRow(event));
+}
+
+function renderSyncStatus() {
+	if (!syncStatusContainer) return;
+	syncStatusContainer.innerHTML = '';
+
+	if (cachedDataSavedAt !== null) {
+		const cacheNote = document.createElement('div');
+		cacheNote.className = 'sync-note';
+		cacheNote.textContent = `The storage backend could not be reached. Showing entries as of ${formatDateTime(
+			cachedDataSavedAt
+		)}; changes are queued until it is back.`;
+		syncStatusContainer.appendChild(cacheNote);
+	}
+
+	if (remoteUpdate) {
+		const updateNote = document.createElement('div');
+		updateNote.className = 'sync-note remote-update';
+		const text = document.createElement('span');
+		text.textContent = `Updated by another device at ${formatDateTime(remoteUpdate.at)}: ${
+			remoteUpdate.summary
+		}.`;
+		updateNote.appendChild(text);
+
+		const dismissButton = document.createElement('input');
+		dismissButton.type = 'button';
+		dismissButton.value = 'OK';
+		dismissButton.onclick = () => {
+			remoteUpdate = null;
+			renderSyncStatus();
+		};
+		updateNote.appendChild(dismissButton);
+		syncStatusContainer.appendChild(updateNote);
+	}
+
+	const queuedCount = pendingOps.filter((op) => op.status === 'pending').length;
+	const conflicts = pendingOps.filter((op) => op.status === 'conflict');
+
+	if (queuedCount > 0) {
+		const queuedNote = document.createElement('div');
+		queuedNote.className = 'sync-note';
+		queuedNote.textContent = `${queuedCount} change(s) waiting to sync${
+			navigator.onLine ? '' : ' (offline)'
+		}.`;
+		syncStatusContainer.appendChild(queuedNote);
+	}
+
+	conflicts.forEach((op) => {
+		const conflictRow = document.createElement('div');
+		conflictRow.className = 'sync-conflict';
+
+		const descriptions = {
+			add: () =>
+				`Add ${parseFloat(op.params.floatValue).toFixed(1)} at ${formatDateTime(op.params.date)}`,
+			remove: () => `Remove entry at ${formatDateTime(op.params.date)}`,
+			restore: () => `Restore entry at ${formatDateTime(op.params.date)}`,
+			update: () =>
+				`Edit entry${
+					op.params.floatValue !== undefined
+						? ` to ${parseFloat(op.params.floatValue).toFixed(1)}`
+						: ''
+				}${op.params.date ? ` at ${formatDateTime(op.params.date)}` : ''}`,
+			addRegimen: () =>
+				`Save regimen ${op.params.pills} per ${op.params.hours}h from ${formatDateTime(
+					op.params.start
+				)}`,
+			removeRegimen: () => 'Remove regimen',
+			addRefill: () => `Add refill of ${op.params.count} at ${formatDateTime(op.params.date)}`,
+			removeRefill: () => 'Remove refill',
+			bulkAdd: () => `Import ${JSON.parse(op.params.rows).length} entries`,
+			saveMedication: () => `Save medication ${op.params.name}`,
+			removeMedication: () => 'Remove medication',
+			saveProfile: () => `Save profile ${op.params.name}`,
+			saveSettings: () => 'Save settings',
+		};
+		const description = descriptions[op.action] ? descriptions[op.action]() : op.action;
+		// Conflicts of every profile are listed; those of other profiles name theirs.
+		const otherProfile =
+			!UNSCOPED_ACTIONS.includes(op.action) && opProfileId(op) !== selectedProfileId
+				? getMergedProfiles().find((profile) => profile.id === opProfileId(op))
+				: null;
+		const prefix = otherProfile ? `${otherProfile.name}: ` : '';
+		const text = document.createElement('span');
+		text.textContent = `Sync conflict: ${prefix}${description} - ${op.error}`;
+		conflictRow.appendChild(text);
+
+		const retryButton = document.createElement('input');
+		retryButton.type = 'button';
+		retryButton.value = 'Retry';
+		retryButton.onclick = () => retryConflict(op.opId);
+		conflictRow.appendChild(retryButton);
+
+		const discardButton = document.createElement('input');
+		discardButton.type = 'button';
+		discardButton.value = 'Discard';
+		discardButton.className = 'remove-button';
+		discardButton.onclick = () => discardConflict(op.opId);
+		conflictRow.appendChild(discardButton);
+
+		syncStatusContainer.appendChild(conflictRow);
+	});
+}
+
+/**
+ * Lists the selected medication's regimens with their start and rate, with a Remove button for
+ * each.
+ */
+function renderRegimensTable() {
+	if (!regimensContainer) return;
+	regimensContainer.innerHTML = '';
+
+	const regimens = forMedication(getMergedRegimens(), getSelectedMedication().id);
+	if (regimens.length === 0) {
+		const note = document.createElement('div');
+		note.className = 'sync-note';
+		note.textContent =
+			'No saved regimens. The rate above applies to the whole history until a rate change is saved.';
+		regimensContainer.appendChild(note);
+		return;
+	}
+
+	const table = document.createElement('table');
+	table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Effective from</th>
+                    <th>Regimen</th>
+                    <th>Remove</th>
+                </tr>
+            </thead>
+            <tbody></tbody>`;
+	const tbody = table.querySelector('tbody');
+
+	regimens.forEach((regimen) => {
+		const row = tbody.insertRow();
+		row.dataset.regimenId = regimen.id;
+		if (regimen.opId) row.dataset.opId = regimen.opId;
+		if (regimen.syncStatus) row.className = `sync-${regimen.syncStatus}`;
+
+		row.insertCell().textContent = formatDateTime(regimen.start);
+		const rateCell = row.insertCell();
+		rateCell.textContent = `${regimen.pills} pill(s) / ${regimen.hours} hour(s) = ${(
+			regimen.pills / regimen.hours
+		).toFixed(3)} per hour`;
+		if (regimen.syncStatus) {
+			const badge = document.createElement('span');
+			badge.className = 'sync-badge';
+			badge.textContent = regimen.pendingRemoval
+				? `removal ${regimen.syncStatus}`
+				: regimen.syncStatus;
+			rateCell.appendChild(badge);
+		}
+
+		const removeButton = document.createElement('input');
+		removeButton.type = 'button';
+		removeButton.value = 'Remove';
+		removeButton.className = 'remove-button requires-write';
+		removeButton.disabled = Boolean(regimen.pendingRemoval);
+		removeButton.onclick = () => removeRegimenHandler(removeButton);
+		row.insertCell().appendChild(removeButton);
+	});
+
+	regimensContainer.appendChild(table);
+}
+
+/**
+ * Shows the selected medication's pills left and when they run out, and warns above the page of
+ * every medication with fewer days left than its warning setting.
+ * @param {Array<{medication: object, inventory: object|null}>} results - From renderCalculations.
+ * @param {object} selected - The entry of `results` for the selected medication.
+ */
+function renderInventory(results, selected) {
+	if (inventoryContainer) {
+		const { inventory } = selected;
+		if (!inventory) {
+			inventoryContainer.textContent =
+				'No refills recorded. Add the pills on hand as a refill to track the stock.';
+		} else if (inventory.remaining <= 0) {
+			inventoryContainer.textContent = `${inventory.remaining.toFixed(1)} pills left: the stock is used up.`;
+		} else if (inventory.daysLeft === null) {
+			inventoryContainer.textContent = `${inventory.remaining.toFixed(1)} pills left, enough for more than a year at the current rate.`;
+		} else {
+			inventoryContainer.textContent = `${inventory.remaining.toFixed(1)} pills left, enough until ${formatDateTime(
+				luxon.DateTime.fromMillis(inventory.runOutAt)
+			)} (${inventory.daysLeft.toFixed(1)} days).`;
+		}
+	}
+
+	if (!inventoryBanner) return;
+	const warnings = results
+		.filter(
+			({ medication, inventory }) =>
+				inventory &&
+				inventory.daysLeft !== null &&
+				inventory.daysLeft < loadRefillWarningDays(medication.id)
+		)
+		.map(({ medication, inventory }) => {
+			const line = document.createElement('div');
+			line.textContent =
+				inventory.remaining <= 0
+					? `${medication.name}: no pills left. Refill now.`
+					: `${medication.name}: ${inventory.daysLeft.toFixed(1)} days of pills left, until ${formatDateTime(
+							luxon.DateTime.fromMillis(inventory.runOutAt)
+						)}. Refill soon.`;
+			return line;
+		});
+	inventoryBanner.replaceChildren(...warnings);
+	inventoryBanner.hidden = warnings.length === 0;
+}
+
+/**
+ * Lists the selected medication's refills with their time and count, with a Remove button for
+ * each.
+ */
+function renderRefillsTable() {
+	if (!refillsContainer) return;
+	refillsContainer.innerHTML = '';
+
+	const refills = forMedication(getMergedRefills(), getSelectedMedication().id);
+	if (refills.length === 0) return;
+
+	const table = document.createElement('table');
+	table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Date</th>
+                    <th>Pills</th>
+                    <th>Remove</th>
+                </tr>
+            </thead>
+            <tbody></tbody>`;
+	const tbody = table.querySelector('tbody');
+
+	refills.forEach((refill) => {
+		const row = tbody.insertRow();
+		row.dataset.refillId = refill.id;
+		if (refill.opId) row.dataset.opId = refill.opId;
+		if (refill.syncStatus) row.className = `sync-${refill.syncStatus}`;
+
+		row.insertCell().textContent = formatDateTime(refill.date);
+		const countCell = row.insertCell();
+		countCell.textContent = refill.count > 0 ? `+${refill.count}` : String(refill.count);
+		if (refill.syncStatus) {
+			const badge = document.createElement('span');
+			badge.className = 'sync-badge';
+			badge.textContent = refill.pendingRemoval
+				? `removal ${refill.syncStatus}`
+				: refill.syncStatus;
+			countCell.appendChild(badge);
+		}
+
+		const removeButton = document.createElement('input');
+		removeButton.type = 'button';
+		removeButton.value = 'Remove';
+		removeButton.className = 'remove-button requires-write';
+		removeButton.disabled = Boolean(refill.pendingRemoval);
+		removeButton.onclick = () => removeRefillHandler(removeButton);
+		row.insertCell().appendChild(removeButton);
+	});
+
+	refillsContainer.appendChild(table);
+}
+
+/**
+ * Shows a medication's statistics.
+ * @param {object|null} statistics - From DosingEngine.calculateStatistics; null shows N/A.
+ * @param {{name: string, step: number}} medication
+ */
+function updateStatisticsDisplay(statistics, medication) {
+	const setStat = (id, value) => {
+		const element = $(id);
+		if (element) element.innerText = value;
+		else console.warn(`Statistic element with ID '${id}' not found.`);
+	};
+
+	setStat('statisticsMedication', medication.name);
+	getDueAmounts(medication).forEach((amount, index) => setStat(DUE_STAT_IDS[index][0], amount));
+
+	if (!statistics) {
+		['level', 'needed', 'totalGiven', 'totalNeeded'].forEach((id) => setStat(id, 'N/A'));
+		DUE_STAT_IDS.forEach(([, offsetId, timeId]) => {
+			setStat(offsetId, 'N/A');
+			setStat(timeId, 'N/A');
+		});
+		return;
+	}
+
+	setStat('needed', statistics.currentNeeded.toFixed(1));
+	setStat('totalGiven', statistics.totalGiven.toFixed(1));
+	setStat('totalNeeded', statistics.totalNeeded.toFixed(2));
+	setStat('level', statistics.level === null ? 'N/A' : statistics.level.toFixed(2));
+
+	statistics.due.forEach(({ offsetHours }, index) => {
+		const [, offsetId, timeId] = DUE_STAT_IDS[index];
+		if (offsetHours === null) {
+			setStat(offsetId, 'N/A');
+			setStat(timeId, 'N/A');
+		} else {
+			setStat(offsetId, `${offsetHours.toFixed(1)} hrs`);
+			setStat(timeId, formatTimeOffset(offsetHours));
+		}
+	});
+}
+
+/**
+ * Appends a row to the events table, creating the table if needed.
+ * @param {object} event - An entry of getMergedEvents().
+ * @param {string} [event.id] - The entry ID; the row's actions target it.
+ * @param {number} event.dosageAmount
+ * @param {string} event.dosageTime - ISO string.
+ * @param {string} [event.overrideReason] - Why the entry was logged despite a safety limit.
+ * @param {string} [event.syncStatus] - 'pending' or 'conflict' for entries not yet on the backend.
+ * @param {string} [event.opId] - The queued operation that created the entry.
+ * @param {boolean} [event.pendingImport] - Whether the entry is part of a queued import.
+ * @param {boolean} [event.pendingRestore] - Whether the entry is a queued restore.
+ * @param {boolean} [event.pendingRemoval] - Whether a removal of this entry is queued.
+ * @param {boolean} [event.pendingUpdate] - Whether an edit of this entry is queued.
+ */
+function populateEventRow({
+	id,
+	dosageAmount,
+	dosageTime: dosageTimeISO,
+	overrideReason,
+	syncStatus,
+	opId,
+	pendingImport,
+	pendingRestore,
+	pendingRemoval,
+	pendingUpdate,
+}) {
+	if (!addEventsContainer) return;
+	let table = addEventsContainer.querySelector('table');
+	if (!table) {
+		table = document.createElement('table');
+		table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Dosage Amount</th>
+                    <th>Dosage Time</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody></tbody>`;
+		addEventsContainer.appendChild(table);
+	}
+	const tbody = table.querySelector('tbody');
+	if (!tbody) return;
+
+	const row = tbody.insertRow();
+	if (id) row.dataset.eventId = id;
+	const amountCell = row.insertCell();
+	amountCell.textContent = dosageAmount.toFixed(1);
+	if (overrideReason) {
+		const overrideBadge = document.createElement('span');
+		overrideBadge.className = 'override-badge';
+		overrideBadge.textContent = 'override';
+		overrideBadge.title = overrideReason;
+		amountCell.appendChild(overrideBadge);
+	}
+
+	const timeCell = row.insertCell();
+	timeCell.textContent = formatDateTime(dosageTimeISO);
+	timeCell.dataset.rawTime = dosageTimeISO;
+
+	if (opId) row.dataset.opId = opId;
+	if (syncStatus) {
+		row.classList.add(`sync-${syncStatus}`);
+		const badge = document.createElement('span');
+		badge.className = 'sync-badge';
+		if (pendingRemoval) badge.textContent = `removal ${syncStatus}`;
+		else if (pendingUpdate) badge.textContent = `edit ${syncStatus}`;
+		else if (pendingImport) badge.textContent = `import ${syncStatus}`;
+		else if (pendingRestore) badge.textContent = `restore ${syncStatus}`;
+		else badge.textContent = syncStatus;
+		timeCell.appendChild(badge);
+	}
+
+	const actionCell = row.insertCell();
+	const editButton = document.createElement('input');
+	editButton.type = 'button';
+	editButton.value = 'Edit';
+	editButton.className = 'edit-button requires-write';
+	// Rows of a queued import can only be changed as a whole, through the sync status.
+	editButton.disabled = !id || Boolean(pendingRemoval || pendingImport);
+	editButton.onclick = () => editDosageEntryHandler(editButton);
+	actionCell.appendChild(editButton);
+
+	const removeButton = document.createElement('input');
+	removeButton.type = 'button';
+	removeButton.value = 'X';
+	removeButton.className = 'remove-button requires-write';
+	removeButton.disabled = Boolean(pendingRemoval || pendingImport);
+	removeButton.onclick = () => removeDosageEntryHandler(removeButton);
+	actionCell.appendChild(removeButton);
+}
+
+let dosageChartInstance = null;
+
+/**
+ * Draws the deficit of every medication and, with the selected medication's concentration
+ * model on, its estimated level. The selected medication's deficit is the filled line, which a
+ * dashed line continues while a plan is shown.
+ * @param {Array<{medication: object, hasRate: boolean, deficitSeries: Array<{x: number, y: number}>, levelSeries: Array<{x: number, y: number}>}>} results
+ *   DosingEngine.calculate results per medication, from renderCalculations.
+ * @param {object} selected - The entry of `results` for the selected medication.
+ * @param {object|null} [plan] - From calculatePlan().
+ */
+function plotDosageGraph(results, selected, plan = null) {
+	if (!dosageChartContainer) return;
+	dosageChartContainer.innerHTML = '';
+
+	if (typeof Chart === 'undefined') {
+		dosageChartContainer.textContent = 'Chart.js library not loaded.';
+		return;
+	}
+	if (typeof luxon === 'undefined') {
+		dosageChartContainer.textContent = 'Luxon library not loaded.';
+		return;
+	}
+
+	// Points before the display window are left out, but for the last one, where the lines enter.
+	const windowStart = getDisplayWindowStart();
+	let clipped = false;
+	const clipToWindow = (series) => {
+		const first = series.findIndex((point) => point.x >= windowStart);
+		const start = first === -1 ? series.length - 1 : Math.max(0, first - 1);
+		if (start > 0) clipped = true;
+		return series.slice(start);
+	};
+
+	const plotted = results.filter((result) => result.hasRate && result.deficitSeries.length > 0);
+	if (plotted.length === 0) {
+		dosageChartContainer.textContent =
+			'No data to display or rate is zero. Enter data and set a rate.';
+		if (dosageChartInstance) {
+			dosageChartInstance.destroy();
+			dosageChartInstance = null;
+		}
+		return;
+	}
+
+	const canvas = document.createElement('canvas');
+	dosageChartContainer.appendChild(canvas);
+
+	if (dosageChartInstance) {
+		dosageChartInstance.destroy();
+	}
+
+	const regimenMarkers = forMedication(getActiveRegimens(), selected.medication.id).map(
+		(regimen) => ({
+			time: luxon.DateTime.fromISO(regimen.start).toMillis(),
+			label: `${regimen.pills} per ${regimen.hours}h`,
+		})
+	);
+	const concentrationSettings = loadConcentrationSettings(selected.medication.id);
+	const concentrationDatasets = concentrationSettings
+		? buildConcentrationDatasets(clipToWindow(selected.levelSeries), concentrationSettings)
+		: [];
+	const deficitDatasets = plotted.map((result) => {
+		const { medication } = result;
+		const deficitSeries = clipToWindow(result.deficitSeries);
+		const label =
+			results.length > 1 ? `${medication.name} Needed (Deficit)` : 'Needed Dosage (Deficit)';
+		if (medication.id === selected.medication.id) {
+			return {
+				label,
+				data: deficitSeries,
+				borderColor: 'rgb(99, 211, 255)',
+				backgroundColor: 'rgba(84, 83, 83, 0.2)',
+				fill: true,
+			};
+		}
+		return {
+			label,
+			data: deficitSeries,
+			borderColor:
+				MEDICATION_CHART_COLORS[results.indexOf(result) % MEDICATION_CHART_COLORS.length],
+			fill: false,
+		};
+	});
+	const lastPoint = selected.deficitSeries[selected.deficitSeries.length - 1];
+	if (plan && plan.series && plan.series.length > 0 && lastPoint) {
+		deficitDatasets.push({
+			label: 'Planned (Deficit)',
+			data: [lastPoint, ...plan.series.filter((point) => point.x > lastPoint.x)],
+			borderColor: 'rgb(99, 211, 255)',
+			borderDash: [6, 4],
+			fill: false,
+		});
+	}
+
+	dosageChartInstance = new Chart(canvas.getContext('2d'), {
+		type: 'line',
+		plugins: [regimenMarkerPlugin],
+		data: {
+			datasets: [...deficitDatasets, ...concentrationDatasets],
+		},
+		options: {
+			responsive: true,
+			scales: {
+				x: {
+					type: 'time',
+					min: clipped ? windowStart : undefined,
+					adapters: {
+						date: {
+							zone: timeZone,
+							locale,
+						},
+					},
+					time: {
+						tooltipFormat: 'MMM d, yyyy, hh:mm a ZZZZ',
+						displayFormats: {
+							millisecond: 'HH:mm:ss.SSS',
+							second: 'HH:mm:ss',
+							minute: 'HH:mm',
+							hour: 'h a',
+							day: 'MMM d',
+							week: 'MMM d, yyyy',
+							month: 'MMM yyyy',
+							quarter: 'QQQ yyyy',
+							year: 'yyyy',
+						},
+					},
+					title: { display: true, text: `Time (${timeZone})` },
+				},
+				y: {
+					beginAtZero: false,
+					title: { display: true, text: 'Dosage Units Needed' },
+				},
+				y1: {
+					display: concentrationDatasets.length > 0,
+					position: 'right',
+					beginAtZero: true,
+					grid: { drawOnChartArea: false },
+					title: { display: true, text: 'Estimated Level (dose units)' },
+				},
+			},
+			plugins: {
+				tooltip: {
+					mode: 'index',
+					intersect: false,
+				},
+				legend: {
+					position: 'top',
+				},
+				regimenMarkers: {
+					markers: regimenMarkers,
+				},
+			},
+		},
+	});
+}
+
+/**
+ * Datasets for the estimated level and the therapeutic band, drawn against the `y1` axis.
+ * @param {Array<{x: number, y: number}>} points - From DosingEngine.calculateConcentrationSeries.
+ * @param {object} settings - From loadConcentrationSettings().
+ * @returns {Array<object>} Chart.js datasets.
+ */
+function buildConcentrationDatasets(points, settings) {
+	if (points.length === 0) return [];
+
+	const datasets = [
+		{
+			label: 'Estimated Level',
+			data: points,
+			yAxisID: 'y1',
+			borderColor: 'rgb(92, 184, 92)',
+			pointRadius: 0,
+			fill: false,
+		},
+	];
+	const bandLine = (label, level, extra = {}) => ({
+		label,
+		data: [
+			{ x: points[0].x, y: level },
+			{ x: points[points.length - 1].x, y: level },
+		],
+		yAxisID: 'y1',
+		borderColor: 'rgba(240, 173, 78, 0.9)',
+		borderDash: [4, 4],
+		pointRadius: 0,
+		fill: false,
+		...extra,
+	});
+	if (settings.minLevel !== null) datasets.push(bandLine('Minimum Level', settings.minLevel));
+	if (settings.maxLevel !== null) {
+		// With a minimum as well, shade the therapeutic range between the two lines.
+		datasets.push(
+			bandLine(
+				'Maximum Level',
+				settings.maxLevel,
+				settings.minLevel !== null
+					? { fill: '-1', backgroundColor: 'rgba(240, 173, 78, 0.15)' }
+					: {}
+			)
+		);
+	}
+	return datasets;
+}
+
+/**
+ * Chart.js plugin that draws a dashed vertical line, labelled with the new rate, where each
+ * regimen began. Markers come from `options.plugins.regimenMarkers.markers`.
+ */
+const regimenMarkerPlugin = {
+	id: 'regimenMarkers',
+	afterDatasetsDraw(chart, _args, options) {
+		const { ctx, chartArea, scales } = chart;
+		(options.markers || []).forEach(({ time, label }) => {
+			const x = scales.x.getPixelForValue(time);
+			if (x < chartArea.left || x > chartArea.right) return;
+
+			ctx.save();
+			ctx.strokeStyle = 'rgba(217, 83, 79, 0.8)';
+			ctx.lineWidth = 1;
+			ctx.setLineDash([6, 4]);
+			ctx.beginPath();
+			ctx.moveTo(x, chartArea.top);
+			ctx.lineTo(x, chartArea.bottom);
+			ctx.stroke();
+			ctx.fillStyle = 'rgb(217, 83, 79)';
+			ctx.font = '11px sans-serif';
+			ctx.fillText(label, x + 4, chartArea.top + 12);
+			ctx.restore();
+		});
+	},
+};
+
+// --- Dashboard ---
+// The current need of every profile's medications at a glance, shown while there is more than
+// one profile. The other profiles' lists are loaded in the background, or read from their cache
+// while the backend is unreachable, and their queued changes are not included.
+
+// The lists of profiles other than the selected one by profile ID: {events, regimens, medications}.
+let dashboardData = {};
+
+/**
+ * Loads the lists of every profile but the selected one and updates the dashboard and reminders.
+ */
+async function loadDashboardData() {
+	const profiles = getMergedProfiles().filter((profile) => profile.id !== selectedProfileId);
+	for (const profile of profiles) {
+		const cached = loadCachedData(profile.id);
+		const loaded = await getEventsFromBackend({ background: true }, profile.id, cached);
+		if (loaded === null) {
+			if (cached) {
+				dashboardData[profile.id] = {
+					events: cached.events,
+					regimens: cached.regimens,
+					medications: cached.medications,
+				};
+			}
+			continue;
+		}
+		dashboardData[profile.id] = {
+			events: loaded.events,
+			regimens: (await getRegimensFromBackend(profile.id)).map(parseRegimen),
+			medications: (await getMedicationsFromBackend(profile.id)).map(parseMedication),
+		};
+	}
+	renderCalculations(getActiveEvents());
+}
+
+/**
+ * Runs DosingEngine for each medication of a profile that is not selected, with the saved rates.
+ * @param {string} profileId
+ * @param {number} now - Epoch milliseconds.
+ * @returns {Array<{medication: object, statistics: object|null}> | null} Null until its lists are loaded.
+ */
+function calculateOtherProfile(profileId, now) {
+	const lists = dashboardData[profileId];
+	if (!lists) return null;
+	const { events, regimens } = lists;
+	return withUnsavedDefaultMedication(lists.medications, [...events, ...regimens], profileId).map(
+		(medication) => ({
+			medication,
+			...DosingEngine.calculate({
+				events: forMedication(events, medication.id),
+				periods: DosingEngine.createRatePeriods(
+					forMedication(regimens, medication.id),
+					medication.pills / medication.hours
+				),
+				now,
+				concentration: loadConcentrationSettings(medication.id, profileId),
+				dueAmounts: getDueAmounts(medication),
+			}),
+		})
+	);
+}
+
+/**
+ * Lists each profile's medications with the amount needed now and when the next dose is due.
+ * The other profiles' names switch to them.
+ * @param {Array<{profile: {id: string, name: string}, results: Array<object> | null}>} profileResults
+ */
+function renderDashboard(profileResults) {
+	if (!dashboardContainer) return;
+	dashboardContainer.hidden = profileResults.length < 2;
+	const tableContainer = $('dashboardTable');
+	if (!tableContainer || dashboardContainer.hidden) return;
+
+	const table = document.createElement('table');
+	table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Profile</th>
+                    <th>Medication</th>
+                    <th>Needed now</th>
+                    <th>Next dose</th>
+                </tr>
+            </thead>
+            <tbody></tbody>`;
+	const tbody = table.querySelector('tbody');
+
+	profileResults.forEach(({ profile, results }) => {
+		const addRow = (index) => {
+			const row = tbody.insertRow();
+			const profileCell = row.insertCell();
+			if (index > 0) return row;
+			if (profile.id === selectedProfileId) {
+				profileCell.textContent = profile.name;
+			} else {
+				const showButton = document.createElement('input');
+				showButton.type = 'button';
+				showButton.value = profile.name;
+				showButton.onclick = () => selectProfile(profile.id);
+				profileCell.appendChild(showButton);
+			}
+			return row;
+		};
+
+		if (!results) {
+			addRow(0).insertCell().textContent = 'Not loaded';
+			return;
+		}
+		results.forEach(({ medication, statistics }, index) => {
+			const row = addRow(index);
+			const nextDue = statistics && statistics.due.find((due) => due.offsetHours !== null);
+			row.insertCell().textContent = medication.name;
+			row.insertCell().textContent = statistics ? statistics.currentNeeded.toFixed(1) : 'N/A';
+			row.insertCell().textContent = nextDue
+				? `${nextDue.amount} in ${nextDue.offsetHours.toFixed(1)} hrs at ${formatTimeOffset(
+						nextDue.offsetHours
+					)}`
+				: 'N/A';
+		});
+	});
+
+	tableContainer.replaceChildren(table);
+}
+
+// --- Planner ---
+// The selected medication's doses to come, projected by DosingEngine.planDoses from the amount
+// needed now, the rate, the usual dose and the safety limits on a single dose and the time
+// between doses, and kept out of the night hours if asked to. Once
+// shown, the plan follows every change the statistics do, continues the chart as a dashed
+// line and can be exported as an iCalendar file.
+
+/** Restores the planner inputs saved by savePlannerInputHandler. */
+function renderPlannerInputs() {
+	PLANNER_INPUT_KEYS.forEach((key) => {
+		const element = $(key);
+		const value = loadFromLocalStorage(key);
+		if (!element || value === null) return;
+		if (element.type === 'checkbox') element.checked = value === 'true';
+		else element.value = value;
+	});
+}
+
+/**
+ * Offers the quick-dose amounts as the usual dose, keeping the choice if it is among them.
+ * @param {{step: number}} medication
+ */
+function renderPlanAmountOptions(medication) {
+	if (!planAmountSelect) return;
+	const current = planAmountSelect.value || loadFromLocalStorage('planAmount');
+	const amounts = [...new Set(getQuickDoseAmounts(medication))].sort((a, b) => b - a);
+	planAmountSelect.replaceChildren(
+		...amounts.map((amount) => {
+			const option = document.createElement('option');
+			option.value = amount;
+			option.textContent = amount;
+			return option;
+		})
+	);
+	if (amounts.some((amount) => String(amount) === current)) planAmountSelect.value = current;
+}
+
+/**
+ * Reads how far ahead to plan, the usual dose and the night hours.
+ * @returns {{hours: number, amount: number, night: {start: string, end: string}|null} | {error: string}}
+ *   The night's start and end as 'HH:mm'.
+ */
+function readPlannerInputs() {
+	const length = parseFloat($('planLength').value);
+	const hours = $('planUnit').value === 'hours' ? length : length * 24;
+	if (!(hours >= 1) || hours > MAX_PLAN_DAYS * 24) {
+		return { error: `Plan at least 1 hour and at most ${MAX_PLAN_DAYS} days ahead.` };
+	}
+	const amount = parseFloat(planAmountSelect.value);
+	if (!(amount > 0)) return { error: 'Choose the usual dose.' };
+	if (!$('avoidNight').checked) return { hours, amount, night: null };
+
+	const start = $('nightStart').value;
+	const end = $('nightEnd').value;
+	if (!start || !end || start === end) {
+		return { error: 'Set when the night hours start and end.' };
+	}
+	return { hours, amount, night: { start, end } };
+}
+
+/**
+ * The night hours of every day from the night before `from` until `until`, in the user's time
+ * zone. A night that starts later in the day than it ends runs past midnight.
+ * @param {{start: string, end: string}} night - Times as 'HH:mm'.
+ * @param {luxon.DateTime} from
+ * @param {luxon.DateTime} until
+ * @returns {Array<{start: number, end: number}>} Epoch milliseconds, for DosingEngine.planDoses.
+ */
+function getNightRanges(night, from, until) {
+	const atTime = (day, time) => {
+		const [hour, minute] = time.split(':').map(Number);
+		return day.set({ hour, minute, second: 0, millisecond: 0 });
+	};
+	const ranges = [];
+	const overnight = night.end < night.start;
+	for (
+		let day = from.startOf('day').minus({ days: 1 });
+		day <= until;
+		day = day.plus({ days: 1 })
+	) {
+		ranges.push({
+			start: atTime(day, night.start).toMillis(),
+			end: atTime(overnight ? day.plus({ days: 1 }) : day, night.end).toMillis(),
+		});
+	}
+	return ranges;
+}
+
+/**
+ * Plans the medication's doses with the planner's settings. The largest single dose is its
+ * safety limit, if set.
+ * @param {{id: string, step: number}} medication
+ * @param {Array<object>} events - The active events of all medications.
+ * @param {number} now - Epoch milliseconds.
+ * @returns {{planned: Array<{millis: number, amount: number, shifted: boolean}>, series: Array<{x: number, y: number}>} | {error: string}}
+ *   `series` is the deficit with the planned doses, from DosingEngine.calculateDeficitSeries.
+ */
+function calculatePlan(medication, events, now) {
+	renderPlanAmountOptions(medication);
+	const input = readPlannerInputs();
+	if (input.error) return input;
+
+	const from = luxon.DateTime.fromMillis(now, { zone: timeZone });
+	const until = from.plus({ hours: input.hours });
+	const doses = DosingEngine.toDoses(forMedication(events, medication.id));
+	const periods = getRatePeriods(medication);
+	const limits = loadSafetyLimits(medication.id);
+	const planned = DosingEngine.planDoses({
+		doses,
+		periods,
+		now,
+		until: until.toMillis(),
+		amount: input.amount,
+		step: medication.step,
+		maxAmount: limits.maxSingleDose,
+		minIntervalHours: limits.minIntervalHours,
+		blocked: input.night ? getNightRanges(input.night, from, until) : [],
+	});
+	return {
+		planned,
+		series:
+			planned.length > 0
+				? DosingEngine.calculateDeficitSeries([...doses, ...planned], periods, until.toMillis())
+				: [],
+	};
+}
+
+/**
+ * Lists the planned doses while the plan is shown.
+ * @param {object|null} plan - From calculatePlan(); null while the plan is hidden.
+ */
+function renderPlan(plan) {
+	if (!planOutputContainer || !plan) return;
+	if (plan.error) {
+		planOutputContainer.textContent = plan.error;
+		return;
+	}
+	if (plan.planned.length === 0) {
+		planOutputContainer.textContent = 'Nothing to plan. Log a dose and set a rate first.';
+		return;
+	}
+
+	const table = document.createElement('table');
+	table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Time</th>
+                    <th>Amount</th>
+                    <th>Note</th>
+                </tr>
+            </thead>
+            <tbody></tbody>`;
+	const tbody = table.querySelector('tbody');
+	plan.planned.forEach(({ millis, amount, shifted }) => {
+		const row = tbody.insertRow();
+		row.insertCell().textContent = formatDateTime(luxon.DateTime.fromMillis(millis));
+		row.insertCell().textContent = amount;
+		row.insertCell().textContent = shifted ? 'Moved out of the night hours' : '';
+	});
+	planOutputContainer.replaceChildren(table);
+}
+
+const icsEscape = (text) =>
+	String(text)
+		.replace(/[\\;,]/g, (character) => `\\${character}`)
+		.replace(/\r?\n/g, '\\n');
+const icsTime = (millis) =>
+	luxon.DateTime.fromMillis(millis, { zone: 'utc' }).toFormat("yyyyMMdd'T'HHmmss'Z'");
+// Content lines longer than 75 characters continue on lines starting with a space (RFC 5545).
+const icsFold = (line) => (line.length <= 75 ? line : line.match(/.{1,74}/g).join('\r\n '));
+
+/**
+ * An iCalendar file with an event and a reminder for every planned dose.
+ * @param {Array<{millis: number, amount: number, shifted: boolean}>} planned
+ * @param {{id: string, name: string}} medication
+ * @returns {string}
+ */
+function buildPlanCalendar(planned, medication) {
+	const profile = getSelectedProfile();
+	const forProfile = getMergedProfiles().length > 1 ? ` (${profile.name})` : '';
+	const stamp = icsTime(Date.now());
+	const lines = [
+		'BEGIN:VCALENDAR',
+		'VERSION:2.0',
+		'PRODID:-//Dosage Helper//Planner//EN',
+		'CALSCALE:GREGORIAN',
+		'METHOD:PUBLISH',
+	];
+	planned.forEach(({ millis, amount, shifted }) => {
+		const summary = icsEscape(`Take ${amount} of ${medication.name}${forProfile}`);
+		lines.push(
+			'BEGIN:VEVENT',
+			`UID:${icsEscape(`${profile.id}-${medication.id}-${millis}@dosage-helper`)}`,
+			`DTSTAMP:${stamp}`,
+			`DTSTART:${icsTime(millis)}`,
+			`DURATION:${PLAN_EVENT_DURATION}`,
+			`SUMMARY:${summary}`,
+			...(shifted ? ['DESCRIPTION:Moved out of the night hours.'] : []),
+			'BEGIN:VALARM',
+			'ACTION:DISPLAY',
+			`DESCRIPTION:${summary}`,
+			'TRIGGER:PT0M',
+			'END:VALARM',
+			'END:VEVENT'
+		);
+	});
+	lines.push('END:VCALENDAR');
+	return `${lines.map(icsFold).join('\r\n')}\r\n`;
+}
+
+/**
+ * Saves a planner input and updates the plan if it is shown.
+ * @param {string} key - The input's ID.
+ */
+function savePlannerInputHandler(key) {
+	const element = $(key);
+	saveToLocalStorage(key, element.type === 'checkbox' ? element.checked : element.value);
+	if (planOutputContainer && !planOutputContainer.hidden) renderCalculations(getActiveEvents());
+}
+
+/** Shows the plan, which then follows every change until the page is reloaded. */
+function showPlanHandler() {
+	if (!planOutputContainer) return;
+	planOutputContainer.hidden = false;
+	renderCalculations(getActiveEvents());
+}
+
+/**
+ * Downloads the plan as an iCalendar file to import into a calendar.
+ */
+function exportPlanHandler() {
+	const medication = getSelectedMedication();
+	const now = getLocalNow();
+	const plan = calculatePlan(medication, getActiveEvents(), now.toMillis());
+	if (plan.error) {
+		alert(plan.error);
+		return;
+	}
+	if (plan.planned.length === 0) {
+		alert('Nothing to plan. Log a dose and set a rate first.');
+		return;
+	}
+	downloadFile(
+		`dose-plan-${now.toFormat('yyyy-MM-dd')}.ics`,
+		'text/calendar',
+		buildPlanCalendar(plan.planned, medication)
+	);
+}
+
+// --- Adherence Report ---
+// How closely the selected medication's doses followed its rate over a range of calendar days
+// in the user's time zone, to check on or to print for a clinician. Entries waiting to sync are
+// included. Once shown, the report follows changes to the entries, the rate and the selection.
+
+/** Fills the range inputs that are empty with the last REPORT_DEFAULT_DAYS days. */
+function initReportRange() {
+	const today = getLocalNow().startOf('day');
+	if (reportFromInput && !reportFromInput.value) {
+		reportFromInput.value = today.minus({ days: REPORT_DEFAULT_DAYS - 1 }).toISODate();
+	}
+	if (reportToInput && !reportToInput.value) reportToInput.value = today.toISODate();
+}
+
+/**
+ * Reads the report's range and tolerance. An empty tolerance is the medication's dose step.
+ * @param {{step: number}} medication
+ * @returns {{from: luxon.DateTime, to: luxon.DateTime, tolerance: number} | {error: string}}
+ *   `from` is the start of the first day and `to` the start of the day after the last.
+ */
+function readReportInputs(medication) {
+	const from = luxon.DateTime.fromISO(reportFromInput.value, { zone: timeZone });
+	const last = luxon.DateTime.fromISO(reportToInput.value, { zone: timeZone });
+	if (!from.isValid || !last.isValid) {
+		return { error: 'Choose the first and the last day of the report.' };
+	}
+	if (last < from) return { error: 'The last day must not be before the first.' };
+	if (from > getLocalNow()) return { error: 'The report cannot start in the future.' };
+
+	const toleranceText = reportToleranceInput.value.trim();
+	const tolerance = toleranceText === '' ? medication.step : parseFloat(toleranceText);
+	if (isNaN(tolerance) || tolerance < 0) {
+		return { error: 'The tolerance must be a number of pills, 0 or more.' };
+	}
+	return { from, to: last.plus({ days: 1 }), tolerance };
+}
+
+/**
+ * Runs DosingEngine.calculateAdherence for the selected medication over the chosen days, broken
+ * down by each day up to today.
+ * @returns {{medication: object, from: luxon.DateTime, to: luxon.DateTime, tolerance: number, now: luxon.DateTime, rate: number, adherence: object} | {error: string}}
+ *   `rate` is the one in effect at the end of the range.
+ */
+function calculateAdherenceReport() {
+	const medication = getSelectedMedication();
+	const input = readReportInputs(medication);
+	if (input.error) return input;
+
+	const now = getLocalNow();
+	const periods = getRatePeriods(medication);
+	const days = [];
+	for (let day = input.from; day < input.to && day < now; day = day.plus({ days: 1 })) {
+		days.push({ start: day.toMillis(), end: day.plus({ days: 1 }).toMillis() });
+	}
+	return {
+		medication,
+		...input,
+		now,
+		rate: DosingEngine.getRateAt(periods, Math.min(input.to.toMillis(), now.toMillis()) - 1),
+		adherence: DosingEngine.calculateAdherence({
+			doses: DosingEngine.toDoses(forMedication(getActiveEvents(), medication.id)),
+			periods,
+			from: input.from.toMillis(),
+			to: input.to.toMillis(),
+			now: now.toMillis(),
+			tolerance: input.tolerance,
+			days,
+		}),
+	};
+}
+
+const formatReportDate = (dateTime) => dateTime.toFormat('ccc MM/dd/yyyy', { locale });
+const formatPercent = (fraction) => (fraction === null ? 'N/A' : `${Math.round(fraction * 100)}%`);
+
+/**
+ * Shows the report for the chosen range: a summary, then one row per day.
+ */
+function renderAdherenceReport() {
+	if (!reportOutputContainer) return;
+	reportOutputContainer.hidden = false;
+	const report = calculateAdherenceReport();
+	if (report.error) {
+		reportOutputContainer.textContent = report.error;
+		return;
+	}
+	const { medication, from, to, tolerance, now, rate, adherence } = report;
+	const intervals = adherence.intervals;
+
+	const heading = document.createElement('h4');
+	heading.textContent = `${getSelectedProfile().name}, ${medication.name}: ${formatReportDate(
+		from
+	)} to ${formatReportDate(to.minus({ days: 1 }))}`;
+
+	const summary = document.createElement('table');
+	[
+		['Rate at the end', `${rate.toFixed(3)} per hour`],
+		['Doses given', `${adherence.doseCount} (${adherence.totalGiven.toFixed(1)} in total)`],
+		['Amount needed', adherence.totalNeeded.toFixed(1)],
+		[
+			'Hours between doses',
+			intervals
+				? `mean ${intervals.mean.toFixed(1)}, median ${intervals.median.toFixed(
+						1
+					)}, longest ${intervals.max.toFixed(1)}`
+				: 'N/A',
+		],
+		['Late doses', adherence.late],
+		['Missed doses', adherence.missed],
+		[`Time on schedule, ±${tolerance}`, formatPercent(adherence.inBand)],
+		['Created', formatDateTime(now)],
+	].forEach(([label, value]) => {
+		const row = summary.insertRow();
+		const labelCell = document.createElement('th');
+		labelCell.textContent = label;
+		row.appendChild(labelCell);
+		row.insertCell().textContent = value;
+	});
+
+	const daysTable = document.createElement('table');
+	daysTable.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Day</th>
+                    <th>Doses</th>
+                    <th>Given</th>
+                    <th>Needed</th>
+                    <th>Late</th>
+                    <th>Missed</th>
+                    <th>On schedule</th>
+                </tr>
+            </thead>
+            <tbody></tbody>`;
+	const tbody = daysTable.querySelector('tbody');
+	adherence.days.forEach((day) => {
+		const row = tbody.insertRow();
+		row.insertCell().textContent = formatReportDate(
+			luxon.DateTime.fromMillis(day.start, { zone: timeZone })
+		);
+		row.insertCell().textContent = day.doseCount;
+		row.insertCell().textContent = day.totalGiven.toFixed(1);
+		row.insertCell().textContent = day.totalNeeded.toFixed(1);
+		row.insertCell().textContent = day.late;
+		row.insertCell().textContent = day.missed;
+		row.insertCell().textContent = formatPercent(day.inBand);
+	});
+
+	reportOutputContainer.replaceChildren(heading, summary, daysTable);
+}
+
+/** Shows the report for the range and tolerance in the inputs. */
+function showReportHandler() {
+	renderAdherenceReport();
+}
+
+/**
+ * Prints the adherence report alone, showing it first if it is not on screen yet.
+ */
+function printReportHandler() {
+	if (!reportOutputContainer) return;
+	if (reportOutputContainer.hidden) renderAdherenceReport();
+	document.body.classList.add('printing-report');
+	window.print();
+	document.body.classList.remove('printing-report');
+}
+
+// --- Deleted Entries ---
+// Removed entries stay on the backend with when, by which client and why they were removed.
+// A removal can be undone from a toast right after it is made, and later from the list of the
+// selected profile's deleted entries.
+
+let undoToastTimer = null;
+
+/**
+ * Shows a message with an Undo button for UNDO_TOAST_MS, replacing any earlier one.
+ * @param {string} message
+ * @param {Function} onUndo - Called when Undo is clicked.
+ */
+function showUndoToast(message, onUndo) {
+	if (!undoToast) return;
+	clearTimeout(undoToastTimer);
+	const text = document.createElement('span');
+	text.textContent = message;
+	const undoButton = document.createElement('input');
+	undoButton.type = 'button';
+	undoButton.value = 'Undo';
+	undoButton.onclick = () => {
+		hideUndoToast();
+		onUndo();
+	};
+	undoToast.replaceChildren(text, undoButton);
+	undoToast.hidden = false;
+	undoToastTimer = setTimeout(hideUndoToast, UNDO_TOAST_MS);
+}
+
+function hideUndoToast() {
+	clearTimeout(undoToastTimer);
+	if (undoToast) undoToast.hidden = true;
+}
+
+/**
+ * Offers to undo a removal that was just made. A removal that is still queued is dropped from
+ * the queue; one the backend has applied is restored from its deleted entries.
+ * @param {{id?: string, dosageAmount: number, dosageTime: string}} event - The removed event.
+ * @param {string} [removeOpId] - The queued removal, if it was queued.
+ */
+function offerUndoRemoval(event, removeOpId) {
+	// Entries without an ID cannot be restored, only their queued removal dropped.
+	if (!event.id && !removeOpId) return;
+	const message = `Removed ${event.dosageAmount.toFixed(1)} at ${formatDateTime(event.dosageTime)}.`;
+	showUndoToast(message, async () => {
+		if (removeOpId && pendingOps.some((op) => op.opId === removeOpId)) {
+			discardPendingOp(removeOpId);
+			refreshEventsView();
+		} else if (event.id) {
+			await restoreEntry(event);
+		}
+		loadDeletedEntries();
+	});
+}
+
+/**
+ * Restores a removed entry and shows it again.
+ * @param {{id: string, dosageAmount: number, dosageTime: string, overrideReason?: string, medicationId?: string}} event
+ * @returns {Promise<boolean>} Whether it was restored or queued.
+ */
+async function restoreEntry(event) {
+	setOverlayVisibility(true);
+	try {
+		const result = await restoreEventInBackend(event);
+		if (!result.success || !(result.queued || result.restored)) {
+			console.error('Failed to restore event:', result, 'event', event);
+			alert(
+				`Failed to restore entry: ${
+					result.error || result.message || 'Unknown error from storage backend'
+				}`
+			);
+			return false;
+		}
+		if (!result.queued) {
+			eventsData.push({
+				id: event.id,
+				dosageAmount: event.dosageAmount,
+				dosageTime: event.dosageTime,
+				overrideReason: event.overrideReason,
+				medicationId: medicationOf(event),
+			});
+			sortEventsByTime(eventsData);
+		}
+		refreshEventsView();
+		return true;
+	} catch (error) {
+		console.error('Error in restoreEntry:', error);
+		alert('An unexpected error occurred while restoring the entry.');
+		return false;
+	} finally {
+		setOverlayVisibility(false);
+	}
+}
+
+/**
+ * Loads the selected profile's deleted entries and lists them, most recently removed first.
+ * Does nothing while the list is hidden. Entries with a queued restore are left out.
+ */
+async function loadDeletedEntries() {
+	if (!deletedEntriesContainer || deletedEntriesContainer.hidden) return;
+	const profileId = selectedProfileId;
+	const result = await fetchFromBackend('getDeleted', withProfile({}), { background: true });
+	// The profile may have changed or the list been closed while loading.
+	if (profileId !== selectedProfileId || deletedEntriesContainer.hidden) return;
+	if (!result.success) {
+		deletedEntriesContainer.textContent = result.offline
+			? 'Deleted entries cannot be loaded while offline.'
+			: `Could not load deleted entries: ${result.error}`;
+		return;
+	}
+
+	const restoring = getProfileOps()
+		.filter((op) => op.action === 'restore')
+		.map((op) => op.params.id);
+	const entries = (result.data || [])
+		.map((row) => ({ ...row, event: parseBackendEvents([row])[0] }))
+		.filter(({ event }) => event && event.id && !restoring.includes(event.id))
+		.reverse();
+	renderDeletedEntries(entries);
+}
+
+/**
+ * Lists deleted entries with when, by whom and why they were removed, and a Restore button.
+ * @param {Array<{event: object, deletedAt: string, deletedBy: string, reason: string}>} entries
+ */
+function renderDeletedEntries(entries) {
+	if (entries.length === 0) {
+		deletedEntriesContainer.textContent = 'No deleted entries.';
+		return;
+	}
+	const table = document.createElement('table');
+	table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Dosage Amount</th>
+                    <th>Dosage Time</th>
+                    <th>Medication</th>
+                    <th>Removed</th>
+                    <th>Reason</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody></tbody>`;
+	const tbody = table.querySelector('tbody');
+	const medications = getActiveMedications();
+
+	entries.forEach(({ event, deletedAt, deletedBy, reason }) => {
+		const row = tbody.insertRow();
+		row.insertCell().textContent = event.dosageAmount.toFixed(1);
+		row.insertCell().textContent = formatDateTime(event.dosageTime);
+		const medication =
+			medications.find((m) => m.id === event.medicationId) ||
+			(event.medicationId === DEFAULT_MEDICATION_ID ? getUnsavedDefaultMedication() : null);
+		row.insertCell().textContent = medication ? medication.name : event.medicationId;
+		const removedBy = deletedBy === getClientId() ? 'this browser' : deletedBy || 'unknown';
+		row.insertCell().textContent = `${formatDateTime(deletedAt)} by ${removedBy}`;
+		row.insertCell().textContent = reason || '';
+
+		const restoreButton = document.createElement('input');
+		restoreButton.type = 'button';
+		restoreButton.value = 'Restore';
+		restoreButton.className = 'requires-write';
+		restoreButton.onclick = () => restoreDeletedEntryHandler(event);
+		row.insertCell().appendChild(restoreButton);
+	});
+
+	deletedEntriesContainer.replaceChildren(table);
+}
+
+// --- Reminders ---
+// Reminders are timers in this page, rebuilt from the due times every time the statistics are
+// recomputed. They are shown through the service worker so notifications can offer a snooze
+// action; without notification permission the page flashes its title and beeps instead.
+// Nothing fires while no tab of the app is open.
+
+let reminderTimers = [];
+let lastDueTimes = [];
+let serviceWorkerRegistration = null;
+let titleFlashTimer = null;
+const originalTitle = document.title;
+
+const remindersEnabled = () => loadFromLocalStorage(REMINDERS_ENABLED_KEY) === 'true';
+const canUseNotifications = () =>
+	typeof Notification !== 'undefined' && Notification.permission === 'granted';
+
+/**
+ * Loads which reminders already fired and which are snoozed, so reloading the page does not
+ * repeat them.
+ * @returns {{fired: string[], snoozed: Object<string, number>}} Snooze end times in milliseconds.
+ */
+function loadReminderState() {
+	try {
+		const state = JSON.parse(loadFromLocalStorage(REMINDER_STATE_KEY) || '{}');
+		return {
+			fired: Array.isArray(state.fired) ? state.fired : [],
+			snoozed: state.snoozed && typeof state.snoozed === 'object' ? state.snoozed : {},
+		};
+	} catch (error) {
+		console.error('Could not parse the reminder state, starting empty:', error);
+		return { fired: [], snoozed: {} };
+	}
+}
+
+const saveReminderState = (state) => saveToLocalStorage(REMINDER_STATE_KEY, JSON.stringify(state));
+
+/**
+ * Identifies a reminder by its profile, medication, threshold and due minute. The due time
+ * stays the same until events or the rate change, so the key survives the schedule being
+ * rebuilt. The default profile and medication add no prefix, as before they existed.
+ * @param {number} amount
+ * @param {luxon.DateTime} dueDT
+ * @param {string} medicationId
+ * @param {string} profileId
+ * @returns {string}
+ */
+const getReminderKey = (amount, dueDT, medicationId, profileId) =>
+	`${profileId === DEFAULT_PROFILE_ID ? '' : `${profileId}/`}${
+		medicationId === DEFAULT_MEDICATION_ID ? '' : `${medicationId}:`
+	}${amount}@${Math.round(dueDT.toMillis() / 60000)}`;
+
+/**
+ * Replaces the scheduled reminders with one per due time that has not fired yet. Due times
+ * already in the past fire right away, once.
+ * @param {Array<{amount: number, offsetHours: number|null, medication: {id: string, name: string}, profile: {id: string, name: string}}>} dueTimes
+ *   From renderCalculations, for all medications of all profiles.
+ */
+function scheduleReminders(dueTimes) {
+	lastDueTimes = dueTimes;
+	reminderTimers.forEach((timer) => clearTimeout(timer));
+	reminderTimers = [];
+	if (!remindersEnabled()) return;
+
+	const state = loadReminderState();
+	const nowDT = getLocalNow();
+	dueTimes.forEach(({ amount, offsetHours, medication, profile }) => {
+		if (offsetHours === null) return;
+		const dueDT = nowDT.plus({ hours: offsetHours });
+		const key = getReminderKey(amount, dueDT, medication.id, profile.id);
+
+		let fireAt = dueDT.toMillis();
+		if (state.snoozed[key]) fireAt = state.snoozed[key];
+		else if (state.fired.includes(key)) return;
+
+		const delay = Math.max(0, fireAt - nowDT.toMillis());
+		if (delay > MAX_TIMEOUT_MS) return;
+		reminderTimers.push(
+			setTimeout(() => fireReminder(key, amount, dueDT, medication, profile), delay)
+		);
+	});
+}
+
+/**
+ * Shows a reminder and records that it fired. With several profiles it names the profile.
+ * @param {string} key - From getReminderKey().
+ * @param {number} amount
+ * @param {luxon.DateTime} dueDT
+ * @param {{name: string}} medication
+ * @param {{name: string}} profile
+ */
+function fireReminder(key, amount, dueDT, medication, profile) {
+	const state = loadReminderState();
+	delete state.snoozed[key];
+	state.fired = [...state.fired.filter((k) => k !== key), key].slice(-REMINDER_HISTORY_LENGTH);
+	saveReminderState(state);
+
+	const forProfile = getMergedProfiles().length > 1 ? ` for ${profile.name}` : '';
+	const title = `${medication.name}${forProfile}: dose of ${amount} due`;
+	const body = `A dose of ${amount} ${medication.name} is due${forProfile} at ${formatDateTime(
+		dueDT
+	)}.`;
+	if (canUseNotifications()) {
+		showSystemNotification(key, title, body);
+	} else {
+		showInPageReminder(key, title, body);
+	}
+}
+
+function showSystemNotification(key, title, body) {
+	const options = { body, tag: key, icon: './img/favicon.ico', requireInteraction: true };
+	if (serviceWorkerRegistration) {
+		serviceWorkerRegistration
+			.showNotification(title, {
+				...options,
+				data: { key },
+				actions: [{ action: 'snooze', title: `Snooze ${REMINDER_SNOOZE_MINUTES} min` }],
+			})
+			.catch((error) => {
+				console.error('Could not show notification, using in-page reminder:', error);
+				showInPageReminder(key, title, body);
+			});
+	} else {
+		// Notifications created by the page cannot have actions, so snoozing stays in the page.
+		new Notification(title, options);
+		showInPageReminder(key, title, body, { silent: true });
+	}
+}
+
+/**
+ * Shows the reminder banner, and unless `silent`, flashes the title and plays a beep.
+ */
+function showInPageReminder(key, title, body, { silent = false } = {}) {
+	if (reminderBanner) {
+		reminderBanner.replaceChildren();
+		const text = document.createElement('span');
+		text.textContent = body;
+		reminderBanner.appendChild(text);
+
+		const snoozeButton = document.createElement('input');
+		snoozeButton.type = 'button';
+		snoozeButton.value = `Snooze ${REMINDER_SNOOZE_MINUTES} min`;
+		snoozeButton.onclick = () => snoozeReminder(key);
+		reminderBanner.appendChild(snoozeButton);
+
+		const dismissButton = document.createElement('input');
+		dismissButton.type = 'button';
+		dismissButton.value = 'Dismiss';
+		dismissButton.className = 'remove-button';
+		dismissButton.onclick = dismissInPageReminder;
+		reminderBanner.appendChild(dismissButton);
+
+		reminderBanner.hidden = false;
+	}
+	if (silent) return;
+
+	clearInterval(titleFlashTimer);
+	titleFlashTimer = setInterval(() => {
+		document.title = document.title === originalTitle ? `⏰ ${title}` : originalTitle;
+	}, 1000);
+	playReminderBeep();
+}
+
+function dismissInPageReminder() {
+	clearInterval(titleFlashTimer);
+	titleFlashTimer = null;
+	document.title = originalTitle;
+	if (reminderBanner) reminderBanner.hidden = true;
+}
+
+/**
+ * Plays a short beep. Browsers may block audio until the user has interacted with the page.
+ */
+function playReminderBeep() {
+	const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+	if (!AudioContextClass) return;
+	try {
+		const context = new AudioContextClass();
+		const oscillator = context.createOscillator();
+		const gain = context.createGain();
+		oscillator.frequency.value = 880;
+		gain.gain.value = 0.2;
+		oscillator.connect(gain).connect(context.destination);
+		oscillator.start();
+		oscillator.stop(context.currentTime + 0.4);
+		oscillator.onended = () => context.close();
+	} catch (error) {
+		console.warn('Could not play the reminder sound:', error);
+	}
+}
+
+/**
+ * Delays a reminder by REMINDER_SNOOZE_MINUTES.
+ * @param {string} key - From getReminderKey().
+ */
+function snoozeReminder(key) {
+	const state = loadReminderState();
+	state.snoozed[key] = getLocalNow().plus({ minutes: REMINDER_SNOOZE_MINUTES }).toMillis();
+	saveReminderState(state);
+	dismissInPageReminder();
+	scheduleReminders(lastDueTimes);
+}
+
+function renderReminderControls() {
+	if (reminderToggleButton) {
+		reminderToggleButton.value = remindersEnabled() ? 'Disable reminders' : 'Enable reminders';
+	}
+	if (!reminderStatusElement) return;
+	if (!remindersEnabled()) {
+		reminderStatusElement.textContent = 'Reminders are off.';
+	} else if (canUseNotifications()) {
+		reminderStatusElement.textContent = 'Reminders are on and use notifications.';
+	} else {
+		reminderStatusElement.textContent =
+			'Notifications are not allowed, so reminders show in this page while it is open.';
+	}
+}
+
+async function toggleRemindersHandler() {
+	if (remindersEnabled()) {
+		saveToLocalStorage(REMINDERS_ENABLED_KEY, 'false');
+	} else {
+		saveToLocalStorage(REMINDERS_ENABLED_KEY, 'true');
+		if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+			try {
+				await Notification.requestPermission();
+			} catch (error) {
+				console.warn('Notification permission request failed:', error);
+			}
+		}
+	}
+	renderReminderControls();
+	scheduleReminders(lastDueTimes);
+}
+
+/**
+ * Registers sw.js, which shows reminders and relays their snooze action back to this page.
+ */
+async function initServiceWorker() {
+	if (!('serviceWorker' in navigator)) return;
+	try {
+		serviceWorkerRegistration = await navigator.serviceWorker.register('./sw.js');
+		navigator.serviceWorker.addEventListener('message', (event) => {
+			if (event.data && event.data.type === 'snoozeReminder') snoozeReminder(event.data.key);
+		});
+		watchForUpdates(serviceWorkerRegistration);
+	} catch (error) {
+		console.warn('Service worker registration failed; reminders stay in the page:', error);
+	}
+}
+
+// --- App Updates ---
+// A changed sw.js installs next to the running one and waits. The page offers to switch to it;
+// the new worker then takes over and the page reloads with the new files.
+
+let waitingServiceWorker = null;
+let updateRequested = false;
+
+function offerUpdate(worker) {
+	waitingServiceWorker = worker;
+	if (updateBanner) updateBanner.hidden = false;
+}
+
+/**
+ * @param {ServiceWorkerRegistration} registration
+ */
+function watchForUpdates(registration) {
+	// Without a controller this is the first install, not an update.
+	if (registration.waiting && navigator.serviceWorker.controller) {
+		offerUpdate(registration.waiting);
+	}
+	registration.addEventListener('updatefound', () => {
+		const worker = registration.installing;
+		if (!worker) return;
+		worker.addEventListener('statechange', () => {
+			if (worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate(worker);
+		});
+	});
+	navigator.serviceWorker.addEventListener('controllerchange', () => {
+		if (updateRequested) location.reload();
+	});
+	setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL_MS);
+}
+
+function applyUpdateHandler() {
+	if (!waitingServiceWorker) return;
+	updateRequested = true;
+	waitingServiceWorker.postMessage({ type: 'skipWaiting' });
+}
+
+// --- Export / Import ---
+
+/**
+ * Offers `content` as a file download.
+ * @param {string} filename
+ * @param {string} mimeType
+ * @param {string} content
+ */
+function downloadFile(filename, mimeType, content) {
+	const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	URL.revokeObjectURL(url);
+}
+
+const csvEscape = (value) => {
+	const text = value === undefined || value === null ? '' : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Exports the selected profile's confirmed events of all medications with its name, the rate
+ * settings, regimens and time zone; JSON exports also list the medications. CSV files carry the settings as leading `#`
+ * lines, which the import skips.
+ * @param {'csv' | 'json'} format
+ */
+function exportHistoryHandler(format) {
+	const exportedAt = getLocalNow();
+	const settings = {
+		exportedAt: exportedAt.toISO(),
+		timeZone,
+		profile: getSelectedProfile().name,
+		pills: parseFloat(pillsElement.value),
+		hours: parseFloat(hourElement.value),
+	};
+	const events = eventsData.map((event) => ({
+		id: event.id || '',
+		date: event.dosageTime,
+		amount: event.dosageAmount,
+		override: event.overrideReason || '',
+		medication: medicationOf(event),
+	}));
+	const filename = `dosage-history-${exportedAt.toFormat('yyyy-MM-dd')}.${format}`;
+
+	if (format === 'json') {
+		downloadFile(
+			filename,
+			'application/json',
+			JSON.stringify(
+				{ ...settings, medications: medicationsData, regimens: regimensData, events },
+				null,
+				'\t'
+			)
+		);
+		return;
+	}
+
+	const lines = [
+		...Object.entries(settings).map(([key, value]) => `# ${key}: ${value}`),
+		'Id,Date,Amount,Override,Medication',
+		...events.map((event) =>
+			[event.id, event.date, event.amount, event.override, event.medication]
+				.map(csvEscape)
+				.join(',')
+		),
+	];
+	downloadFile(filename, 'text/csv', `${lines.join('\r\n')}\r\n`);
+}
+
+/**
+ * Splits CSV text into rows of fields, honouring quoted fields. Lines starting with `#` are
+ * skipped.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+	const rows = [];
+	let row = [];
+	let field = '';
+	let inQuotes = false;
+	const endRow = () => {
+		row.push(field);
+		if (!(row.length === 1 && row[0].trim() === '') && !row[0].startsWith('#')) rows.push(row);
+		row = [];
+		field = '';
+	};
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (inQuotes) {
+			if (char === '"' && text[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				inQuotes = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			inQuotes = true;
+		} else if (char === ',') {
+			row.push(field);
+			field = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[i + 1] === '\n') i++;
+			endRow();
+		} else {
+			field += char;
+		}
+	}
+	if (field !== '' || row.length > 0) endRow();
+	return rows;
+}
+
+/**
+ * Reads the entries of an import file: a JSON export (or a plain array of entries), or a CSV
+ * file with a header row naming at least a date and an amount column.
+ * @param {string} filename
+ * @param {string} text
+ * @returns {Array<{rowNumber: number, id: string, date: string, amount: string, override: string, medication: string}>} Raw values.
+ * @throws {Error} If the file's structure cannot be read.
+ */
+function readImportFile(filename, text) {
+	if (filename.toLowerCase().endsWith('.json')) {
+		const parsed = JSON.parse(text);
+		const entries = Array.isArray(parsed) ? parsed : parsed && parsed.events;
+		if (!Array.isArray(entries)) throw new Error('The JSON file has no list of events.');
+		return entries.map((entry, index) => ({
+			rowNumber: index + 1,
+			id: entry && entry.id ? String(entry.id) : '',
+			date: entry ? String(entry.date ?? entry.dosageTime ?? '') : '',
+			amount: entry ? String(entry.amount ?? entry.value ?? entry.dosageAmount ?? '') : '',
+			override: entry && entry.override ? String(entry.override).trim() : '',
+			medication: entry && entry.medication ? String(entry.medication).trim() : '',
+		}));
+	}
+
+	const [header, ...rows] = parseCsv(text);
+	if (!header) throw new Error('The CSV file is empty.');
+	const columns = header.map((name) => name.trim().toLowerCase());
+	const findColumn = (...names) => columns.findIndex((name) => names.includes(name));
+	const dateColumn = findColumn('date', 'time', 'dosage time');
+	const amountColumn = findColumn('amount', 'value', 'dosage amount');
+	const idColumn = findColumn('id');
+	const overrideColumn = findColumn('override');
+	const medicationColumn = findColumn('medication');
+	if (dateColumn === -1 || amountColumn === -1) {
+		throw new Error('The CSV header must name a "Date" and an "Amount" column.');
+	}
+	return rows.map((row, index) => ({
+		rowNumber: index + 1,
+		id: idColumn === -1 ? '' : (row[idColumn] || '').trim(),
+		date: (row[dateColumn] || '').trim(),
+		amount: (row[amountColumn] || '').trim(),
+		override: overrideColumn === -1 ? '' : (row[overrideColumn] || '').trim(),
+		medication: medicationColumn === -1 ? '' : (row[medicationColumn] || '').trim(),
+	}));
+}
+
+/**
+ * Validates imported entries. Dates without an offset are read in the configured time zone,
+ * and entries without a medication belong to the selected one. An entry is a duplicate if its
+ * ID is already known, or if an existing or earlier imported entry of the same medication has
+ * the same amount in the same minute. Valid entries are also checked against their
+ * medication's safety limits, together with its existing and earlier imported entries that
+ * will be imported; breaking one is a warning that an override reason can clear, not an error.
+ * An entry over a limit without a reason is skipped, so it does not count against later ones.
+ * @param {Array<{rowNumber: number, id: string, date: string, amount: string, override: string, medication: string}>} rawRows
+ * @param {string} [overrideReason] - Reason entered for rows over a safety limit.
+ * @returns {Array<{rowNumber: number, id: string, date: string, amount: string, override: string, medication: string, medicationId: string, dateDT: luxon.DateTime, value: number, error: string|null, limitViolations: string[]}>}
+ */
+function validateImportRows(rawRows, overrideReason = '') {
+	const existingEvents = getMergedEvents();
+	const medications = getActiveMedications();
+	const selectedId = getSelectedMedication().id;
+	const limitsByMedication = new Map();
+	const checkedEvents = existingEvents.filter((event) => !event.pendingRemoval);
+	const knownIds = new Set(existingEvents.map((event) => event.id).filter(Boolean));
+	const minuteKey = (dateTime, value, medicationId) =>
+		`${dateTime.startOf('minute').toMillis()}|${value}|${medicationId}`;
+	const knownEntries = new Set(
+		existingEvents.map((event) =>
+			minuteKey(luxon.DateTime.fromISO(event.dosageTime), event.dosageAmount, medicationOf(event))
+		)
+	);
+
+	return rawRows.map((raw) => {
+		let dateDT = luxon.DateTime.fromISO(raw.date, { zone: timeZone });
+		if (!dateDT.isValid) dateDT = luxon.DateTime.fromSQL(raw.date, { zone: timeZone });
+		const value = parseFloat(raw.amount);
+		const medicationId = raw.medication || selectedId;
+
+		let error = null;
+		if (!dateDT.isValid) error = `Invalid date '${raw.date}'.`;
+		else if (isNaN(value) || value <= 0) error = `Amount '${raw.amount}' is not a positive number.`;
+		else if (raw.id && !isValidEventId(raw.id)) error = `Invalid ID '${raw.id}'.`;
+		else if (!medications.some((medication) => medication.id === medicationId)) {
+			error = `Unknown medication '${medicationId}'.`;
+		} else if (raw.id && knownIds.has(raw.id)) error = 'Duplicate: this ID already exists.';
+		else if (knownEntries.has(minuteKey(dateDT, value, medicationId))) {
+			error = 'Duplicate: the same amount is already logged in this minute.';
+		}
+
+		let limitViolations = [];
+		if (!error) {
+			if (raw.id) knownIds.add(raw.id);
+			knownEntries.add(minuteKey(dateDT, value, medicationId));
+			if (!limitsByMedication.has(medicationId)) {
+				limitsByMedication.set(medicationId, loadSafetyLimits(medicationId));
+			}
+			limitViolations = checkSafetyLimits(
+				dateDT,
+				value,
+				forMedication(checkedEvents, medicationId),
+				limitsByMedication.get(medicationId)
+			);
+			if (limitViolations.length === 0 || raw.override || overrideReason) {
+				checkedEvents.push({ dosageAmount: value, dosageTime: dateDT.toISO(), medicationId });
+			}
+		}
+		return { ...raw, medicationId, dateDT, value, error, limitViolations };
+	});
+}
+
+let importRows = [];
+
+async function importFileSelectedHandler() {
+	const file = importFileInput && importFileInput.files[0];
+	if (!file) return;
+	try {
+		importRows = validateImportRows(readImportFile(file.name, await file.text()));
+	} catch (error) {
+		console.error('Error reading import file:', error);
+		alert(`Could not read ${file.name}: ${error.message}`);
+		importRows = [];
+	}
+	renderImportPreview();
+}
+
+/**
+ * Shows the rows of the selected file, with rejected rows highlighted, and the import button.
+ */
+function renderImportPreview() {
+	if (!importPreviewContainer) return;
+	importPreviewContainer.innerHTML = '';
+	if (importRows.length === 0) return;
+
+	const summary = document.createElement('div');
+	summary.className = 'sync-note';
+	importPreviewContainer.appendChild(summary);
+
+	// Rows over a safety limit are only imported with a reason, from the file or entered here.
+	const needsReason = importRows.some(
+		(row) => !row.error && row.limitViolations.length > 0 && !row.override
+	);
+	const reasonInput = document.createElement('input');
+	reasonInput.type = 'text';
+	reasonInput.id = 'importOverrideReason';
+	reasonInput.placeholder = 'Reason for importing rows over a safety limit';
+	if (needsReason) {
+		const reasonLabel = document.createElement('label');
+		reasonLabel.htmlFor = reasonInput.id;
+		reasonLabel.textContent = 'Override reason:';
+		importPreviewContainer.appendChild(reasonLabel);
+		importPreviewContainer.appendChild(reasonInput);
+	}
+
+	const table = document.createElement('table');
+	table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Row</th>
+                    <th>Date</th>
+                    <th>Amount</th>
+                    <th>Medication</th>
+                    <th>Status</th>
+                </tr>
+            </thead>
+            <tbody></tbody>`;
+	const tbody = table.querySelector('tbody');
+	const medicationNames = new Map(getActiveMedications().map((m) => [m.id, m.name]));
+	importPreviewContainer.appendChild(table);
+
+	const importButton = document.createElement('input');
+	importButton.type = 'button';
+	importButton.onclick = () => commitImportHandler(reasonInput.value.trim());
+	importPreviewContainer.appendChild(importButton);
+
+	// The rows a reason lets through count against the limits of later rows, so the table and
+	// the count are redrawn from the validation the import will use whenever the reason changes.
+	const renderRows = () => {
+		const overrideReason = reasonInput.value.trim();
+		const rows = validateImportRows(importRows, overrideReason);
+		tbody.innerHTML = '';
+		rows.forEach((row) => {
+			const tableRow = tbody.insertRow();
+			if (row.error) tableRow.className = 'import-error';
+			else if (row.limitViolations.length > 0) tableRow.className = 'import-warning';
+			tableRow.insertCell().textContent = row.rowNumber;
+			tableRow.insertCell().textContent = row.dateDT.isValid
+				? formatDateTime(row.dateDT)
+				: row.date;
+			tableRow.insertCell().textContent = row.amount;
+			tableRow.insertCell().textContent = medicationNames.get(row.medicationId) || row.medicationId;
+			let status = row.error || 'OK';
+			if (!row.error && row.limitViolations.length > 0) {
+				const override = row.override || overrideReason;
+				status = override
+					? `Override: ${override}`
+					: `Needs an override reason: ${row.limitViolations.join(' ')}`;
+			}
+			tableRow.insertCell().textContent = status;
+		});
+
+		const acceptedCount = acceptImportRows(rows, overrideReason).length;
+		summary.textContent = `${acceptedCount} of ${importRows.length} rows will be imported.`;
+		importButton.value = `Import ${acceptedCount} rows`;
+		importButton.disabled = acceptedCount === 0;
+	};
+	reasonInput.addEventListener('input', renderRows);
+	renderRows();
+
+	const cancelButton = document.createElement('input');
+	cancelButton.type = 'button';
+	cancelButton.value = 'Cancel';
+	cancelButton.className = 'remove-button';
+	cancelButton.onclick = clearImport;
+	importPreviewContainer.appendChild(cancelButton);
+}
+
+function clearImport() {
+	importRows = [];
+	if (importFileInput) importFileInput.value = '';
+	renderImportPreview();
+}
+
+/**
+ * The rows of the previewed file that will be imported, with the override reason each carries.
+ * They are validated again, since the rows a reason lets through count against the limits of
+ * later ones.
+ * @param {string} overrideReason - Reason entered for rows over a safety limit; without one they are skipped.
+ * @returns {Array<object>} Rows as validateImportRows returns them.
+ */
+const getImportableRows = (overrideReason) =>
+	acceptImportRows(validateImportRows(importRows, overrideReason), overrideReason);
+
+/**
+ * Picks the validated rows that will be imported and gives each the override reason it carries.
+ * @param {Array<object>} rows - Rows validated by validateImportRows with overrideReason.
+ * @param {string} overrideReason - See getImportableRows.
+ * @returns {Array<object>}
+ */
+const acceptImportRows = (rows, overrideReason) =>
+	rows
+		.filter((row) => !row.error)
+		.filter((row) => row.limitViolations.length === 0 || row.override || overrideReason)
+		.map((row) => ({
+			...row,
+			override: row.override || (row.limitViolations.length > 0 ? overrideReason : ''),
+		}));
+
+/**
+ * Sends the accepted rows to the backend with 'bulkAdd', IMPORT_CHUNK_SIZE rows per request.
+ * @param {string} overrideReason - See getImportableRows.
+ */
+async function commitImportHandler(overrideReason = '') {
+	const rows = getImportableRows(overrideReason).map((row) => {
+		const entry = {
+			id: row.id || generateEventId(),
+			date: row.dateDT.toISO(),
+			floatValue: row.value.toString(),
+			medication: row.medicationId,
+		};
+		if (row.override) entry.override = row.override;
+		return entry;
+	});
+
+	setOverlayVisibility(true);
+	let imported = 0;
+	try {
+		for (let i = 0; i < rows.length; i += IMPORT_CHUNK_SIZE) {
+			const chunk = rows.slice(i, i + IMPORT_CHUNK_SIZE);
+			const result = await submitOrQueue('bulkAdd', { rows: JSON.stringify(chunk) });
+			if (!result.success) {
+				alert(
+					`Import stopped after ${imported} rows: ${
+						result.error || 'Unknown error from storage backend'
+					}`
+				);
+				break;
+			}
+			if (!result.queued) {
+				applyConfirmedOp({ action: 'bulkAdd', params: { rows: JSON.stringify(chunk) } });
+			}
+			imported += chunk.length;
+		}
+	} catch (error) {
+		console.error('Error in commitImportHandler:', error);
+		alert('An unexpected error occurred while importing.');
+	} finally {
+		setOverlayVisibility(false);
+	}
+
+	if (imported === rows.length) clearImport();
+	refreshEventsView();
+}
+
+// --- Event Handlers ---
+function handleInputChange(storageKey) {
+	const element = $(storageKey);
+	if (element) {
+		if (MEDICATION_INPUT_KEYS.includes(storageKey)) {
+			// Saved to the medication once the edit is done, see saveMedicationInputsHandler.
+			updateRateDisplay();
+			return;
+		}
+		saveToLocalStorage(medicationSettingKey(storageKey), element.value);
+		if (
+			CONCENTRATION_INPUT_KEYS.includes(storageKey) ||
+			SAFETY_LIMIT_KEYS.includes(storageKey) ||
+			storageKey === REFILL_WARNING_DAYS_KEY
+		) {
+			refreshEventsView();
+		}
+	}
+}
+
+/**
+ * Shows another profile with its own medications, events, regimens and settings. The lists of
+ * the profile shown so far stay on the dashboard.
+ * @param {string} profileId
+ */
+async function selectProfile(profileId) {
+	if (profileId === selectedProfileId) return;
+	dashboardData[selectedProfileId] = {
+		events: getActiveEvents(),
+		regimens: getActiveRegimens(),
+		medications: getActiveMedications(),
+	};
+	setSelectedProfile(profileId);
+	renderMedicationInputs();
+	refreshEventsView();
+
+	hideUndoToast();
+	if (deletedEntriesContainer && !deletedEntriesContainer.hidden) {
+		deletedEntriesContainer.textContent = 'Loading...';
+		loadDeletedEntries();
+	}
+	if (await loadDataFromBackend({ silentOffline: true })) {
+		renderMedicationInputs();
+		refreshEventsView();
+	}
 }
 
-function calculatePlotData(events) {
-	const sortedEvents = [...events]
-		.map((event) => {
-			const eventTimeDT = luxon.DateTime.fromISO(event.dosageTime).setZone(timeZone);
-			const dosageAmount = parseFloat(event.dosageAmount);
-			if (!eventTimeDT.isValid || isNaN(dosageAmount) || dosageAmount < 0) {
-				console.warn('Skipping invalid event in calculatePlotData:', event);
-				return null;
-			}
-			return { ...event, eventTimeDT, dosageAmount };
-		})
-		.filter((event) => event !== null)
-		.sort((a, b) => a.eventTimeDT.toMillis() - b.eventTimeDT.toMillis());
+/**
+ * Sends a profile to the backend, adding it with empty lists or renaming it.
+ * @param {{id: string, name: string}} profile
+ * @returns {Promise<boolean>} Whether it was saved or queued.
+ */
+async function saveProfile({ id, name }) {
+	const params = { id, name };
+	setOverlayVisibility(true);
+	try {
+		const result = await submitOrQueue('saveProfile', params);
+		if (!result.success) {
+			console.error('Failed to save profile:', result);
+			alert(`Failed to save profile: ${result.error || 'Unknown error from storage backend'}`);
+			return false;
+		}
+		if (!result.queued) applyConfirmedOp({ action: 'saveProfile', params });
+		refreshEventsView();
+		return true;
+	} catch (error) {
+		console.error('Error in saveProfile:', error);
+		alert('An unexpected error occurred while saving the profile.');
+		return false;
+	} finally {
+		setOverlayVisibility(false);
+	}
+}
+
+async function addProfileHandler() {
+	const name = prompt('Name of the new profile (e.g. the patient):');
+	if (name === null) return;
+	if (!name.trim()) {
+		alert('Please enter a name for the profile.');
+		return;
+	}
+	const profile = { id: generateEventId(), name: name.trim() };
+	if (await saveProfile(profile)) await selectProfile(profile.id);
+}
 
-	if (sortedEvents.length === 0) {
-		console.warn('No valid events remaining after filtering in calculatePlotData.');
-		return { labels: [], neededDataPoints: [] };
+async function renameProfileHandler() {
+	const profile = getSelectedProfile();
+	const name = prompt('New name of the profile:', profile.name);
+	if (name === null || name.trim() === profile.name) return;
+	if (!name.trim()) {
+		alert('Please enter a name for the profile.');
+		return;
 	}
+	await saveProfile({ id: profile.id, name: name.trim() });
+}
 
-	const labels = [];
-	const neededDataPoints = [];
-	let cumulativeDosageTaken = 0;
-	const firstEventTimeDT = sortedEvents[0].eventTimeDT;
+/**
+ * Shows another medication's events, regimens, statistics and settings.
+ * @param {string} medicationId
+ */
+function selectMedication(medicationId) {
+	selectedMedicationId = medicationId;
+	saveToLocalStorage(profileSettingKey(SELECTED_MEDICATION_KEY), medicationId);
+	renderMedicationInputs();
+	refreshEventsView();
+}
 
-	// This point represents the "need" leading up to the first dose.
-	// It projects backwards from the first dose time based on how long that dose *should* last.
-	const initialDeficitHours = sortedEvents[0].dosageAmount / currentRate;
-	const projectedStartTimeDT = firstEventTimeDT.minus({ hours: initialDeficitHours });
+/**
+ * Sends a medication to the backend, adding it or replacing the saved one.
+ * @param {{id: string, name: string, pills: number, hours: number, step: number}} medication
+ * @returns {Promise<boolean>} Whether it was saved or queued.
+ */
+async function saveMedication({ id, name, pills, hours, step }) {
+	const params = {
+		id,
+		name,
+		pills: pills.toString(),
+		hours: hours.toString(),
+		step: step.toString(),
+	};
+	setOverlayVisibility(true);
+	try {
+		const result = await submitOrQueue('saveMedication', params);
+		if (!result.success) {
+			console.error('Failed to save medication:', result);
+			alert(`Failed to save medication: ${result.error || 'Unknown error from storage backend'}`);
+			return false;
+		}
+		if (!result.queued) applyConfirmedOp({ action: 'saveMedication', params });
+		refreshEventsView();
+		return true;
+	} catch (error) {
+		console.error('Error in saveMedication:', error);
+		alert('An unexpected error occurred while saving the medication.');
+		return false;
+	} finally {
+		setOverlayVisibility(false);
+	}
+}
 
-	labels.push(projectedStartTimeDT);
-	neededDataPoints.push(0); // At the projected start, the "needed" amount is zero relative to this projection.
+/**
+ * Saves the rate and dose step inputs to the selected medication. With a read-only token the
+ * inputs only preview other rates.
+ */
+async function saveMedicationInputsHandler() {
+	const pills = parseFloat(pillsElement.value);
+	const hours = parseFloat(hourElement.value);
+	const step = parseFloat(doseStepElement.value);
+	if ([pills, hours, step].some((value) => isNaN(value) || value <= 0)) {
+		alert('Please enter a positive number of pills, hours and a positive dose step.');
+		return;
+	}
+	if (backendAccess === 'read') return;
+	await saveMedication({ ...getSelectedMedication(), pills, hours, step });
+}
 
-	// Point just before the first dose, reflecting the accumulated need up to that dose.
-	const timeBeforeFirstDoseDT = firstEventTimeDT.minus({ milliseconds: 1 });
-	const hoursToFirstDoseFromProjectedStart = calculateHoursBetween(
-		projectedStartTimeDT,
-		firstEventTimeDT
-	);
-	const idealIntakeBeforeFirstDose = currentRate * hoursToFirstDoseFromProjectedStart;
+async function addMedicationHandler() {
+	const name = prompt('Name of the new medication:');
+	if (name === null) return;
+	if (!name.trim()) {
+		alert('Please enter a name for the medication.');
+		return;
+	}
+	const medication = {
+		id: generateEventId(),
+		name: name.trim(),
+		...getDefaultRate(),
+		step: DEFAULT_DOSE_STEP,
+	};
+	if (await saveMedication(medication)) selectMedication(medication.id);
+}
 
-	labels.push(timeBeforeFirstDoseDT);
-	neededDataPoints.push(idealIntakeBeforeFirstDose); // No dosage taken yet, so needed is the ideal.
+async function renameMedicationHandler() {
+	const medication = getSelectedMedication();
+	const name = prompt('New name of the medication:', medication.name);
+	if (name === null || name.trim() === medication.name) return;
+	if (!name.trim()) {
+		alert('Please enter a name for the medication.');
+		return;
+	}
+	await saveMedication({ ...medication, name: name.trim() });
+}
 
-	sortedEvents.forEach((event, _) => {
-		const { eventTimeDT, dosageAmount } = event;
+/**
+ * Removes the selected medication. Like the backend, this refuses while entries or regimens
+ * still belong to it.
+ */
+async function removeMedicationHandler() {
+	const medication = getSelectedMedication();
+	if (getActiveMedications().length === 1) {
+		alert('The only medication cannot be removed.');
+		return;
+	}
+	if (
+		forMedication(getActiveEvents(), medication.id).length > 0 ||
+		forMedication(getActiveRegimens(), medication.id).length > 0 ||
+		forMedication(getActiveRefills(), medication.id).length > 0
+	) {
+		alert(`${medication.name} still has entries, regimens or refills. Remove those first.`);
+		return;
+	}
+	if (!confirm(`Remove the medication ${medication.name}?`)) return;
 
-		// Calculate ideal total intake from the *projected start time* to the current event time.
-		const hoursFromProjectedStart = calculateHoursBetween(projectedStartTimeDT, eventTimeDT);
-		const idealTotalIntakeByEventTime = currentRate * hoursFromProjectedStart;
+	if (!medicationsData.some((m) => m.id === medication.id)) {
+		// The medication never reached the backend, so dropping its queued saves is enough.
+		pendingOps
+			.filter((op) => op.action === 'saveMedication' && op.params.id === medication.id)
+			.forEach((op) => discardPendingOp(op.opId));
+		selectMedication(getSelectedMedication().id);
+		return;
+	}
 
-		// Point just before this dose (if not the first event, or if there's a time gap)
-		// This represents the state *before* the current dose is administered.
-		if (labels.length > 0 && !eventTimeDT.equals(labels[labels.length - 1])) {
-			labels.push(eventTimeDT.minus({ milliseconds: 1 }));
-			neededDataPoints.push(idealTotalIntakeByEventTime - cumulativeDosageTaken);
-		} else if (labels.length > 0 && eventTimeDT.equals(labels[labels.length - 1])) {
-			neededDataPoints[neededDataPoints.length - 1] =
-				idealTotalIntakeByEventTime - cumulativeDosageTaken;
+	setOverlayVisibility(true);
+	try {
+		const result = await submitOrQueue('removeMedication', { id: medication.id });
+		if (result.success && (result.queued || result.removed)) {
+			if (!result.queued)
+				applyConfirmedOp({ action: 'removeMedication', params: { id: medication.id } });
+			selectMedication(getSelectedMedication().id);
+		} else {
+			console.error('Failed to remove medication:', result);
+			alert(
+				`Failed to remove medication: ${
+					result.error || result.message || 'Unknown error from storage backend'
+				}`
+			);
 		}
+	} catch (error) {
+		console.error('Error in removeMedicationHandler:', error);
+		alert('An unexpected error occurred while removing the medication.');
+	} finally {
+		setOverlayVisibility(false);
+	}
+}
 
-		cumulativeDosageTaken += dosageAmount;
-
-		labels.push(eventTimeDT);
-		neededDataPoints.push(idealTotalIntakeByEventTime - cumulativeDosageTaken);
-	});
+/**
+ * Opens the settings and puts the saved ones into effect. A different storage backend reloads
+ * the app, since everything loaded belongs to the previous one.
+ */
+async function openSettingsHandler() {
+	const previous = loadStorageBackendConfig() || {};
+	const wasSharing = isSettingsSyncEnabled();
+	const settings = await showSettingsDialog();
+	if (!settings) return;
 
-	const nowDT = getLocalNow().setZone(timeZone);
-	if (!nowDT.isValid) {
-		console.error('Current time (nowDT) is invalid in calculatePlotData.');
-		return { labels: labels, neededDataPoints: neededDataPoints };
+	const backendChanged = ['type', 'sheetId', 'url'].some(
+		(key) => settings.config[key] !== previous[key]
+	);
+	if (
+		backendChanged &&
+		pendingOps.length > 0 &&
+		!confirm(
+			`${pendingOps.length} change(s) have not been saved to the current storage yet. They will be sent to the new one instead. Continue?`
+		)
+	) {
+		return;
+	}
+	const changed = storeSettings(settings);
+	if (backendChanged) {
+		location.reload();
+		return;
 	}
 
-	if (labels.length === 0 || nowDT > labels[labels.length - 1]) {
-		const hoursFromProjectedStartToNow = calculateHoursBetween(projectedStartTimeDT, nowDT);
-		const idealTotalIntakeByNow = currentRate * hoursFromProjectedStartToNow;
+	if (settings.config.token !== previous.token) {
+		storageBackend = createStorageBackend(settings.config);
+		await loadDataFromBackend();
+	}
+	applySettings();
+	if (changed) await pushSharedSettings();
+	else if (settings.sync && !wasSharing) await pullSharedSettings();
+}
 
-		labels.push(nowDT);
-		neededDataPoints.push(idealTotalIntakeByNow - cumulativeDosageTaken);
-	} else if (labels.length > 0 && nowDT.equals(labels[labels.length - 1])) {
-		const hoursFromProjectedStartToNow = calculateHoursBetween(projectedStartTimeDT, nowDT);
-		const idealTotalIntakeByNow = currentRate * hoursFromProjectedStartToNow;
-		neededDataPoints[neededDataPoints.length - 1] = idealTotalIntakeByNow - cumulativeDosageTaken;
+/**
+ * Checks the storage backend entered in the settings by calling its 'ensureHeaders' action,
+ * which also repairs the headers of a Google Sheet, and shows the outcome next to the button.
+ */
+async function testConnectionHandler() {
+	const resultElement = $('settingsTestResult');
+	let backend;
+	try {
+		backend = createStorageBackend(readBackendForm($('settingsDialog').querySelector('form')));
+	} catch (error) {
+		resultElement.textContent = error.message;
+		return;
 	}
 
-	return { labels: labels, neededDataPoints: neededDataPoints };
+	resultElement.textContent = 'Testing...';
+	try {
+		const result = await backend.call('ensureHeaders');
+		if (!result.success) {
+			resultElement.textContent = `Failed: ${result.error || 'Unknown error from storage backend'}`;
+		} else {
+			const accessNote = result.access === 'read' ? ' (read-only access)' : '';
+			resultElement.textContent = `Connected${accessNote}.`;
+		}
+	} catch (error) {
+		resultElement.textContent = `Could not reach the storage backend: ${error.message}`;
+	}
 }
 
-// --- Event Handlers ---
-function handleInputChange(storageKey) {
-	const element = $(storageKey);
-	if (element) {
-		saveToLocalStorage(storageKey, element.value);
-		if (storageKey === PILLS_KEY || storageKey === HOUR_KEY) {
-			updateRateDisplay();
-		}
+/**
+ * Checks a dosage amount and time entered by the user.
+ * @param {number} amount
+ * @param {luxon.DateTime} eventTimeDT
+ * @returns {string | null} An error message to show, or null if both are valid.
+ */
+function validateDosageInput(amount, eventTimeDT) {
+	if (isNaN(amount) || amount <= 0) {
+		return 'Please enter a valid positive dosage amount.';
+	}
+	if (!eventTimeDT || !eventTimeDT.isValid) {
+		return `Invalid date/time selected: ${
+			eventTimeDT ? eventTimeDT.invalidReason : 'Could not parse'
+		}. Please use YYYY-MM-DDTHH:MM format.`;
 	}
+	return null;
 }
 
 async function addNewEventHandler(quickAmount) {
@@ -560,40 +4551,46 @@ async function addNewEventHandler(quickAmount) {
 		eventTimeDT = luxon.DateTime.fromISO(timeValue, { zone: timeZone });
 	}
 
-	if (isNaN(amount) || amount <= 0) {
-		alert('Please enter a valid positive dosage amount.');
+	const validationError = validateDosageInput(amount, eventTimeDT);
+	if (validationError) {
+		alert(validationError);
 		return;
 	}
-	if (!eventTimeDT || !eventTimeDT.isValid) {
-		alert(
-			`Invalid date/time selected: ${
-				eventTimeDT ? eventTimeDT.invalidReason : 'Could not parse'
-			}. Please use YYYY-MM-DDTHH:MM format.`
-		);
-		return;
+
+	const medicationId = getSelectedMedication().id;
+	const violations = checkSafetyLimits(
+		eventTimeDT,
+		amount,
+		forMedication(getActiveEvents(), medicationId),
+		loadSafetyLimits(medicationId)
+	);
+	let overrideReason;
+	if (violations.length > 0) {
+		overrideReason = requestSafetyOverride(violations);
+		if (!overrideReason) return;
 	}
 
 	setOverlayVisibility(true);
 	try {
-		const result = await addEventToSheet(eventTimeDT, amount);
+		const result = await addEventToBackend(eventTimeDT, amount, medicationId, overrideReason);
 		if (result.success) {
-			const newEvent = { dosageAmount: amount, dosageTime: eventTimeDT.toISO() };
-			eventsData.push(newEvent);
-			eventsData.sort(
-				(a, b) =>
-					luxon.DateTime.fromISO(a.dosageTime).toMillis() -
-					luxon.DateTime.fromISO(b.dosageTime).toMillis()
-			);
-
-			populateEventRow(amount, eventTimeDT.toISO());
-			updateStatisticsDisplay(eventsData);
-			plotDosageGraph(eventsData);
+			if (!result.queued) {
+				eventsData.push({
+					id: result.id,
+					dosageAmount: amount,
+					dosageTime: eventTimeDT.toISO(),
+					overrideReason,
+					medicationId,
+				});
+				sortEventsByTime(eventsData);
+			}
+			refreshEventsView();
 
 			if (!quickAmount && dosageAmountInput) {
 				dosageAmountInput.value = '';
 			}
 		} else {
-			alert(`Failed to add event: ${result.error || 'Unknown error from sheet API'}`);
+			alert(`Failed to add event: ${result.error || 'Unknown error from storage backend'}`);
 		}
 	} catch (error) {
 		console.error('Error in addNewEventHandler:', error);
@@ -604,56 +4601,372 @@ async function addNewEventHandler(quickAmount) {
 }
 
 async function removeDosageEntryHandler(buttonElement) {
-	if (!confirm('Are you sure you want to remove this entry?')) return;
-
 	const row = buttonElement.closest('tr');
 	if (!row) {
 		alert('Could not find table row.');
 		return;
 	}
-	const timeCell = row.cells[1];
-	const rawTimeISO = timeCell?.dataset.rawTime;
-
-	if (!rawTimeISO) {
-		alert('Error: Could not identify the entry to remove (missing time data).');
+	if (row.dataset.opId) {
+		// The entry never reached the backend, so dropping its queued add or restore is enough.
+		if (!confirm('Are you sure you want to remove this entry?')) return;
+		discardPendingOp(row.dataset.opId);
+		refreshEventsView();
 		return;
 	}
 
-	const dosageTimeToRemoveDT = luxon.DateTime.fromISO(rawTimeISO, { zone: timeZone });
-	if (!dosageTimeToRemoveDT.isValid) {
-		alert('Error: Stored time for removal is invalid.');
+	const eventId = row.dataset.eventId;
+	const rawTimeISO = row.cells[1]?.dataset.rawTime;
+	// Backends that predate IDs may return events without one; those fall back to the time.
+	const eventToRemove = eventId
+		? eventsData.find((event) => event.id === eventId)
+		: eventsData.find((event) => !event.id && event.dosageTime === rawTimeISO);
+
+	if (!eventToRemove) {
+		alert('Error: Could not identify the entry to remove.');
 		return;
 	}
+	// Removed entries can be restored, so instead of a plain confirmation this asks why.
+	const reason = prompt('Remove this entry? Optionally give a reason:', '');
+	if (reason === null) return;
 
 	setOverlayVisibility(true);
 	try {
-		const result = await removeEventFromSheet(dosageTimeToRemoveDT);
-		if (result.success && result.removed) {
+		const result = await removeEventFromBackend(eventToRemove, reason.trim());
+		if (result.queued) {
+			refreshEventsView();
+			offerUndoRemoval(eventToRemove, result.opId);
+		} else if (result.success && result.removed) {
 			console.log('Event removed successfully:', result);
-			row.remove();
-			eventsData = eventsData.filter(
-				(event) =>
-					luxon.DateTime.fromISO(event.dosageTime).toMillis() !== dosageTimeToRemoveDT.toMillis()
+			eventsData = eventsData.filter((event) => event !== eventToRemove);
+			refreshEventsView();
+			offerUndoRemoval(eventToRemove);
+			loadDeletedEntries();
+		} else {
+			console.error('Failed to remove event:', result, 'eventToRemove', eventToRemove);
+			alert(`Failed to remove event: ${result.error || 'Unknown error from storage backend'}`);
+		}
+	} catch (error) {
+		console.error('Error in removeDosageEntryHandler:', error);
+		alert('An unexpected error occurred while removing the event.');
+	} finally {
+		setOverlayVisibility(false);
+	}
+}
+
+/**
+ * Shows or hides the list of deleted entries, loading it when shown.
+ */
+async function toggleDeletedEntriesHandler() {
+	if (!deletedEntriesContainer) return;
+	deletedEntriesContainer.hidden = !deletedEntriesContainer.hidden;
+	if (deletedEntriesToggle) {
+		deletedEntriesToggle.value = deletedEntriesContainer.hidden
+			? 'Show deleted entries'
+			: 'Hide deleted entries';
+	}
+	if (!deletedEntriesContainer.hidden) {
+		deletedEntriesContainer.textContent = 'Loading...';
+		await loadDeletedEntries();
+	}
+}
+
+/**
+ * @param {object} event - A deleted entry, as listed by renderDeletedEntries.
+ */
+async function restoreDeletedEntryHandler(event) {
+	if (await restoreEntry(event)) await loadDeletedEntries();
+}
+
+/**
+ * Widens the display window by DISPLAY_WINDOW_DAYS, or further if that would not reach the
+ * newest entry it leaves out.
+ * @param {{dosageTime: string}} newestOlder - The newest entry before the display window.
+ */
+function showOlderEntriesHandler(newestOlder) {
+	const daysBack = getLocalNow().diff(luxon.DateTime.fromISO(newestOlder.dosageTime), 'days').days;
+	displayWindowDays = Math.max(displayWindowDays + DISPLAY_WINDOW_DAYS, Math.ceil(daysBack));
+	refreshEventsView();
+}
+
+/**
+ * Turns an events table row into inline inputs for amount and time, with Save and Cancel.
+ * @param {HTMLInputElement} buttonElement - The row's Edit button.
+ */
+function editDosageEntryHandler(buttonElement) {
+	const row = buttonElement.closest('tr');
+	const event = row && getMergedEvents().find((e) => e.id && e.id === row.dataset.eventId);
+	if (!event) {
+		alert('Error: Could not identify the entry to edit.');
+		return;
+	}
+
+	const [amountCell, timeCell, actionCell] = row.cells;
+	const originalTimeValue = luxon.DateTime.fromISO(event.dosageTime)
+		.setZone(timeZone)
+		.toFormat("yyyy-MM-dd'T'HH:mm");
+
+	const amountInput = document.createElement('input');
+	amountInput.type = 'number';
+	amountInput.step = '0.1';
+	amountInput.value = event.dosageAmount;
+	amountCell.replaceChildren(amountInput);
+
+	const timeInput = document.createElement('input');
+	timeInput.type = 'datetime-local';
+	timeInput.value = originalTimeValue;
+	timeCell.replaceChildren(timeInput);
+
+	const saveButton = document.createElement('input');
+	saveButton.type = 'button';
+	saveButton.value = 'Save';
+	saveButton.onclick = () =>
+		saveDosageEntryEdit(event, amountInput.value, timeInput.value, originalTimeValue);
+
+	const cancelButton = document.createElement('input');
+	cancelButton.type = 'button';
+	cancelButton.value = 'Cancel';
+	cancelButton.className = 'remove-button';
+	cancelButton.onclick = () => refreshEventsView();
+
+	actionCell.replaceChildren(saveButton, cancelButton);
+	amountInput.focus();
+}
+
+/**
+ * Validates and saves an inline edit. Only fields that changed are sent, so an unchanged
+ * time keeps its original seconds.
+ * @param {object} event - The merged event being edited.
+ * @param {string} amountValue - The amount input's value.
+ * @param {string} timeValue - The datetime-local input's value.
+ * @param {string} originalTimeValue - The value the time input started with.
+ */
+async function saveDosageEntryEdit(event, amountValue, timeValue, originalTimeValue) {
+	if (!timeValue) {
+		alert('Please select a valid date and time for the entry.');
+		return;
+	}
+	const amount = parseFloat(amountValue);
+	// Interpret the datetime-local string as being in the application's configured timeZone
+	const eventTimeDT = luxon.DateTime.fromISO(timeValue, { zone: timeZone });
+	const validationError = validateDosageInput(amount, eventTimeDT);
+	if (validationError) {
+		alert(validationError);
+		return;
+	}
+
+	const changes = {};
+	if (amount !== event.dosageAmount) changes.floatValue = amount.toString();
+	if (timeValue !== originalTimeValue) changes.date = eventTimeDT.toISO();
+	if (Object.keys(changes).length === 0) {
+		refreshEventsView();
+		return;
+	}
+
+	if (event.opId) {
+		// The entry has not reached the backend yet, so its queued add is edited instead.
+		const op = pendingOps.find((p) => p.opId === event.opId);
+		if (op) {
+			Object.assign(op.params, changes);
+			savePendingOps();
+		}
+		refreshEventsView();
+		return;
+	}
+
+	setOverlayVisibility(true);
+	try {
+		const result = await updateEventInBackend(event, changes);
+		if (result.queued) {
+			refreshEventsView();
+		} else if (result.success && result.updated) {
+			const target = eventsData.find((e) => e.id === event.id);
+			if (target) applyEventChanges(target, changes);
+			sortEventsByTime(eventsData);
+			refreshEventsView();
+		} else {
+			console.error('Failed to update event:', result, 'event', event);
+			alert(
+				`Failed to update event: ${
+					result.error || result.message || 'Unknown error from storage backend'
+				}`
 			);
-			updateStatisticsDisplay(eventsData);
-			plotDosageGraph(eventsData);
+		}
+	} catch (error) {
+		console.error('Error in saveDosageEntryEdit:', error);
+		alert('An unexpected error occurred while updating the event.');
+	} finally {
+		setOverlayVisibility(false);
+	}
+}
 
-			if (addEventsContainer?.querySelector('tbody')?.children.length === 0) {
-				const table = addEventsContainer.querySelector('table');
-				if (table) table.remove();
-			}
+/**
+ * Saves the rate inputs as a new regimen of the selected medication, effective from the
+ * chosen time (now if empty). Earlier periods keep their own rate.
+ */
+async function saveRegimenHandler() {
+	const pills = parseFloat(pillsElement.value);
+	const hours = parseFloat(hourElement.value);
+	if (isNaN(pills) || pills <= 0 || isNaN(hours) || hours <= 0) {
+		alert('Please enter a positive number of pills and hours.');
+		return;
+	}
+
+	const startValue = regimenStartInput ? regimenStartInput.value : '';
+	// Interpret the datetime-local string as being in the application's configured timeZone
+	const startDT = startValue
+		? luxon.DateTime.fromISO(startValue, { zone: timeZone })
+		: getLocalNow();
+	if (!startDT.isValid) {
+		alert(`Invalid date/time selected: ${startDT.invalidReason}.`);
+		return;
+	}
+
+	const params = {
+		id: generateEventId(),
+		start: startDT.toISO(),
+		pills: pills.toString(),
+		hours: hours.toString(),
+		medication: getSelectedMedication().id,
+	};
+	setOverlayVisibility(true);
+	try {
+		const result = await submitOrQueue('addRegimen', params);
+		if (result.success && !result.queued) {
+			regimensData.push(parseRegimen(params));
+			sortRegimensByStart(regimensData);
+		} else if (!result.success) {
+			console.error('Failed to save regimen:', result);
+			alert(`Failed to save regimen: ${result.error || 'Unknown error from storage backend'}`);
+			return;
+		}
+		if (regimenStartInput) regimenStartInput.value = '';
+		refreshEventsView();
+	} catch (error) {
+		console.error('Error in saveRegimenHandler:', error);
+		alert('An unexpected error occurred while saving the regimen.');
+	} finally {
+		setOverlayVisibility(false);
+	}
+}
+
+/**
+ * @param {HTMLInputElement} buttonElement - The Remove button of a regimen row.
+ */
+async function removeRegimenHandler(buttonElement) {
+	const row = buttonElement.closest('tr');
+	if (!row || !confirm('Remove this regimen? Its period will use the previous rate.')) return;
+
+	if (row.dataset.opId) {
+		discardPendingOp(row.dataset.opId);
+		refreshEventsView();
+		return;
+	}
+
+	setOverlayVisibility(true);
+	try {
+		const id = row.dataset.regimenId;
+		const result = await submitOrQueue('removeRegimen', { id });
+		if (result.queued) {
+			refreshEventsView();
+		} else if (result.success && result.removed) {
+			regimensData = regimensData.filter((regimen) => regimen.id !== id);
+			refreshEventsView();
 		} else {
-			console.error(
-				'Failed to remove event:',
-				result,
-				'dosageTimeToRemoveDT',
-				dosageTimeToRemoveDT
+			console.error('Failed to remove regimen:', result);
+			alert(
+				`Failed to remove regimen: ${
+					result.error || result.message || 'Unknown error from storage backend'
+				}`
 			);
-			alert(`Failed to remove event: ${result.error || 'Unknown error from sheet API'}`);
 		}
 	} catch (error) {
-		console.error('Error in removeDosageEntryHandler:', error);
-		alert('An unexpected error occurred while removing the event.');
+		console.error('Error in removeRegimenHandler:', error);
+		alert('An unexpected error occurred while removing the regimen.');
+	} finally {
+		setOverlayVisibility(false);
+	}
+}
+
+/**
+ * Records a refill of the selected medication: a pill count added, or taken away when negative,
+ * at the time in the refill date field, or now.
+ */
+async function addRefillHandler() {
+	const count = refillCountInput ? parseFloat(refillCountInput.value) : NaN;
+	if (!isFinite(count) || count === 0) {
+		alert('Please enter the number of pills added, or a negative number for pills lost.');
+		return;
+	}
+
+	const dateValue = refillDateInput ? refillDateInput.value : '';
+	// Interpret the datetime-local string as being in the application's configured timeZone
+	const dateDT = dateValue ? luxon.DateTime.fromISO(dateValue, { zone: timeZone }) : getLocalNow();
+	if (!dateDT.isValid) {
+		alert(`Invalid date/time selected: ${dateDT.invalidReason}.`);
+		return;
+	}
+
+	const params = {
+		id: generateEventId(),
+		date: dateDT.toISO(),
+		count: count.toString(),
+		medication: getSelectedMedication().id,
+	};
+	setOverlayVisibility(true);
+	try {
+		const result = await submitOrQueue('addRefill', params);
+		if (result.success && !result.queued) {
+			refillsData.push(parseRefill(params));
+			sortRefillsByDate(refillsData);
+		} else if (!result.success) {
+			console.error('Failed to add refill:', result);
+			alert(`Failed to add refill: ${result.error || 'Unknown error from storage backend'}`);
+			return;
+		}
+		if (refillCountInput) refillCountInput.value = '';
+		if (refillDateInput) refillDateInput.value = '';
+		refreshEventsView();
+	} catch (error) {
+		console.error('Error in addRefillHandler:', error);
+		alert('An unexpected error occurred while adding the refill.');
+	} finally {
+		setOverlayVisibility(false);
+	}
+}
+
+/**
+ * @param {HTMLInputElement} buttonElement - The Remove button of a refill row.
+ */
+async function removeRefillHandler(buttonElement) {
+	const row = buttonElement.closest('tr');
+	if (!row || !confirm('Remove this refill? The pills left will no longer count it.')) return;
+
+	if (row.dataset.opId) {
+		discardPendingOp(row.dataset.opId);
+		refreshEventsView();
+		return;
+	}
+
+	setOverlayVisibility(true);
+	try {
+		const id = row.dataset.refillId;
+		const result = await submitOrQueue('removeRefill', { id });
+		if (result.queued) {
+			refreshEventsView();
+		} else if (result.success && result.removed) {
+			refillsData = refillsData.filter((refill) => refill.id !== id);
+			refreshEventsView();
+		} else {
+			console.error('Failed to remove refill:', result);
+			alert(
+				`Failed to remove refill: ${
+					result.error || result.message || 'Unknown error from storage backend'
+				}`
+			);
+		}
+	} catch (error) {
+		console.error('Error in removeRefillHandler:', error);
+		alert('An unexpected error occurred while removing the refill.');
 	} finally {
 		setOverlayVisibility(false);
 	}
@@ -670,21 +4983,51 @@ function initInputField(element, storageKey, defaultValue) {
 
 // --- Initialization ---
 async function initializeApp() {
+	await initStorageBackend();
 	setOverlayVisibility(true);
 
-	initInputField(pillsElement, PILLS_KEY, DEFAULT_PILLS);
-	initInputField(hourElement, HOUR_KEY, DEFAULT_HOUR);
-	updateRateDisplay();
+	renderMedicationInputs();
 
 	updateTimeDisplay();
 	setInterval(updateTimeDisplay, 60000);
 
-	[PILLS_KEY, HOUR_KEY].forEach((id) => {
+	[...MEDICATION_INPUT_KEYS, ...MEDICATION_SETTING_KEYS].forEach((id) => {
 		const element = $(id);
 		if (element) element.addEventListener('input', () => handleInputChange(id));
 	});
+	MEDICATION_INPUT_KEYS.forEach((id) => {
+		const element = $(id);
+		if (element) element.addEventListener('change', saveMedicationInputsHandler);
+	});
+	if (medicationSelect) {
+		medicationSelect.addEventListener('change', () => selectMedication(medicationSelect.value));
+	}
+	if (profileSelect) {
+		profileSelect.addEventListener('change', () => selectProfile(profileSelect.value));
+	}
 
 	window.addNewEvent = addNewEventHandler;
+	window.saveRegimen = saveRegimenHandler;
+	window.addRefill = addRefillHandler;
+	window.toggleReminders = toggleRemindersHandler;
+	window.applyUpdate = applyUpdateHandler;
+	window.exportHistory = exportHistoryHandler;
+	window.openSettings = openSettingsHandler;
+	window.addMedication = addMedicationHandler;
+	window.renameMedication = renameMedicationHandler;
+	window.removeMedication = removeMedicationHandler;
+	window.addProfile = addProfileHandler;
+	window.renameProfile = renameProfileHandler;
+	window.toggleDeletedEntries = toggleDeletedEntriesHandler;
+	window.showReport = showReportHandler;
+	window.printReport = printReportHandler;
+	window.showPlan = showPlanHandler;
+	window.exportPlan = exportPlanHandler;
+	PLANNER_INPUT_KEYS.forEach((key) => {
+		const element = $(key);
+		if (element) element.addEventListener('change', () => savePlannerInputHandler(key));
+	});
+	if (importFileInput) importFileInput.addEventListener('change', importFileSelectedHandler);
 	window.setTimeOnField = (elementId) => {
 		const element = $(elementId);
 		if (element && element instanceof HTMLInputElement) {
@@ -696,40 +5039,59 @@ async function initializeApp() {
 	};
 	window.triggerRefresh = () => location.reload(true);
 
-	try {
-		const sheetEvents = await getEventsFromSheet();
-		if (sheetEvents.length > 0) {
-			eventsData = sheetEvents
-				.filter(
-					(e) =>
-						e &&
-						typeof e.date !== 'undefined' &&
-						typeof e.value !== 'undefined' &&
-						luxon.DateTime.fromISO(e.date).isValid
-				)
-				.map((e) => ({
-					dosageAmount: parseFloat(e.value),
-					dosageTime: luxon.DateTime.fromISO(e.date).toISO(),
-				}))
-				.sort(
-					(a, b) =>
-						luxon.DateTime.fromISO(a.dosageTime).toMillis() -
-						luxon.DateTime.fromISO(b.dosageTime).toMillis()
-				);
+	initServiceWorker();
+	renderReminderControls();
+	initReportRange();
+	renderPlannerInputs();
 
-			if (addEventsContainer) addEventsContainer.innerHTML = '';
-			eventsData.forEach((event) => {
-				populateEventRow(event.dosageAmount, event.dosageTime);
-			});
+	// Render the cached lists right away; the backend's replace them once they arrive.
+	const cached = loadCachedData();
+	if (cached) {
+		eventsData = cached.events;
+		dataRevision = cached.revision;
+		fullLoadAt = cached.fullLoadAt;
+		regimensData = cached.regimens;
+		refillsData = cached.refills;
+		medicationsData = cached.medications;
+		profilesData = cached.profiles;
+		cachedDataSavedAt = cached.savedAt;
+		setBackendAccess(cached.access);
+		renderMedicationInputs();
+		refreshEventsView();
+		setOverlayVisibility(false);
+	}
+
+	try {
+		// With cached data on screen the load runs in the background; offline is not an error.
+		if (!(await loadDataFromBackend({ background: Boolean(cached), silentOffline: true }))) {
+			console.warn('Could not load data from the storage backend; showing cached data if any.');
 		}
 	} catch (error) {
 		console.error('Error fetching initial data:', error);
 		alert('Could not load initial data. Check console for details.');
 	}
 
-	updateStatisticsDisplay(eventsData);
-	plotDosageGraph(eventsData);
+	renderMedicationInputs();
+	refreshEventsView();
 	setOverlayVisibility(false);
+	loadDashboardData();
+	pullSharedSettings();
+
+	window.addEventListener('online', async () => {
+		if (cachedDataSavedAt !== null) {
+			await loadDataFromBackend({ background: true });
+			renderMedicationInputs();
+			refreshEventsView();
+			loadDashboardData();
+		}
+		await syncPendingOps();
+		checkForRemoteChanges();
+	});
+	window.addEventListener('offline', renderSyncStatus);
+	setInterval(syncPendingOps, SYNC_RETRY_INTERVAL_MS);
+	syncPendingOps();
+	setInterval(checkForRemoteChanges, REMOTE_CHECK_INTERVAL_MS);
+	document.addEventListener('visibilitychange', checkForRemoteChanges);
 }
 
 // --- App Start ---
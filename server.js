@@ -0,0 +1,273 @@
+/**
+ * @fileoverview Self-hostable replacement for the Apps Script web app in app_script.js.
+ * Serves the same action protocol at `/exec` (GET or POST: get, ensureHeaders, getRegimens,
+ * getMedications, getRefills, getProfiles, getDeleted, getRevision, getSettings, stats; POST:
+ * add, bulkAdd, remove, update, restore, addRegimen, removeRegimen, addRefill, removeRefill,
+ * saveMedication, removeMedication, saveProfile, saveSettings), keeps its data in a local JSON
+ * file and also serves the frontend, so the whole app can run on a LAN without a Google account.
+ *
+ * Usage: node server.js [--port 8080] [--host 0.0.0.0] [--data ./pill-doser-data.json]
+ *                       [--write-token <secret>] [--read-token <secret>]
+ * The same options can be given as the PORT, HOST, DATA_FILE, WRITE_TOKEN and READ_TOKEN
+ * environment variables. With a write token set, requests need a `token` parameter just like
+ * the Apps Script web app; without one, anyone who can reach the server has full access.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const LocalStore = require('./local_store.js');
+
+// --- Configuration ---
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = '0.0.0.0';
+const DEFAULT_DATA_FILE = 'pill-doser-data.json';
+const PROTOCOL_PATH = '/exec';
+const MAX_BODY_BYTES = 1024 * 1024;
+const STATIC_ROOT = __dirname;
+// The frontend files, relative to STATIC_ROOT. Nothing else is served, so the server's own
+// source, app_script.js and the data file stay private. Keep in step with APP_SHELL in sw.js.
+const STATIC_FILES = new Set([
+	'index.html',
+	'style.css',
+	'local_store.js',
+	'storage.js',
+	'dosing_engine.js',
+	'script.js',
+	'sw.js',
+	'manifest.webmanifest',
+	'img/favicon.ico',
+	'img/icon-192.png',
+	'img/icon-512.png',
+	'vendor/chart.js/chart.umd.js',
+	'vendor/luxon/luxon.min.js',
+	'vendor/chartjs-adapter-luxon/chartjs-adapter-luxon.umd.min.js',
+]);
+
+const STATIC_CONTENT_TYPES = {
+	'.html': 'text/html; charset=utf-8',
+	'.css': 'text/css; charset=utf-8',
+	'.js': 'text/javascript; charset=utf-8',
+	'.ico': 'image/x-icon',
+	'.png': 'image/png',
+	'.svg': 'image/svg+xml',
+	'.webmanifest': 'application/manifest+json',
+};
+
+/**
+ * Reads `--name value` options, falling back to environment variables and defaults.
+ * @param {string[]} argv The process arguments after the script name.
+ * @returns {{port: number, host: string, dataFile: string, readToken?: string, writeToken?: string}}
+ */
+function parseOptions(argv) {
+	const readOption = (name) => {
+		const index = argv.indexOf(`--${name}`);
+		return index !== -1 ? argv[index + 1] : undefined;
+	};
+	return {
+		port: parseInt(readOption('port') || process.env.PORT || DEFAULT_PORT, 10),
+		host: readOption('host') || process.env.HOST || DEFAULT_HOST,
+		dataFile: path.resolve(readOption('data') || process.env.DATA_FILE || DEFAULT_DATA_FILE),
+		readToken: readOption('read-token') || process.env.READ_TOKEN || undefined,
+		writeToken: readOption('write-token') || process.env.WRITE_TOKEN || undefined,
+	};
+}
+
+// --- Persistence ---
+
+/**
+ * Loads the data document, starting with an empty one if the file does not exist yet.
+ * Documents written by older versions are upgraded and saved back.
+ * @param {string} dataFile
+ * @returns {object} The LocalStore document.
+ */
+function loadDocument(dataFile) {
+	if (!fs.existsSync(dataFile)) {
+		return LocalStore.createDocument();
+	}
+	const doc = {
+		...LocalStore.createDocument(),
+		...JSON.parse(fs.readFileSync(dataFile, 'utf8')),
+	};
+	if (LocalStore.normalizeDocument(doc)) {
+		saveDocument(dataFile, doc);
+	}
+	return doc;
+}
+
+/**
+ * Writes the document through a temporary file so a crash never leaves a truncated file behind.
+ * @param {string} dataFile
+ * @param {object} doc
+ */
+function saveDocument(dataFile, doc) {
+	const tempFile = `${dataFile}.tmp`;
+	fs.writeFileSync(tempFile, JSON.stringify(doc, null, '\t'));
+	fs.renameSync(tempFile, dataFile);
+}
+
+// --- HTTP Helpers ---
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {object} data
+ * @param {number} [status]
+ * @param {object} [headers] Sent in addition to the usual ones.
+ * @param {Function} [callback] Called once the response is sent.
+ */
+function sendJson(res, data, status = 200, headers = {}, callback) {
+	res.writeHead(status, {
+		'Content-Type': 'application/json',
+		'Access-Control-Allow-Origin': '*',
+		...headers,
+	});
+	res.end(JSON.stringify(data), callback);
+}
+
+/**
+ * Reads the request body and parses it the way Apps Script fills `e.parameter`:
+ * form-encoded bodies are merged into the parameters. JSON bodies are accepted as well.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<object>} The body parameters. A body over MAX_BODY_BYTES is rejected with
+ * an error whose `statusCode` is 413, and the rest of it is not buffered.
+ */
+function readBodyParams(req) {
+	return new Promise((resolve, reject) => {
+		let body = '';
+		req.setEncoding('utf8');
+		let tooLarge = false;
+		req.on('data', (chunk) => {
+			if (tooLarge) return;
+			body += chunk;
+			if (body.length > MAX_BODY_BYTES) {
+				tooLarge = true;
+				body = '';
+				reject(Object.assign(new Error('Request body too large.'), { statusCode: 413 }));
+			}
+		});
+		req.on('end', () => {
+			if (tooLarge) return;
+			if (!body) return resolve({});
+			const contentType = req.headers['content-type'] || '';
+			try {
+				resolve(
+					contentType.includes('application/json')
+						? JSON.parse(body)
+						: Object.fromEntries(new URLSearchParams(body))
+				);
+			} catch (error) {
+				reject(new Error(`Could not parse request body: ${error.message}`));
+			}
+		});
+		req.on('error', reject);
+	});
+}
+
+/**
+ * Serves a frontend file listed in STATIC_FILES from the repository directory.
+ * @param {string} pathname The decoded request path.
+ * @param {http.ServerResponse} res
+ */
+function serveStatic(pathname, res) {
+	const relativePath = pathname === '/' ? 'index.html' : pathname.replace(/^\/+/, '');
+	const filePath = path.resolve(STATIC_ROOT, relativePath);
+	const contentType = STATIC_CONTENT_TYPES[path.extname(filePath)];
+
+	if (
+		!STATIC_FILES.has(relativePath) ||
+		!contentType ||
+		!fs.existsSync(filePath) ||
+		!fs.statSync(filePath).isFile()
+	) {
+		res.writeHead(404, { 'Content-Type': 'text/plain' });
+		res.end('Not found');
+		return;
+	}
+	res.writeHead(200, { 'Content-Type': contentType });
+	fs.createReadStream(filePath).pipe(res);
+}
+
+// --- Server ---
+
+/**
+ * Creates the HTTP server. The document is kept in memory and written back after every
+ * successful mutation; Node handles one request callback at a time, so writes never interleave.
+ * @param {{dataFile: string, readToken?: string, writeToken?: string}} options
+ * @returns {http.Server}
+ */
+function createServer({ dataFile, readToken, writeToken }) {
+	const doc = loadDocument(dataFile);
+
+	return http.createServer(async (req, res) => {
+		const url = new URL(req.url, 'http://localhost');
+
+		if (req.method === 'OPTIONS') {
+			res.writeHead(204, {
+				'Access-Control-Allow-Origin': '*',
+				'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+				'Access-Control-Allow-Headers': 'Content-Type',
+			});
+			res.end();
+			return;
+		}
+
+		if (url.pathname !== PROTOCOL_PATH) {
+			if (req.method === 'GET') {
+				let pathname;
+				try {
+					pathname = decodeURIComponent(url.pathname);
+				} catch (error) {
+					res.writeHead(400, { 'Content-Type': 'text/plain' });
+					res.end('Bad request');
+					return;
+				}
+				serveStatic(pathname, res);
+			} else {
+				res.writeHead(405, { 'Content-Type': 'text/plain' });
+				res.end('Method not allowed');
+			}
+			return;
+		}
+
+		let result;
+		try {
+			const queryParams = Object.fromEntries(url.searchParams);
+			const params =
+				req.method === 'POST' ? { ...queryParams, ...(await readBodyParams(req)) } : queryParams;
+
+			result = LocalStore.handleRequest(doc, req.method, params, { readToken, writeToken });
+			if (result.success && LocalStore.MUTATING_ACTIONS.includes(params.action)) {
+				saveDocument(dataFile, doc);
+			}
+		} catch (error) {
+			if (error.statusCode === 413) {
+				// Answer without waiting for the rest of the body, then close the connection
+				// instead of reading it.
+				const body = { success: false, error: error.message };
+				sendJson(res, body, 413, { Connection: 'close' }, () => req.destroy());
+				return;
+			}
+			console.error(`Critical error in ${req.method} ${PROTOCOL_PATH}:`, error);
+			result = {
+				success: false,
+				error: `A server error occurred in ${req.method === 'POST' ? 'doPost' : 'doGet'}: ${
+					error.message
+				}`,
+			};
+		}
+		sendJson(res, result);
+	});
+}
+
+if (require.main === module) {
+	const options = parseOptions(process.argv.slice(2));
+	createServer(options).listen(options.port, options.host, () => {
+		console.log(`Pill doser server listening on http://${options.host}:${options.port}`);
+		console.log(`Protocol endpoint: ${PROTOCOL_PATH}, data file: ${options.dataFile}`);
+		if (!options.writeToken) {
+			console.warn('No --write-token set: anyone who can reach this server can change its data.');
+		}
+	});
+}
+
+module.exports = { createServer, parseOptions };
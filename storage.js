@@ -0,0 +1,309 @@
+// --- Storage Backends ---
+// Every backend speaks the action protocol of app_script.js: `call(action, params)` resolves to the
+// same `{success, data, error, removed, message}` objects that doGet/doPost return. Transport
+// failures reject instead, so callers can tell "unreachable" apart from "rejected".
+
+const STORAGE_BACKEND_TYPES = {
+	appsScript: 'Google Apps Script (Google Sheet)',
+	selfHosted: 'Self-hosted server (server.js)',
+	indexedDb: 'This browser only (IndexedDB)',
+	rest: 'REST server',
+};
+
+const INDEXED_DB_NAME = 'pillDoser';
+const INDEXED_DB_STORE = 'documents';
+const INDEXED_DB_DOCUMENT_KEY = 'default';
+
+/**
+ * Backend that talks to the Apps Script web app deployed from app_script.js, or to server.js,
+ * which speaks the same protocol.
+ * @param {string} webAppUrl - The `/exec` URL of the deployment.
+ * @param {string} [type] - 'appsScript' or 'selfHosted'.
+ * @param {string} [token] - Access token, see setupAccessTokens() in app_script.js.
+ * @returns {{type: string, description: string, call: Function}}
+ */
+function createAppsScriptBackend(webAppUrl, type = 'appsScript', token = '') {
+	return {
+		type,
+		description: `${STORAGE_BACKEND_TYPES[type]}: ${webAppUrl}`,
+		async call(action, params = {}) {
+			const url = new URL(webAppUrl);
+			url.searchParams.append('action', action);
+			// Every action is POSTed with its parameters in a form-encoded body, which Apps Script
+			// merges into `e.parameter`. That keeps the token out of URLs and server logs, and
+			// large requests such as 'bulkAdd' are not limited by URL length.
+			const body = new URLSearchParams();
+			for (const key in params) {
+				if (Object.hasOwnProperty.call(params, key)) {
+					body.append(key, params[key]);
+				}
+			}
+			if (token) body.append('token', token);
+
+			const response = await fetch(url, { method: 'POST', body });
+			if (!response.ok) {
+				throw new Error(
+					`HTTP error! status: ${response.status}, message: ${await response.text()}`
+				);
+			}
+			return response.json();
+		},
+	};
+}
+
+const idbRequest = (request) =>
+	new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+
+function openIndexedDb() {
+	const request = indexedDB.open(INDEXED_DB_NAME, 1);
+	request.onupgradeneeded = () => request.result.createObjectStore(INDEXED_DB_STORE);
+	return idbRequest(request);
+}
+
+/**
+ * Backend that keeps all data in this browser's IndexedDB, with no server involved.
+ * Actions are answered by LocalStore, so responses match the Apps Script web app exactly.
+ * @returns {{type: string, description: string, call: Function}}
+ */
+function createIndexedDbBackend() {
+	let dbPromise = null;
+	// Calls are chained so a read-modify-write never interleaves with another one.
+	let lastCall = Promise.resolve();
+
+	const run = async (action, params) => {
+		dbPromise = dbPromise || openIndexedDb();
+		const db = await dbPromise;
+		const stored = await idbRequest(
+			db.transaction(INDEXED_DB_STORE).objectStore(INDEXED_DB_STORE).get(INDEXED_DB_DOCUMENT_KEY)
+		);
+		const doc = stored || LocalStore.createDocument();
+		const upgraded = LocalStore.normalizeDocument(doc);
+
+		const result = LocalStore.handleAction(doc, action, params);
+		if (upgraded || (result.success && LocalStore.MUTATING_ACTIONS.includes(action))) {
+			await idbRequest(
+				db
+					.transaction(INDEXED_DB_STORE, 'readwrite')
+					.objectStore(INDEXED_DB_STORE)
+					.put(doc, INDEXED_DB_DOCUMENT_KEY)
+			);
+		}
+		return result;
+	};
+
+	return {
+		type: 'indexedDb',
+		description: STORAGE_BACKEND_TYPES.indexedDb,
+		call(action, params = {}) {
+			const result = lastCall.then(() => run(action, params));
+			lastCall = result.catch(() => {});
+			return result;
+		},
+	};
+}
+
+/**
+ * Backend for a generic REST server. Expected routes, relative to the base URL:
+ *   GET    /events             -> [{id, date, value, override?, medication?}] (or {data: [...]})
+ *   POST   /events             <- {id, date, value, override?, medication}
+ *   DELETE /events/<id>        -> 404 when no entry matches
+ *   DELETE /events?date=<ISO>  -> the same, for entries the server returned without an ID
+ *   PATCH  /events/<id>        <- {date?, value?}, 404 when no entry matches
+ * GET /events and DELETE accept a `medication` query parameter that restricts them to that
+ * medication's entries; entries without one belong to the 'default' medication.
+ * All /events routes take a `profile` query parameter for profiles other than the default one.
+ * Routes that change entries also take a `client` query parameter naming the device that made
+ * the change, and DELETE an optional `reason`, for the server's audit log. Removed entries are
+ * listed by `POST /getDeleted` and brought back by `POST /restore`.
+ * A server that keeps a revision of the entries returns it as `{data, revision}` from GET /events
+ * and as `{revision}` from routes that change entries. Those routes then take an
+ * `expectedRevision` query parameter and answer 409 when the entries have changed since, and
+ * `POST /getRevision` answers `{success, revision}` without the entries.
+ * GET /events may also support the narrowing parameters of the 'get' action: `from`/`to`,
+ * `limit`/`cursor` (answering `nextCursor` while older entries remain) and `since`, a revision,
+ * answered with `{data, removedIds, delta: true, revision}`. Servers that ignore them simply
+ * return every entry.
+ * Any other action is sent as `POST /<action>` with the parameters as a JSON body and must
+ * answer with the app_script.js response shape.
+ * @param {string} baseUrl
+ * @returns {{type: string, description: string, call: Function}}
+ */
+function createRestBackend(baseUrl) {
+	const base = baseUrl.replace(/\/+$/, '');
+
+	/**
+	 * @param {string} path
+	 * @param {object} params - The action's parameters; those named in `keys` become the query.
+	 * @param {string[]} keys
+	 * @returns {string}
+	 */
+	const withQuery = (path, params, keys) => {
+		const query = new URLSearchParams();
+		keys.forEach((key) => {
+			if (params[key]) query.append(key, params[key]);
+		});
+		return query.toString() ? `${path}?${query}` : path;
+	};
+
+	const request = async (path, options = {}) => {
+		const response = await fetch(`${base}${path}`, {
+			...options,
+			headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+		});
+		const text = await response.text();
+		let body = null;
+		try {
+			body = text ? JSON.parse(text) : null;
+		} catch (error) {
+			body = { error: text };
+		}
+		const error = (body && body.error) || `HTTP error! status: ${response.status}`;
+		return { response, body, error };
+	};
+
+	const revisionOf = (body) =>
+		body && typeof body.revision === 'number' ? { revision: body.revision } : {};
+
+	/** The paging and delta fields of a GET /events reply, when the server sent them. */
+	const pageOf = (body) => {
+		const fields = {};
+		if (body && typeof body.nextCursor === 'string') fields.nextCursor = body.nextCursor;
+		if (body && body.delta === true && Array.isArray(body.removedIds)) {
+			fields.delta = true;
+			fields.removedIds = body.removedIds;
+		}
+		return fields;
+	};
+
+	/** The result for a change the server refused; 409 means the entries have changed. */
+	const failure = ({ response, body, error }) =>
+		response.status === 409
+			? { success: false, conflict: true, error, ...revisionOf(body) }
+			: { success: false, error };
+
+	return {
+		type: 'rest',
+		description: `${STORAGE_BACKEND_TYPES.rest}: ${base}`,
+		async call(action, params = {}) {
+			switch (action) {
+				case 'get':
+				case 'ensureHeaders': {
+					const { response, body, error } = await request(
+						withQuery('/events', params, [
+							'medication',
+							'profile',
+							'since',
+							'from',
+							'to',
+							'limit',
+							'cursor',
+						])
+					);
+					if (!response.ok) return { success: false, error };
+					if (action === 'ensureHeaders') {
+						return { success: true, message: 'Server reachable.', headersChanged: false };
+					}
+					if (Array.isArray(body)) return { success: true, data: body };
+					return {
+						success: true,
+						data: (body && body.data) || [],
+						...revisionOf(body),
+						...pageOf(body),
+					};
+				}
+				case 'add': {
+					const path = withQuery('/events', params, ['profile', 'client', 'expectedRevision']);
+					const reply = await request(path, {
+						method: 'POST',
+						body: JSON.stringify({
+							id: params.id,
+							date: params.date,
+							value: parseFloat(params.floatValue),
+							override: params.override,
+							medication: params.medication,
+						}),
+					});
+					return reply.response.ok
+						? { success: true, id: params.id, message: 'Entry added.', ...revisionOf(reply.body) }
+						: failure(reply);
+				}
+				case 'remove': {
+					const path = params.id ? `/events/${encodeURIComponent(params.id)}` : '/events';
+					const keys = ['medication', 'profile', 'client', 'reason', 'expectedRevision'];
+					if (!params.id) keys.unshift('date');
+					const reply = await request(withQuery(path, params, keys), { method: 'DELETE' });
+					if (reply.response.status === 404) {
+						return { success: true, removed: false, message: 'No entry found.' };
+					}
+					return reply.response.ok
+						? { success: true, removed: true, message: 'Entry removed.', ...revisionOf(reply.body) }
+						: failure(reply);
+				}
+				case 'update': {
+					const changes = {};
+					if (params.date) changes.date = params.date;
+					if (params.floatValue !== undefined) changes.value = parseFloat(params.floatValue);
+					const path = withQuery(`/events/${encodeURIComponent(params.id)}`, params, [
+						'profile',
+						'client',
+						'expectedRevision',
+					]);
+					const reply = await request(path, {
+						method: 'PATCH',
+						body: JSON.stringify(changes),
+					});
+					if (reply.response.status === 404) {
+						return { success: true, updated: false, message: 'No entry found.' };
+					}
+					return reply.response.ok
+						? {
+								success: true,
+								updated: true,
+								id: params.id,
+								message: 'Entry updated.',
+								...revisionOf(reply.body),
+							}
+						: failure(reply);
+				}
+				default: {
+					const { response, body, error } = await request(`/${encodeURIComponent(action)}`, {
+						method: 'POST',
+						body: JSON.stringify(params),
+					});
+					return response.ok && body ? body : { success: false, error };
+				}
+			}
+		},
+	};
+}
+
+/**
+ * Creates the backend described by a stored configuration.
+ * @param {{type: string, sheetId?: string, url?: string, token?: string}} config
+ * @returns {{type: string, description: string, call: Function}}
+ * @throws {Error} If the configuration is incomplete or of an unknown type.
+ */
+function createStorageBackend(config) {
+	switch (config && config.type) {
+		case 'appsScript':
+			if (!config.sheetId) throw new Error('A Google Sheet ID is required.');
+			return createAppsScriptBackend(
+				`https://script.google.com/macros/s/${config.sheetId}/exec`,
+				'appsScript',
+				config.token
+			);
+		case 'selfHosted':
+			if (!config.url) throw new Error('A server URL is required.');
+			return createAppsScriptBackend(config.url, 'selfHosted', config.token);
+		case 'indexedDb':
+			return createIndexedDbBackend();
+		case 'rest':
+			if (!config.url) throw new Error('A REST server URL is required.');
+			return createRestBackend(config.url);
+		default:
+			throw new Error(`Unknown storage backend '${config && config.type}'.`);
+	}
+}
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Service worker for the dosage helper. Precaches the app shell and the vendored
+ * libraries so the app opens without a network, shows dose reminders on behalf of the page so
+ * they can carry actions, and hands the snooze action back to the page, which owns the reminder
+ * schedule.
+ *
+ * Bump CACHE_VERSION whenever a precached file changes. The browser then installs the new
+ * worker next to the old one and the page offers to reload into the new version.
+ */
+
+const CACHE_VERSION = 13;
+const CACHE_NAME = `pill-doser-shell-v${CACHE_VERSION}`;
+const APP_SHELL = [
+	'./',
+	'./index.html',
+	'./style.css',
+	'./local_store.js',
+	'./storage.js',
+	'./dosing_engine.js',
+	'./script.js',
+	'./manifest.webmanifest',
+	'./img/favicon.ico',
+	'./img/icon-192.png',
+	'./img/icon-512.png',
+	'./vendor/chart.js/chart.umd.js',
+	'./vendor/luxon/luxon.min.js',
+	'./vendor/chartjs-adapter-luxon/chartjs-adapter-luxon.umd.min.js',
+];
+
+self.addEventListener('install', (event) => {
+	// The new version waits until the page asks for it, see the 'skipWaiting' message.
+	event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(APP_SHELL)));
+});
+
+self.addEventListener('activate', (event) => {
+	event.waitUntil(
+		caches
+			.keys()
+			.then((keys) =>
+				Promise.all(
+					keys
+						.filter((key) => key.startsWith('pill-doser-shell-') && key !== CACHE_NAME)
+						.map((key) => caches.delete(key))
+				)
+			)
+			.then(() => self.clients.claim())
+	);
+});
+
+self.addEventListener('message', (event) => {
+	if (event.data && event.data.type === 'skipWaiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+	const { request } = event;
+	const url = new URL(request.url);
+	// Only the app shell is served from the cache; backend calls always go to the network.
+	if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+	event.respondWith(
+		caches.match(request, { ignoreSearch: true }).then((cached) => cached || fetch(request))
+	);
+});
+
+self.addEventListener('notificationclick', (event) => {
+	event.notification.close();
+	const { key } = event.notification.data || {};
+
+	event.waitUntil(
+		self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+			if (event.action === 'snooze' && windowClients.length > 0) {
+				windowClients.forEach((client) => client.postMessage({ type: 'snoozeReminder', key }));
+				return undefined;
+			}
+			// Without an open page nothing could keep a snooze timer, so open the app instead.
+			if (windowClients.length > 0) return windowClients[0].focus();
+			return self.clients.openWindow(self.registration.scope);
+		})
+	);
+});
@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAppsScript } = require('./helpers/apps_script.js');
+
+const FIRST = '2026-10-01T08:00:00.000Z';
+const SECOND = '2026-10-01T16:00:00.000Z';
+
+/** A backend whose entry tab was last written before the ID, Override and Medication columns. */
+function loadLegacySheet() {
+	const backend = loadAppsScript();
+	backend.sheets.Sheet1.getRange(1, 1, 3, 2).setValues([
+		['Date', 'Amount'],
+		[FIRST, 1],
+		[SECOND, 0.5],
+	]);
+	return backend;
+}
+
+const snapshot = (sheet) => JSON.stringify(sheet.rows);
+
+test("'get' reads a legacy sheet without changing it", () => {
+	const backend = loadLegacySheet();
+	const before = snapshot(backend.sheets.Sheet1);
+
+	const read = backend.get({ action: 'get' });
+	assert.equal(read.success, true);
+	assert.deepEqual(
+		read.data.map(({ date, value, id }) => [date, value, id]),
+		[
+			[FIRST, 1, ''],
+			[SECOND, 0.5, ''],
+		]
+	);
+	assert.equal(backend.post({ action: 'get' }).success, true);
+	assert.equal(snapshot(backend.sheets.Sheet1), before);
+});
+
+test("'get' reads a sheet without a header row from its first row", () => {
+	const backend = loadAppsScript();
+	backend.sheets.Sheet1.getRange(1, 1, 2, 2).setValues([
+		[FIRST, 1],
+		[SECOND, 0.5],
+	]);
+	assert.equal(backend.get({ action: 'get' }).data.length, 2);
+	assert.equal(backend.sheets.Sheet1.getRange(1, 1).getValue(), FIRST);
+});
+
+test("'ensureHeaders' only repairs the sheet for the write token", () => {
+	const backend = loadLegacySheet();
+	const before = snapshot(backend.sheets.Sheet1);
+
+	const readOnly = backend.get({ action: 'ensureHeaders' });
+	assert.equal(readOnly.success, true);
+	assert.equal(readOnly.access, 'read');
+	assert.equal(snapshot(backend.sheets.Sheet1), before);
+
+	const repaired = backend.post({ action: 'ensureHeaders' });
+	assert.equal(repaired.success, true);
+	assert.equal(repaired.headersChanged, true);
+	assert.equal(repaired.idsBackfilled, 2);
+	const ids = backend.get({ action: 'get' }).data.map((entry) => entry.id);
+	assert.ok(ids.every((id) => id !== ''));
+});
+
+test('entry writes give legacy rows IDs under the lock', () => {
+	const backend = loadLegacySheet();
+	const added = backend.post({
+		action: 'add',
+		id: 'new',
+		date: '2026-10-02T08:00:00.000Z',
+		floatValue: '1',
+	});
+	assert.equal(added.success, true);
+
+	const entries = backend.get({ action: 'get' }).data;
+	assert.equal(entries.length, 3);
+	assert.ok(entries.every((entry) => entry.id !== ''));
+	assert.equal(backend.sheets.Sheet1.getRange(1, 3).getValue(), 'Id');
+});
+
+test('backfilling IDs makes clients with older revisions load every entry again', () => {
+	const backend = loadLegacySheet();
+	const cached = backend.get({ action: 'get' });
+	backend.post({ action: 'add', id: 'new', date: '2026-10-02T08:00:00.000Z', floatValue: '1' });
+
+	const reloaded = backend.get({ action: 'get', since: String(cached.revision) });
+	assert.equal(reloaded.success, true);
+	assert.equal(reloaded.delta, undefined);
+	assert.equal(reloaded.data.length, 3);
+	assert.ok(reloaded.data.every((entry) => entry.id !== ''));
+
+	const repaired = loadLegacySheet();
+	assert.equal(repaired.post({ action: 'ensureHeaders' }).idsBackfilled, 2);
+	assert.equal(repaired.get({ action: 'getRevision' }).revision, 1);
+	assert.equal(repaired.get({ action: 'get', since: '0' }).delta, undefined);
+});
+
+test('read actions do not create sheets', () => {
+	const backend = loadAppsScript();
+	['getProfiles', 'getRegimens', 'getMedications', 'getDeleted', 'getRefills'].forEach((action) => {
+		const result = backend.get({ action });
+		assert.equal(result.success, true, action);
+		assert.deepEqual([...result.data], [], action);
+	});
+	assert.match(backend.get({ action: 'getRegimens', profile: 'rex' }).error, /Unknown profile/);
+	assert.deepEqual(Object.keys(backend.sheets), ['Sheet1']);
+});
+
+test("'get' answers no entries for a profile whose entry tab is missing", () => {
+	const backend = loadAppsScript();
+	assert.equal(backend.post({ action: 'saveProfile', id: 'rex', name: 'Rex' }).success, true);
+	delete backend.sheets.Rex;
+	const result = backend.get({ action: 'get', profile: 'rex' });
+	assert.equal(result.success, true);
+	assert.deepEqual([...result.data], []);
+});
+
+// A dose of 1 at START lasts 8 hours at the default rate, and the next half-pill dose is due
+// 4 hours later; with a 60-minute margin it is overdue from 5 hours on.
+const START = Date.parse('2026-10-01T08:00:00.000Z');
+const hoursAfterStart = (hours) => START + hours * 3600000;
+
+/** A backend with alerts by webhook and email and one logged dose. */
+function loadWithAlerts() {
+	const backend = loadAppsScript();
+	const saved = backend.post({
+		action: 'saveAlerts',
+		enabled: 'true',
+		marginMinutes: '60',
+		webhookUrl: 'https://hooks.example/overdue',
+		email: 'carer@example.com',
+	});
+	assert.equal(saved.success, true);
+	backend.post({ action: 'add', id: 'd1', date: new Date(START).toISOString(), floatValue: '1' });
+	return backend;
+}
+
+const checkAt = (backend, hours) => backend.run(`_checkOverdueDoses(${hoursAfterStart(hours)})`);
+
+test('_checkOverdueDoses waits for the margin before alerting', () => {
+	const backend = loadWithAlerts();
+	const result = checkAt(backend, 4.5);
+	assert.equal(result.success, true);
+	assert.deepEqual([...result.alerted], []);
+	assert.equal(backend.fetches.length, 0);
+	assert.equal(backend.mails.length, 0);
+});
+
+test('_checkOverdueDoses alerts about an overdue dose by webhook and email', () => {
+	const backend = loadWithAlerts();
+	const result = checkAt(backend, 5.1);
+	assert.deepEqual([...result.alerted], ['default/default']);
+	assert.deepEqual([...result.errors], []);
+
+	assert.equal(backend.fetches.length, 1);
+	const { url, payload } = backend.fetches[0];
+	assert.equal(url, 'https://hooks.example/overdue');
+	assert.equal(payload.type, 'overdue');
+	assert.equal(payload.amount, 0.5);
+	assert.equal(payload.dueAt, new Date(hoursAfterStart(4)).toISOString());
+	assert.equal(payload.lastDose.id, 'd1');
+
+	assert.equal(backend.mails.length, 1);
+	assert.equal(backend.mails[0].to, 'carer@example.com');
+	assert.match(backend.mails[0].subject, /^Dose overdue: Medication for Default/);
+	assert.equal(JSON.parse(backend.properties.ALERT_STATE)['default/default'], 'd1');
+});
+
+test('_checkOverdueDoses alerts only once about the same overdue dose', () => {
+	const backend = loadWithAlerts();
+	checkAt(backend, 5.1);
+	const repeat = checkAt(backend, 7);
+	assert.equal(repeat.success, true);
+	assert.deepEqual([...repeat.alerted], []);
+	assert.equal(backend.fetches.length, 1);
+	assert.equal(backend.mails.length, 1);
+});
+
+test('_checkOverdueDoses alerts again once a new dose is overdue', () => {
+	const backend = loadWithAlerts();
+	checkAt(backend, 5.1);
+	backend.post({
+		action: 'add',
+		id: 'd2',
+		date: new Date(hoursAfterStart(6)).toISOString(),
+		floatValue: '0.5',
+	});
+
+	assert.deepEqual([...checkAt(backend, 6.5).alerted], []);
+	assert.deepEqual([...checkAt(backend, 9.1).alerted], ['default/default']);
+	assert.equal(backend.fetches.length, 2);
+	assert.equal(backend.fetches[1].payload.lastDose.id, 'd2');
+	assert.equal(JSON.parse(backend.properties.ALERT_STATE)['default/default'], 'd2');
+});
+
+test('_checkOverdueDoses retries when no alert could be delivered', () => {
+	const backend = loadWithAlerts();
+	backend.post({ action: 'saveAlerts', enabled: 'true', webhookUrl: 'https://hooks.example/x' });
+	backend.webhookStatus = 500;
+
+	const failed = checkAt(backend, 5.1);
+	assert.deepEqual([...failed.alerted], []);
+	assert.deepEqual([...failed.errors], ['The webhook answered with HTTP 500.']);
+
+	backend.webhookStatus = 200;
+	assert.deepEqual([...checkAt(backend, 5.2).alerted], ['default/default']);
+});
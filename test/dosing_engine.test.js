@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DosingEngine = require('../dosing_engine.js');
+
+const HOUR = DosingEngine.MS_PER_HOUR;
+const T0 = Date.UTC(2026, 0, 1, 12);
+// One pill every 8 hours.
+const PERIODS = DosingEngine.createRatePeriods([], 1 / 8);
+
+const dose = (hours, amount) => ({ millis: T0 + hours * HOUR, amount });
+
+test('toDoses sorts events and drops invalid ones', () => {
+	const doses = DosingEngine.toDoses([
+		{ dosageTime: new Date(T0 + HOUR).toISOString(), dosageAmount: '0.5' },
+		{ dosageTime: T0, dosageAmount: 1 },
+		{ dosageTime: 'not a date', dosageAmount: 1 },
+		{ dosageTime: T0, dosageAmount: 0 },
+	]);
+	assert.deepEqual(doses, [
+		{ millis: T0, amount: 1 },
+		{ millis: T0 + HOUR, amount: 0.5 },
+	]);
+});
+
+test('calculateIdealIntake integrates the rate across regimens', () => {
+	const periods = DosingEngine.createRatePeriods(
+		[
+			{ start: T0, pills: 1, hours: 8 },
+			{ start: T0 + 8 * HOUR, pills: 1, hours: 4 },
+		],
+		0
+	);
+	assert.equal(periods[0].startMillis, -Infinity);
+	assert.equal(DosingEngine.calculateIdealIntake(periods, T0, T0 + 12 * HOUR), 2);
+	assert.equal(DosingEngine.calculateIdealIntake(periods, T0, T0), 0);
+});
+
+test('calculateStatistics reports the deficit and due times', () => {
+	const statistics = DosingEngine.calculateStatistics({
+		doses: [dose(0, 1)],
+		periods: PERIODS,
+		now: T0 + 4 * HOUR,
+	});
+	assert.equal(statistics.projectedStart, T0 - 8 * HOUR);
+	assert.equal(statistics.totalGiven, 1);
+	assert.equal(statistics.totalNeeded, 1.5);
+	assert.equal(statistics.currentNeeded, 0.5);
+	assert.deepEqual(statistics.due, [
+		{ amount: 0.5, offsetHours: 0 },
+		{ amount: 1, offsetHours: 4 },
+	]);
+});
+
+test('doses at the same instant share one drop in the deficit series', () => {
+	const doses = [dose(0, 1), dose(8, 0.5), dose(8, 0.5)];
+	const now = T0 + 12 * HOUR;
+	const series = DosingEngine.calculateDeficitSeries(doses, PERIODS, now);
+	assert.deepEqual(
+		series.filter((point) => point.x >= T0 + 8 * HOUR - 1 && point.x <= T0 + 8 * HOUR),
+		[
+			{ x: T0 + 8 * HOUR - 1, y: 1 },
+			{ x: T0 + 8 * HOUR, y: 0 },
+		]
+	);
+	assert.deepEqual(series[series.length - 1], { x: now, y: 0.5 });
+
+	const statistics = DosingEngine.calculateStatistics({ doses, periods: PERIODS, now });
+	assert.equal(statistics.totalGiven, 2);
+	assert.equal(statistics.currentNeeded, 0.5);
+});
+
+test('doses after now do not count yet', () => {
+	const now = T0 + 4 * HOUR;
+	const statistics = DosingEngine.calculateStatistics({
+		doses: [dose(0, 1), dose(10, 1)],
+		periods: PERIODS,
+		now,
+	});
+	assert.equal(statistics.totalGiven, 1);
+	assert.equal(statistics.currentNeeded, 0.5);
+	assert.equal(
+		DosingEngine.calculateStatistics({ doses: [dose(10, 1)], periods: PERIODS, now }),
+		null
+	);
+});
+
+test('a zero rate needs nothing and never makes a dose due', () => {
+	const periods = DosingEngine.createRatePeriods([], 0);
+	assert.equal(DosingEngine.hasPositiveRate(periods), false);
+	assert.equal(DosingEngine.projectStartTime(periods, T0, 1), null);
+
+	const statistics = DosingEngine.calculateStatistics({
+		doses: [dose(0, 1)],
+		periods,
+		now: T0 + 4 * HOUR,
+	});
+	assert.equal(statistics.projectedStart, T0);
+	assert.equal(statistics.totalNeeded, 0);
+	assert.equal(statistics.currentNeeded, 0);
+	assert.deepEqual(
+		statistics.due.map((due) => due.offsetHours),
+		[null, null]
+	);
+});
+
+test('the level trigger finds when the level falls to the threshold', () => {
+	const concentration = {
+		halfLifeHours: 4,
+		absorptionHours: 0,
+		minLevel: 0.5,
+		maxLevel: null,
+		trigger: 'level',
+	};
+	const statistics = DosingEngine.calculateStatistics({
+		doses: [dose(0, 1)],
+		periods: PERIODS,
+		now: T0,
+		concentration,
+		dueAmounts: [1],
+	});
+	assert.equal(statistics.level, 1);
+	assert.ok(Math.abs(statistics.due[0].offsetHours - 4) < 0.001);
+});
+
+test('planDoses catches up one capped dose per usual interval', () => {
+	const plan = DosingEngine.planDoses({
+		doses: [dose(-48, 1)],
+		periods: PERIODS,
+		now: T0,
+		until: T0 + 40 * HOUR,
+		amount: 1,
+		step: 1,
+		maxAmount: 2,
+	});
+	assert.deepEqual(
+		plan.map(({ millis, amount }) => [(millis - T0) / HOUR, amount]),
+		[
+			[0, 2],
+			[8, 2],
+			[16, 2],
+			[24, 2],
+			[32, 2],
+			[40, 1],
+		]
+	);
+	assert.equal(new Set(plan.map((planned) => planned.millis)).size, plan.length);
+});
+
+test('planDoses keeps the minimum interval after the previous dose', () => {
+	const plan = DosingEngine.planDoses({
+		doses: [dose(-4, 1)],
+		periods: PERIODS,
+		now: T0,
+		until: T0 + 30 * HOUR,
+		amount: 1,
+		step: 0.25,
+		minIntervalHours: 10,
+	});
+	assert.deepEqual(
+		plan.map(({ millis, amount }) => [(millis - T0) / HOUR, amount]),
+		[
+			[6, 1.25],
+			[16, 1.25],
+			[26, 1.25],
+		]
+	);
+});
+
+test('planDoses moves a dose out of a blocked range without breaking the interval', () => {
+	const plan = DosingEngine.planDoses({
+		doses: [dose(0, 1)],
+		periods: PERIODS,
+		now: T0,
+		until: T0 + 20 * HOUR,
+		amount: 1,
+		step: 0.5,
+		minIntervalHours: 7,
+		blocked: [{ start: T0 + 6 * HOUR, end: T0 + 12 * HOUR }],
+	});
+	assert.deepEqual(plan[0], { millis: T0 + 12 * HOUR, amount: 1.5, shifted: true });
+});
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Runs app_script.js and dosing_engine.js in a Node context with in-memory
+ * stand-ins for the Apps Script services they use, so tests can call the web app entry points
+ * and private helpers such as _checkOverdueDoses directly.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * An in-memory sheet with the Sheet and Range methods app_script.js calls. Cells are '' until
+ * set, like in Sheets.
+ * @param {string} name
+ * @returns {object}
+ */
+function createSheet(name) {
+	const rows = [];
+	let maxColumns = 26;
+	const isFilled = (value) => value !== '' && value !== undefined;
+	const cell = (row, column) => {
+		const value = rows[row - 1] && rows[row - 1][column - 1];
+		return value === undefined ? '' : value;
+	};
+	const setCell = (row, column, value) => {
+		while (rows.length < row) rows.push([]);
+		rows[row - 1][column - 1] = value;
+	};
+	const getLastRow = () =>
+		rows.reduce((last, row, index) => (row.some(isFilled) ? index + 1 : last), 0);
+
+	return {
+		rows,
+		getName: () => name,
+		getLastRow,
+		getLastColumn: () =>
+			rows.reduce(
+				(last, row) =>
+					Math.max(
+						last,
+						row.reduce((end, value, index) => (isFilled(value) ? index + 1 : end), 0)
+					),
+				0
+			),
+		getMaxColumns: () => maxColumns,
+		insertColumnsAfter: (column, count) => {
+			maxColumns += count;
+		},
+		appendRow: (values) => {
+			rows.splice(getLastRow(), rows.length, [...values]);
+		},
+		deleteRow: (row) => {
+			rows.splice(row - 1, 1);
+		},
+		insertRowBefore: (row) => {
+			rows.splice(row - 1, 0, []);
+		},
+		getRange: (row, column, rowCount = 1, columnCount = 1) => {
+			if (column + columnCount - 1 > maxColumns) {
+				throw new Error('The coordinates of the range are outside the dimensions of the sheet.');
+			}
+			return {
+				getValue: () => cell(row, column),
+				setValue: (value) => setCell(row, column, value),
+				getValues: () =>
+					Array.from({ length: rowCount }, (_, i) =>
+						Array.from({ length: columnCount }, (_, j) => cell(row + i, column + j))
+					),
+				setValues: (values) =>
+					values.forEach((rowValues, i) =>
+						rowValues.forEach((value, j) => setCell(row + i, column + j, value))
+					),
+			};
+		},
+	};
+}
+
+/**
+ * Loads the backend with a spreadsheet holding only an empty 'Sheet1'.
+ * @param {object} [options]
+ * @param {object} [options.properties] - Initial Script Properties; by default a write token 'w'
+ *   and a read token 'r'.
+ * @returns {object} The script's global context, plus:
+ *   `sheets` by name, `properties`, `fetches` and `mails` sent, `webhookStatus` to answer
+ *   UrlFetchApp with, `post(params)` and `get(params)` calling doPost with the write token and
+ *   doGet with the read token unless `params.token` says otherwise, and `run(code)`
+ *   evaluating code in the context.
+ */
+function loadAppsScript({ properties = { WRITE_TOKEN: 'w', READ_TOKEN: 'r' } } = {}) {
+	const sheets = { Sheet1: createSheet('Sheet1') };
+	const spreadsheet = {
+		getSheetByName: (name) => sheets[name] || null,
+		insertSheet: (name) => (sheets[name] = createSheet(name)),
+	};
+	const context = {
+		console,
+		sheets,
+		properties,
+		fetches: [],
+		mails: [],
+		webhookStatus: 200,
+		SpreadsheetApp: { getActiveSpreadsheet: () => spreadsheet, flush() {} },
+		Logger: { log() {} },
+		Session: { getScriptTimeZone: () => 'UTC' },
+		Utilities: {
+			getUuid: () => crypto.randomUUID(),
+			formatDate: (date) => date.toISOString(),
+		},
+		ContentService: {
+			MimeType: { JSON: 'application/json' },
+			createTextOutput: (text) => ({
+				text,
+				setMimeType() {
+					return this;
+				},
+			}),
+		},
+		PropertiesService: {
+			getScriptProperties: () => ({
+				getProperty: (key) => (key in properties ? properties[key] : null),
+				setProperty: (key, value) => {
+					properties[key] = String(value);
+				},
+			}),
+		},
+		LockService: {
+			getScriptLock: () => ({ tryLock: () => true, waitLock() {}, releaseLock() {} }),
+		},
+		UrlFetchApp: {
+			fetch: (url, options) => {
+				context.fetches.push({ url, payload: JSON.parse(options.payload) });
+				return { getResponseCode: () => context.webhookStatus };
+			},
+		},
+		MailApp: {
+			sendEmail: (to, subject, body) => context.mails.push({ to, subject, body }),
+		},
+		ScriptApp: {
+			getProjectTriggers: () => [],
+			deleteTrigger() {},
+			newTrigger: () => ({
+				timeBased: () => ({ everyMinutes: () => ({ create() {} }) }),
+			}),
+		},
+	};
+	vm.createContext(context);
+	['dosing_engine.js', 'app_script.js'].forEach((file) =>
+		vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file })
+	);
+
+	const call = (entryPoint, token, params) =>
+		JSON.parse(context[entryPoint]({ parameter: { token, ...params } }).text);
+	context.post = (params) => call('doPost', 'w', params);
+	context.get = (params) => call('doGet', 'r', params);
+	context.run = (code) => vm.runInContext(code, context);
+	return context;
+}
+
+module.exports = { loadAppsScript };
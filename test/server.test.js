@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServer } = require('../server.js');
+
+/** Starts a server on a free port with a fresh data file and passes its base URL to `run`. */
+async function withServer(run) {
+	const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pill-doser-'));
+	const server = createServer({ dataFile: path.join(directory, 'data.json') });
+	await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+	try {
+		await run(`http://127.0.0.1:${server.address().port}`);
+	} finally {
+		await new Promise((resolve) => server.close(resolve));
+		fs.rmSync(directory, { recursive: true, force: true });
+	}
+}
+
+test('serves the frontend files', () =>
+	withServer(async (base) => {
+		const index = await fetch(`${base}/`);
+		assert.equal(index.status, 200);
+		assert.match(index.headers.get('content-type'), /text\/html/);
+		await index.text();
+		const script = await fetch(`${base}/dosing_engine.js`);
+		assert.equal(script.status, 200);
+		await script.text();
+	}));
+
+test('does not serve files outside the frontend', () =>
+	withServer(async (base) => {
+		for (const file of ['/server.js', '/app_script.js', '/package.json', '/test/server.test.js']) {
+			const response = await fetch(`${base}${file}`);
+			assert.equal(response.status, 404, file);
+			await response.text();
+		}
+	}));
+
+test('answers a malformed path with 400 and keeps running', () =>
+	withServer(async (base) => {
+		const response = await fetch(`${base}/%E0%A4%A`);
+		assert.equal(response.status, 400);
+		await response.text();
+		const next = await fetch(`${base}/exec?action=getRevision`);
+		assert.equal((await next.json()).success, true);
+	}));
+
+test('answers an oversized body with 413 and keeps running', () =>
+	withServer(async (base) => {
+		const response = await fetch(`${base}/exec`, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+			body: `action=add&note=${'x'.repeat(2 * 1024 * 1024)}`,
+		});
+		assert.equal(response.status, 413);
+		assert.deepEqual(await response.json(), {
+			success: false,
+			error: 'Request body too large.',
+		});
+		const next = await fetch(`${base}/exec?action=getRevision`);
+		assert.equal((await next.json()).success, true);
+	}));